@@ -0,0 +1,178 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const debug = require('debug')('powerboot:api-proxy');
+
+const DEFAULT_PATHS = ['/api'];
+const DEFAULT_FORWARD_HEADERS = ['authorization', 'cookie'];
+const DEFAULT_TIMEOUT = 30000;
+
+// Headers that describe the connection between the page and the internal
+// server, and therefore shouldn't be passed along to the API.
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+  'origin',
+  'referer'
+];
+
+/**
+ * Creates a request handler for the {@link RequestInterceptor} that forwards
+ * requests the page makes to the internal HTTP server under one of the
+ * proxied paths to the configured API origin.  This lets apps keep using
+ * relative URLs like `/api/posts` while being rendered.
+ *
+ * The headers listed in `forwardHeaders` are copied from the incoming
+ * request, so that the API sees the same credentials as it would if the
+ * request came from the user's browser.
+ *
+ * @function createApiProxy
+ * @param {Object|string} options the origin to forward requests to, or an options object
+ * @param {string} options.origin the origin of the API, like `https://api.example.com`
+ * @param {Array<string|RegExp>} [options.paths=['/api']] path prefixes or patterns that get forwarded
+ * @param {Array<string>} [options.forwardHeaders=['authorization', 'cookie']] headers copied from the incoming request
+ * @param {Integer} [options.timeout=30000] how long to wait for the API to respond, in ms
+ * @param {Object} context
+ * @param {string} context.pageOrigin the origin of the internal HTTP server
+ * @param {FastBootRequest} [context.request] the incoming request
+ * @returns {Function} handler
+ */
+function createApiProxy(options, context) {
+  if (typeof options === 'string') {
+    options = { origin: options };
+  }
+  if (!options.origin) {
+    throw new Error('The `apiProxy` option requires an `origin` to forward requests to.');
+  }
+
+  const origin = new URL(options.origin);
+  const paths = options.paths || DEFAULT_PATHS;
+  const forwardHeaders = options.forwardHeaders || DEFAULT_FORWARD_HEADERS;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  return async function apiProxy(request) {
+    const url = new URL(request.url());
+    if (url.origin !== context.pageOrigin || !matchesPath(url.pathname, paths)) return false;
+
+    const target = new URL(url.pathname + url.search, origin);
+    const headers = buildHeaders(request.headers(), forwardHeaders, context.request);
+
+    debug('forwarding %s %s to %s', request.method(), url.pathname, target.href);
+
+    try {
+      const response = await forwardRequest({
+        url: target,
+        method: request.method(),
+        headers,
+        body: request.postData(),
+        timeout
+      });
+      await request.respond(response);
+    } catch(error) {
+      debug('failed to forward %s: %s', target.href, error.message);
+      await request.abort('connectionfailed');
+    }
+    return true;
+  };
+}
+
+/**
+ * @function matchesPath
+ * @param {string} pathname
+ * @param {Array<string|RegExp>} paths
+ * @returns {Boolean}
+ */
+function matchesPath(pathname, paths) {
+  return paths.some(path => {
+    if (path instanceof RegExp) return path.test(pathname);
+    return pathname === path || pathname.startsWith(path.endsWith('/') ? path : `${path}/`);
+  });
+}
+
+/**
+ * Combines the headers of the page's request with the headers
+ * that should be forwarded from the incoming request.  The page's own
+ * values for those headers are always dropped, since they may be
+ * credentials stored by an earlier visit, like cookies set by a
+ * proxied response.
+ *
+ * @function buildHeaders
+ * @param {Object} pageHeaders
+ * @param {Array<string>} forwardHeaders
+ * @param {FastBootRequest} [incomingRequest]
+ * @returns {Object}
+ */
+function buildHeaders(pageHeaders, forwardHeaders, incomingRequest) {
+  const headers = {};
+  const forwarded = forwardHeaders.map(name => name.toLowerCase());
+
+  for (const name in pageHeaders) {
+    const lowerName = name.toLowerCase();
+    if (HOP_BY_HOP_HEADERS.indexOf(lowerName) === -1 && forwarded.indexOf(lowerName) === -1) {
+      headers[lowerName] = pageHeaders[name];
+    }
+  }
+
+  if (incomingRequest) {
+    for (const name of forwardHeaders) {
+      const values = incomingRequest.headers.getAll(name);
+      if (values.length) headers[name.toLowerCase()] = values.join(name.toLowerCase() === 'cookie' ? '; ' : ', ');
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Makes an HTTP request and buffers the response into the form
+ * expected by Puppeteer's `request.respond()`.
+ *
+ * @function forwardRequest
+ * @param {Object} options
+ * @returns {Promise<Object>} response
+ */
+function forwardRequest({ url, method, headers, body, timeout }) {
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      protocol: url.protocol,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      method,
+      headers,
+      timeout
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        const responseHeaders = {};
+        for (const name in res.headers) {
+          const value = res.headers[name];
+          responseHeaders[name] = Array.isArray(value) ? value.join('\n') : value;
+        }
+        resolve({
+          status: res.statusCode,
+          headers: responseHeaders,
+          body: Buffer.concat(chunks)
+        });
+      });
+    });
+    req.on('timeout', () => req.abort());
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+module.exports = createApiProxy;
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Parses command-line arguments into positional arguments and options.
+ *
+ * - `--name value` and `--name=value` set `options.name` to the value.
+ * - `--name` sets `options.name` to true if `name` is listed in `booleans`
+ *   or if it's followed by another option or nothing at all.
+ * - `--no-name` sets `options.name` to false.
+ * - Options that are given more than once are collected into an array.
+ * - Dashes in option names are converted to camel case, so that
+ *   `--max-instances` sets `options.maxInstances`.
+ * - Everything after `--` is positional.
+ *
+ * @function parseArgs
+ * @param {Array<string>} argv the arguments, without the node executable and script
+ * @param {Object} [spec]
+ * @param {Array<string>} [spec.booleans] options that never take a value
+ * @param {Object} [spec.aliases] maps short option names to long ones, like `{ p: 'port' }`
+ * @returns {Object} an object with the `positional` arguments and `options`
+ */
+function parseArgs(argv, spec={}) {
+  const booleans = spec.booleans || [];
+  const aliases = spec.aliases || {};
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+
+    const match = arg.match(/^--?([^=]+)(?:=([\s\S]*))?$/);
+    if (!match || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    let name = match[1];
+    if (arg[1] !== '-') name = aliases[name] || name;
+    name = camelize(name);
+
+    let value = match[2];
+
+    if (value === undefined) {
+      if (name.indexOf('no') === 0 && booleans.indexOf(lowerFirst(name.slice(2))) !== -1) {
+        name = lowerFirst(name.slice(2));
+        value = false;
+      } else if (booleans.indexOf(name) !== -1 || i + 1 === argv.length || /^--?[^\d]/.test(argv[i + 1])) {
+        value = true;
+      } else {
+        value = argv[++i];
+      }
+    }
+
+    if (options.hasOwnProperty(name)) {
+      options[name] = [].concat(options[name], value);
+    } else {
+      options[name] = value;
+    }
+  }
+
+  return { positional, options };
+}
+
+function camelize(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+module.exports = parseArgs;
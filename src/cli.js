@@ -0,0 +1,347 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const parseArgs = require('./cli-args');
+const powerbootMiddleware = require('./middleware');
+
+const USAGE = `Usage: powerboot <command> [options]
+
+Commands:
+  serve                 start an HTTP server that renders every request
+  render <url>          render a URL and print its HTML
+
+Options:
+  --dist <path>                       the path to the built Ember app (default: dist)
+  --resilient                         render errors as an empty page instead of failing
+  --no-should-render                  put the app in routing-only mode
+  --disable-shoebox                   don't serialize the shoebox into the HTML
+  --no-map-status                     only use the status codes set by the app
+  --destroy-app-instance-in-ms <ms>   give up on a render after this long (alias: --timeout)
+  --use-script-tags                   load the app files through script tags
+  --block <domain>                    block requests to a third-party domain and its subdomains (repeatable)
+  --record-har <file>                 record the requests the page makes to a HAR file
+  --replay-har <file>                 respond to the requests the page makes from a HAR file
+  --har-not-found <action>            abort or passthrough requests missing from the HAR file (default: abort)
+  --isolation <mode>                  none, instance or visit (default: instance with --max-instances over 1, else none)
+  --wait-for <strategy>               visit or settled (default: visit)
+  --settled-timeout-ms <ms>           the longest to wait for the app to settle (default: 5000)
+  --serialize-shadow-roots            render open shadow roots as declarative shadow DOM
+  --fragment <selector>               render only the elements matching a selector (repeatable)
+  --inline-styles                     inline the styles of the fragment's elements
+  --critical-css                      inline the CSS used above the fold and load stylesheets without blocking
+  --resource-hints                    add preload tags and a Link header for the resources the page loads
+  --resource-hint-types <types>       comma-separated resource types to hint (implies --resource-hints)
+  --emulate <device>                  desktop, tablet, mobile, auto or a Puppeteer device name
+  --timezone <timezone>               the IANA timezone to render in, like America/New_York
+  --languages <languages>             comma-separated languages for navigator.languages
+  --color-scheme <scheme>             light, dark or no-preference
+  --reduced-motion <preference>       reduce or no-preference
+  --deterministic                     render with a frozen clock and seeded Math.random()
+  --now <time>                        the time to freeze the clock at (implies --deterministic)
+  --seed <seed>                       the seed for Math.random() (implies --deterministic)
+  --fast-forward <ms>                 fire timers due within this many ms right away (implies --deterministic)
+
+Options for serve:
+  -p, --port <port>                   the port to listen on (default: 3000)
+  --host <host>                       the host to listen on (default: all interfaces)
+  --min-instances <n>                 the number of app instances to keep around (default: 1)
+  --max-instances <n>                 the number of app instances that render at once (default: 1)
+  --instance-idle-timeout-ms <ms>     how long an app instance can be idle (default: 30000)
+  --chunked-response                  write responses in chunks
+
+Options for render:
+  -o, --output <file>                 write the HTML to a file instead of stdout
+  -i, --include-headers               print the status code and headers before the HTML
+  --screenshot <file>                 save a screenshot of the page (PNG or JPEG, by extension)
+  --pdf <file>                        save the page as a PDF
+
+  -h, --help                          show this message`;
+
+const BOOLEANS = [
+  'resilient',
+  'shouldRender',
+  'disableShoebox',
+  'mapStatus',
+  'useScriptTags',
+  'serializeShadowRoots',
+  'inlineStyles',
+  'criticalCss',
+  'resourceHints',
+  'deterministic',
+  'chunkedResponse',
+  'includeHeaders',
+  'help'
+];
+
+const ALIASES = { p: 'port', o: 'output', i: 'includeHeaders', h: 'help' };
+
+/**
+ * Runs the `powerboot` command.
+ *
+ * @function run
+ * @param {Array<string>} argv the arguments, without the node executable and script
+ * @param {Object} [io]
+ * @param {Stream} [io.stdout=process.stdout]
+ * @param {Stream} [io.stderr=process.stderr]
+ * @param {Function} [io.PowerBoot] the PowerBoot class to render with
+ * @returns {Promise<Integer>} the exit code. `serve` resolves once the server is listening.
+ */
+async function run(argv, io={}) {
+  io = normalizeIO(io);
+
+  let command, url, options;
+
+  try {
+    const args = parseArgs(argv, { booleans: BOOLEANS, aliases: ALIASES });
+    options = buildOptions(args.options);
+    [ command, url ] = args.positional;
+  } catch(error) {
+    io.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+
+  if (options.help || !command) {
+    (options.help ? io.stdout : io.stderr).write(`${USAGE}\n`);
+    return options.help ? 0 : 1;
+  }
+
+  if (command !== 'serve' && command !== 'render') {
+    io.stderr.write(`Unknown command \`${command}\`.\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  if (command === 'render' && !url) {
+    io.stderr.write('The `render` command needs a URL to render, like `powerboot render /about`.\n');
+    return 1;
+  }
+
+  try {
+    if (command === 'render') {
+      return await render(url, options, io);
+    }
+
+    const app = await serve(options, io);
+    const stop = () => app.close();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    return 0;
+  } catch(error) {
+    io.stderr.write(`${error.stack || error.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * Starts an HTTP server that renders every request with PowerBoot.
+ *
+ * @function serve
+ * @param {Object} options the parsed command-line options
+ * @param {Object} io
+ * @returns {Promise<Object>} an object with the `server`, the `powerboot` instance, the `url` it listens on and a `close()` method
+ */
+async function serve(options, io) {
+  io = normalizeIO(io);
+
+  const powerboot = createPowerBoot(options, io);
+  const middleware = powerbootMiddleware({
+    powerboot,
+    chunkedResponse: options.chunkedResponse,
+    visitOptions: options.visitOptions
+  });
+
+  const server = http.createServer((req, res) => {
+    middleware(req, res, error => {
+      if (error) {
+        io.stderr.write(`${req.url}: ${error.stack || error.message}\n`);
+      }
+      if (res.headersSent) return res.end();
+      res.statusCode = error ? 500 : 404;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(error ? 'Internal Server Error' : 'Not Found');
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+
+  const host = options.host || 'localhost';
+  const url = `http://${host.indexOf(':') === -1 ? host : `[${host}]`}:${server.address().port}`;
+
+  io.stdout.write(`PowerBoot is serving ${options.distPath} at ${url}\n`);
+
+  return {
+    server,
+    powerboot,
+    url,
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await powerboot.close();
+    }
+  };
+}
+
+/**
+ * Renders a URL and writes its HTML to stdout or a file.  Errors that are
+ * caught in resilient mode are printed, and make the exit code 1.
+ *
+ * With `--screenshot` or `--pdf`, the page is saved to those files, and
+ * the HTML is only written if `--output` is given.
+ *
+ * @function render
+ * @param {string} url
+ * @param {Object} options the parsed command-line options
+ * @param {Object} io
+ * @returns {Promise<Integer>} the exit code
+ */
+async function render(url, options, io) {
+  io = normalizeIO(io);
+
+  const powerboot = createPowerBoot(options, io);
+
+  try {
+    const result = await powerboot.visit(url, options.visitOptions);
+    const html = await result.html();
+
+    if (options.includeHeaders) {
+      io.stdout.write(formatHeaders(result));
+    }
+
+    if (options.output) {
+      fs.writeFileSync(options.output, html);
+    } else if (!options.visitOptions.capture) {
+      io.stdout.write(html);
+    }
+
+    if (result.error) {
+      io.stderr.write(`${result.error.stack || result.error.message}\n`);
+      return 1;
+    }
+
+    return 0;
+  } finally {
+    await powerboot.close();
+  }
+}
+
+/**
+ * Turns the parsed command-line options into PowerBoot constructor
+ * options and `visit()` options.
+ *
+ * @function buildOptions
+ * @param {Object} args
+ * @returns {Object}
+ */
+function buildOptions(args) {
+  const timeout = args.destroyAppInstanceInMs !== undefined ? args.destroyAppInstanceInMs : args.timeout;
+
+  const visitOptions = {};
+  if (args.shouldRender !== undefined) visitOptions.shouldRender = args.shouldRender;
+  if (args.disableShoebox !== undefined) visitOptions.disableShoebox = args.disableShoebox;
+  if (args.mapStatus !== undefined) visitOptions.mapStatus = args.mapStatus;
+  if (timeout !== undefined) visitOptions.destroyAppInstanceInMs = toInteger(timeout, 'destroy-app-instance-in-ms');
+  if (args.block !== undefined) visitOptions.requestRules = [ { action: 'block', domain: [].concat(args.block) } ];
+  if (args.recordHar !== undefined && args.replayHar !== undefined) {
+    throw new Error('The `--record-har` and `--replay-har` options can\'t be used together.');
+  }
+  if (args.recordHar !== undefined) visitOptions.har = { mode: 'record', path: args.recordHar };
+  if (args.replayHar !== undefined) {
+    visitOptions.har = { mode: 'replay', path: args.replayHar };
+    if (args.harNotFound !== undefined) visitOptions.har.notFound = args.harNotFound;
+  }
+  if (args.waitFor !== undefined) visitOptions.waitFor = args.waitFor;
+  if (args.emulate !== undefined) visitOptions.emulate = args.emulate;
+  if (args.timezone !== undefined) visitOptions.timezone = args.timezone;
+  if (args.languages !== undefined) visitOptions.languages = String(args.languages).split(',').map(language => language.trim());
+  if (args.colorScheme !== undefined) visitOptions.colorScheme = args.colorScheme;
+  if (args.reducedMotion !== undefined) visitOptions.reducedMotion = args.reducedMotion;
+  if (args.serializeShadowRoots !== undefined) visitOptions.serializeShadowRoots = args.serializeShadowRoots;
+  if (args.settledTimeoutMs !== undefined) visitOptions.settledTimeoutMs = toInteger(args.settledTimeoutMs, 'settled-timeout-ms');
+  if (args.criticalCss !== undefined) visitOptions.criticalCSS = args.criticalCss;
+  if (args.resourceHintTypes !== undefined) {
+    visitOptions.resourceHints = { types: String(args.resourceHintTypes).split(',').map(type => type.trim()) };
+  } else if (args.resourceHints !== undefined) {
+    visitOptions.resourceHints = args.resourceHints;
+  }
+  if (args.fragment !== undefined) visitOptions.fragment = { selector: [].concat(args.fragment), inlineStyles: !!args.inlineStyles };
+
+  if (args.screenshot !== undefined || args.pdf !== undefined) {
+    visitOptions.capture = {};
+    if (args.screenshot !== undefined) visitOptions.capture.screenshot = { path: args.screenshot };
+    if (args.pdf !== undefined) visitOptions.capture.pdf = { path: args.pdf };
+  }
+
+  if (args.deterministic || args.now !== undefined || args.seed !== undefined || args.fastForward !== undefined) {
+    const deterministic = visitOptions.deterministic = {};
+    if (args.now !== undefined) deterministic.now = /^\d+$/.test(args.now) ? Number(args.now) : args.now;
+    if (args.seed !== undefined) deterministic.seed = args.seed;
+    if (args.fastForward !== undefined) deterministic.fastForward = toInteger(args.fastForward, 'fast-forward');
+  } else if (args.deterministic === false) {
+    visitOptions.deterministic = false;
+  }
+
+  return {
+    help: args.help,
+    distPath: args.dist || 'dist',
+    resilient: args.resilient,
+    useScriptTags: args.useScriptTags,
+    isolation: args.isolation,
+    port: args.port !== undefined ? toInteger(args.port, 'port') : 3000,
+    host: args.host,
+    minInstances: toInteger(args.minInstances, 'min-instances'),
+    maxInstances: toInteger(args.maxInstances, 'max-instances'),
+    instanceIdleTimeoutMs: toInteger(args.instanceIdleTimeoutMs, 'instance-idle-timeout-ms'),
+    chunkedResponse: args.chunkedResponse,
+    output: args.output,
+    includeHeaders: args.includeHeaders,
+    visitOptions
+  };
+}
+
+function createPowerBoot(options, io) {
+  const PowerBoot = io.PowerBoot || require('./index');
+  return new PowerBoot({
+    distPath: options.distPath,
+    resilient: options.resilient,
+    useScriptTags: options.useScriptTags,
+    isolation: options.isolation,
+    minInstances: options.minInstances,
+    maxInstances: options.maxInstances,
+    instanceIdleTimeoutMs: options.instanceIdleTimeoutMs
+  });
+}
+
+/**
+ * Formats the status code and headers of a result like an HTTP response.
+ *
+ * @function formatHeaders
+ * @param {Result} result
+ * @returns {string}
+ */
+function formatHeaders(result) {
+  const lines = [ `HTTP ${result.statusCode}` ];
+  const headers = result.headers;
+  if (headers) {
+    for (const name of new Set(headers.keys())) {
+      for (const value of headers.getAll(name)) lines.push(`${name}: ${value}`);
+    }
+  }
+  return lines.join('\n') + '\n\n';
+}
+
+function toInteger(value, name) {
+  if (value === undefined) return undefined;
+  const integer = Number(value);
+  if (!Number.isInteger(integer)) {
+    throw new Error(`The \`--${name}\` option must be a whole number.`);
+  }
+  return integer;
+}
+
+function normalizeIO(io) {
+  return Object.assign({ stdout: process.stdout, stderr: process.stderr }, io);
+}
+
+module.exports = { run, serve, render };
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Installs a cookie jar in the page in place of `document.cookie`, so that
+ * the cookies an app sets while rendering can be sent to the user as
+ * `Set-Cookie` headers.  Every page has its own jar, which keeps renders on
+ * other pages of the same origin from seeing each other's cookies.
+ *
+ * `window.__powerbootCookies.reset(header)` fills the jar with the cookies
+ * of a request's `Cookie` header at the start of a visit, and `changes()`
+ * returns those cookies along with every cookie written since.
+ *
+ * Runs in the page.
+ *
+ * @function installCookieJar
+ */
+function installCookieJar() {
+  if (window.__powerbootCookies) return;
+
+  let jar = new Map();
+  let requestCookies = {};
+  let written = new Set();
+
+  const keyFor = cookie => [ cookie.name, cookie.domain, cookie.path ].join(';');
+
+  const isExpired = cookie => cookie.expiresAt !== null && cookie.expiresAt <= Date.now();
+
+  const parse = string => {
+    const [ pair, ...attributes ] = String(string).split(';');
+    const index = pair.indexOf('=');
+    if (index === -1) return null;
+
+    const cookie = {
+      name: pair.slice(0, index).trim(),
+      value: pair.slice(index + 1).trim(),
+      path: '/',
+      domain: null,
+      expires: null,
+      maxAge: null,
+      secure: false,
+      sameSite: null,
+      expiresAt: null
+    };
+    if (!cookie.name) return null;
+
+    for (const attribute of attributes) {
+      const separator = attribute.indexOf('=');
+      const name = (separator === -1 ? attribute : attribute.slice(0, separator)).trim().toLowerCase();
+      const value = separator === -1 ? '' : attribute.slice(separator + 1).trim();
+
+      if (name === 'path' && value.charAt(0) === '/') {
+        cookie.path = value;
+      } else if (name === 'domain' && value) {
+        cookie.domain = value.replace(/^\./, '').toLowerCase();
+      } else if (name === 'expires' && !isNaN(Date.parse(value))) {
+        cookie.expires = new Date(Date.parse(value)).toUTCString();
+      } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+        cookie.maxAge = parseInt(value, 10);
+      } else if (name === 'secure') {
+        cookie.secure = true;
+      } else if (name === 'samesite' && value) {
+        cookie.sameSite = value;
+      }
+    }
+
+    if (cookie.maxAge !== null) {
+      cookie.expiresAt = Date.now() + cookie.maxAge * 1000;
+    } else if (cookie.expires !== null) {
+      cookie.expiresAt = Date.parse(cookie.expires);
+    }
+
+    return cookie;
+  };
+
+  Object.defineProperty(Document.prototype, 'cookie', {
+    configurable: true,
+    get() {
+      return Array.from(jar.values())
+        .filter(cookie => !isExpired(cookie))
+        .sort((a, b) => b.path.length - a.path.length)
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    },
+    set(string) {
+      const cookie = parse(string);
+      if (!cookie) return;
+      const key = keyFor(cookie);
+      jar.set(key, cookie);
+      written.add(key);
+    }
+  });
+
+  window.__powerbootCookies = {
+    reset(header) {
+      jar = new Map();
+      requestCookies = {};
+      written = new Set();
+      for (const pair of (header || '').split(';')) {
+        const cookie = parse(pair);
+        if (!cookie || requestCookies.hasOwnProperty(cookie.name)) continue;
+        requestCookies[cookie.name] = cookie.value;
+        jar.set(keyFor(cookie), cookie);
+      }
+    },
+
+    changes() {
+      return {
+        request: requestCookies,
+        written: Array.from(written).map(key => {
+          const cookie = jar.get(key);
+          return Object.assign({}, cookie, { expired: isExpired(cookie) });
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Turns the cookies that were written while rendering into `Set-Cookie`
+ * headers: one for every cookie that is new or has a different value than
+ * in the request, and one that expires the cookie for every cookie from
+ * the request that was deleted.  Cookies the app already set a
+ * `Set-Cookie` header for, like ember-cookies does in FastBoot, are left
+ * alone.
+ *
+ * @function applyCookieChanges
+ * @param {Object} changes the `request` cookies and the `written` cookies, as returned by `changes()` in the page
+ * @param {FastBootHeaders} headers the response headers to add the `Set-Cookie` headers to
+ * @returns {Array<string>} the headers that were added
+ */
+function applyCookieChanges(changes, headers) {
+  const existing = headers.getAll('set-cookie').map(header => header.split('=')[0].trim());
+
+  const added = changes.written
+    .filter(cookie => {
+      if (existing.indexOf(cookie.name) !== -1) return false;
+      const requested = changes.request.hasOwnProperty(cookie.name) ? changes.request[cookie.name] : undefined;
+      return cookie.expired ? requested !== undefined : requested !== cookie.value;
+    })
+    .map(serializeCookie);
+
+  for (const header of added) headers.append('set-cookie', header);
+
+  return added;
+}
+
+/**
+ * Serializes a cookie from the jar into a `Set-Cookie` header.
+ *
+ * @function serializeCookie
+ * @param {Object} cookie
+ * @returns {string}
+ */
+function serializeCookie(cookie) {
+  const parts = [ `${cookie.name}=${cookie.value}`, `Path=${cookie.path}` ];
+  if (cookie.domain) parts.push(`Domain=${cookie.domain}`);
+  if (cookie.expires) parts.push(`Expires=${cookie.expires}`);
+  if (cookie.maxAge !== null) parts.push(`Max-Age=${cookie.maxAge}`);
+  if (cookie.secure) parts.push('Secure');
+  if (cookie.sameSite) parts.push(`SameSite=${cookie.sameSite}`);
+  return parts.join('; ');
+}
+
+module.exports = { installCookieJar, applyCookieChanges, serializeCookie };
@@ -0,0 +1,370 @@
+'use strict';
+
+const { URL } = require('url');
+const debug = require('debug')('powerboot:critical-css');
+
+const GROUPING_AT_RULES = ['@media', '@supports', '@layer', '@container', '@document', '@-moz-document'];
+
+// Pseudo-classes and pseudo-elements that depend on user interaction or
+// don't match elements of their own, which are left out when looking for
+// the elements a selector applies to.
+const DYNAMIC_PSEUDO_PATTERN = new RegExp('::?(?:' + [
+  'before', 'after', 'first-line', 'first-letter', 'placeholder', 'selection', 'marker', 'backdrop',
+  'hover', 'focus', 'focus-within', 'focus-visible', 'active', 'visited', 'target',
+  '-webkit-[\\w-]+', '-moz-[\\w-]+', '-ms-[\\w-]+'
+].join('|') + ')(?![\\w-])', 'g');
+
+/**
+ * Extracts the critical CSS of a rendered page: the rules of its
+ * stylesheets that apply to what's visible in the viewport before
+ * scrolling.
+ *
+ * Which rules the page uses is tracked with Chromium's CSS coverage from
+ * the moment the page's content is set, and the used rules are then
+ * narrowed down to those whose selectors match an element above the fold
+ * of the emulated viewport.  Rules in `@media` and `@supports` blocks keep
+ * their conditions, and the `@font-face` and `@keyframes` rules the
+ * critical rules refer to are kept along with them.
+ *
+ * @class CriticalCSSExtractor
+ * @private
+ */
+class CriticalCSSExtractor {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this._isTracking = false;
+  }
+
+  /**
+   * Normalizes the `criticalCSS` option.
+   *
+   * @method normalizeOptions
+   * @static
+   * @param {Boolean|Object} options
+   * @returns {Object|null}
+   */
+  static normalizeOptions(options) {
+    if (!options) return null;
+    if (options === true) options = {};
+    return {
+      key: options.key || defaultKey
+    };
+  }
+
+  /**
+   * Starts tracking which CSS rules the page uses.
+   *
+   * @method start
+   * @returns {Promise}
+   */
+  async start() {
+    if (this._isTracking) await this.stop();
+    await this.page.coverage.startCSSCoverage({ resetOnNavigation: false });
+    this._isTracking = true;
+  }
+
+  /**
+   * Stops tracking CSS rules.
+   *
+   * @method stop
+   * @returns {Promise<Array<Object>>} the `url`, `text` and used `ranges` of every stylesheet
+   */
+  async stop() {
+    if (!this._isTracking) return [];
+    this._isTracking = false;
+    return this.page.coverage.stopCSSCoverage();
+  }
+
+  /**
+   * Stops tracking CSS rules and works out the critical CSS of the page's
+   * `<link rel="stylesheet">` stylesheets.  URLs in the critical CSS are
+   * made relative to the root of the page's origin, since the CSS is moved
+   * out of its stylesheet.
+   *
+   * @method extract
+   * @returns {Promise<Object>} the critical `css`, and the URLs of the `stylesheets` it was extracted from
+   */
+  async extract() {
+    const coverage = await this.stop();
+    const stylesheets = await this.page.evaluate(() => {
+      return Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]'), link => link.href);
+    });
+    const pageOrigin = new URL(this.page.url()).origin;
+
+    const rules = [];
+    for (const url of stylesheets) {
+      const entry = coverage.filter(entry => entry.url === url)[0];
+      if (!entry) continue;
+      for (const rule of parseStylesheet(entry.text)) {
+        if (rule.type !== 'style' || isUsed(rule, entry.ranges)) {
+          rules.push(Object.assign(rule, { text: rewriteURLs(rule.text, url, pageOrigin) }));
+        }
+      }
+    }
+
+    const styleRules = rules.filter(rule => rule.type === 'style');
+    const matches = await this.page.evaluate(matchAboveTheFold, styleRules.map(rule => rule.selector), DYNAMIC_PSEUDO_PATTERN.source);
+    const critical = styleRules.filter((rule, index) => matches[index]);
+
+    // Font faces and keyframes are only needed if a critical rule uses them.
+    const criticalText = critical.map(rule => rule.text).join('\n');
+    const referenced = rules.filter(rule => {
+      return rule.type !== 'style' && rule.name && criticalText.indexOf(rule.name) !== -1;
+    });
+
+    const css = buildCSS(rules.filter(rule => critical.indexOf(rule) !== -1 || referenced.indexOf(rule) !== -1));
+    debug('extracted %d of %d used rules from %d stylesheets', critical.length, styleRules.length, stylesheets.length);
+
+    return {
+      css,
+      stylesheets: stylesheets.map(url => relativeURL(url, pageOrigin))
+    };
+  }
+
+  /**
+   * Inlines critical CSS in the head of the page and turns its
+   * stylesheets into non-blocking ones, until `restore()` is called.
+   *
+   * @method inline
+   * @param {Result} result the result of the visit, whose HTML is updated
+   * @param {Object} criticalCSS the `css` and `stylesheets` returned by `extract()`
+   * @returns {Promise}
+   */
+  async inline(result, criticalCSS) {
+    await result.evaluate(inlineCriticalCSS, criticalCSS.css, criticalCSS.stylesheets);
+  }
+
+  /**
+   * Puts the page's stylesheets back the way they were once the HTML
+   * has been serialized, so that screenshots and PDFs of the page are
+   * taken with all of its styles.
+   *
+   * @method restore
+   * @returns {Promise}
+   */
+  async restore() {
+    await this.page.evaluate(() => {
+      if (window.__powerbootCriticalCSS) window.__powerbootCriticalCSS.restore();
+    });
+  }
+}
+
+/**
+ * The default key critical CSS is cached under: the route the visit ended
+ * up in, the size of the viewport and the emulated color scheme.
+ *
+ * @function defaultKey
+ * @param {Result} result
+ * @returns {string|null}
+ */
+function defaultKey(result) {
+  if (!result.routing) return null;
+  const viewport = result.emulation ? result.emulation.viewport : null;
+  return JSON.stringify([
+    result.routing.routeName,
+    viewport ? `${viewport.width}x${viewport.height}` : null,
+    result.preferences ? result.preferences.colorScheme : null
+  ]);
+}
+
+/**
+ * Splits the text of a stylesheet into its rules.  Style rules have a
+ * `selector`, and `@font-face` and `@keyframes` rules have the `name` of
+ * the font family or animation.  Every rule has its `text`, its `start`
+ * and `end` offsets in the stylesheet, and the `conditions` of the
+ * `@media` and `@supports` blocks it's in, outermost first.  Other
+ * at-rules are left out.
+ *
+ * @function parseStylesheet
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function parseStylesheet(text) {
+  const rules = [];
+  const blocks = [];
+  let preludeStart = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+      if (text.slice(preludeStart, i + 1).trim().indexOf('/*') === 0) preludeStart = i + 1;
+    } else if (char === '"' || char === '\'') {
+      for (i++; i < text.length && text[i] !== char; i++) {
+        if (text[i] === '\\') i++;
+      }
+    } else if (char === '{') {
+      const prelude = text.slice(preludeStart, i).trim();
+      const start = preludeStart + Math.max(text.slice(preludeStart, i).search(/\S/), 0);
+      blocks.push({ prelude, start, isGrouping: isGroupingAtRule(prelude) });
+      preludeStart = i + 1;
+    } else if (char === '}') {
+      const block = blocks.pop();
+      preludeStart = i + 1;
+      if (!block || block.isGrouping) continue;
+
+      // Keyframe selectors and the like are part of their at-rule.
+      if (blocks.some(parent => !parent.isGrouping)) continue;
+
+      const rule = {
+        start: block.start,
+        end: i + 1,
+        text: text.slice(block.start, i + 1),
+        conditions: blocks.map(parent => parent.prelude)
+      };
+
+      if (block.prelude.charAt(0) !== '@') {
+        rules.push(Object.assign({ type: 'style', selector: block.prelude }, rule));
+      } else if (/^@font-face\b/i.test(block.prelude)) {
+        const family = rule.text.match(/font-family\s*:\s*(['"]?)([^;'"}]+)\1/i);
+        rules.push(Object.assign({ type: 'font-face', name: family ? family[2].trim() : null }, rule));
+      } else if (/^@(-webkit-)?keyframes\b/i.test(block.prelude)) {
+        rules.push(Object.assign({ type: 'keyframes', name: block.prelude.replace(/^@\S+\s*/, '').replace(/^['"]|['"]$/g, '') }, rule));
+      }
+    } else if (char === ';' && !blocks.length) {
+      // Statements like `@import` and `@charset`.
+      preludeStart = i + 1;
+    }
+  }
+
+  return rules;
+}
+
+function isGroupingAtRule(prelude) {
+  const name = prelude.split(/[\s(]/)[0].toLowerCase();
+  return GROUPING_AT_RULES.indexOf(name) !== -1;
+}
+
+function isUsed(rule, ranges) {
+  return ranges.some(range => range.start < rule.end && range.end > rule.start);
+}
+
+/**
+ * Joins rules back into a stylesheet, wrapping runs of rules that are in
+ * the same blocks in those blocks.
+ *
+ * @function buildCSS
+ * @param {Array<Object>} rules
+ * @returns {string}
+ */
+function buildCSS(rules) {
+  const chunks = [];
+  let open = [];
+
+  for (const rule of rules) {
+    let shared = 0;
+    while (shared < open.length && shared < rule.conditions.length && open[shared] === rule.conditions[shared]) shared++;
+    for (let i = open.length; i > shared; i--) chunks.push('}');
+    for (const condition of rule.conditions.slice(shared)) chunks.push(`${condition}{`);
+    open = rule.conditions;
+    chunks.push(rule.text);
+  }
+  for (let i = open.length; i > 0; i--) chunks.push('}');
+
+  return chunks.join('\n');
+}
+
+/**
+ * Resolves the relative `url()`s of CSS against the URL of its stylesheet,
+ * so that they still point to the same files once the CSS is inlined.
+ *
+ * @function rewriteURLs
+ * @param {string} css
+ * @param {string} baseURL the URL of the stylesheet the CSS comes from
+ * @param {string} pageOrigin the origin of the page, whose URLs are turned into paths
+ * @returns {string}
+ */
+function rewriteURLs(css, baseURL, pageOrigin) {
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+    if (/^(data:|#|[a-z][a-z\d+.-]*:\/\/)/i.test(url)) return match;
+    return `url(${quote}${relativeURL(new URL(url, baseURL).href, pageOrigin)}${quote})`;
+  });
+}
+
+function relativeURL(url, pageOrigin) {
+  const parsed = new URL(url);
+  return parsed.origin === pageOrigin ? parsed.pathname + parsed.search + parsed.hash : url;
+}
+
+/**
+ * Checks which selectors match an element that is at least partly within
+ * the viewport.  Selectors that can't be checked, like ones that only
+ * match pseudo-elements, are assumed to match.  Runs in the page.
+ *
+ * @function matchAboveTheFold
+ * @param {Array<string>} selectors
+ * @param {string} dynamicPseudoPattern the source of the pattern matching the pseudo-classes and -elements to ignore
+ * @returns {Array<Boolean>}
+ */
+function matchAboveTheFold(selectors, dynamicPseudoPattern) {
+  const pattern = new RegExp(dynamicPseudoPattern, 'g');
+  const height = window.innerHeight;
+  const isAboveTheFold = element => element.getBoundingClientRect().top < height;
+
+  return selectors.map(selector => {
+    try {
+      return Array.from(document.querySelectorAll(selector.replace(pattern, ''))).some(isAboveTheFold);
+    } catch(error) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Inlines critical CSS in a `<style>` before the first of the page's
+ * stylesheets, and has those stylesheets load without blocking rendering:
+ * they start out with `media="print"` and switch to their own media once
+ * they have loaded, with a `<noscript>` copy for browsers without
+ * JavaScript.  `window.__powerbootCriticalCSS.restore()` undoes this.
+ * Runs in the page.
+ *
+ * @function inlineCriticalCSS
+ * @param {string} css
+ * @param {Array<string>} stylesheets the URLs of the stylesheets the CSS was extracted from
+ */
+function inlineCriticalCSS(css, stylesheets) {
+  const links = Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]')).filter(link => {
+    const url = new URL(link.href);
+    return stylesheets.indexOf(url.origin === location.origin ? url.pathname + url.search + url.hash : url.href) !== -1;
+  });
+
+  const style = document.createElement('style');
+  style.setAttribute('data-critical-css', '');
+  style.textContent = css;
+  if (links.length) {
+    links[0].parentNode.insertBefore(style, links[0]);
+  } else {
+    document.head.appendChild(style);
+  }
+
+  const changes = links.map(link => {
+    const noscript = document.createElement('noscript');
+    noscript.appendChild(link.cloneNode());
+    link.parentNode.insertBefore(noscript, link.nextSibling);
+
+    const media = link.getAttribute('media');
+    const onload = link.getAttribute('onload');
+    link.setAttribute('media', 'print');
+    link.setAttribute('onload', `this.onload=null;this.media='${(media || 'all').replace(/['\\]/g, '\\$&')}'`);
+    return { link, noscript, media, onload };
+  });
+
+  window.__powerbootCriticalCSS = {
+    restore() {
+      style.remove();
+      for (const { link, noscript, media, onload } of changes) {
+        noscript.remove();
+        if (media === null) link.removeAttribute('media'); else link.setAttribute('media', media);
+        if (onload === null) link.removeAttribute('onload'); else link.setAttribute('onload', onload);
+      }
+      delete window.__powerbootCriticalCSS;
+    }
+  };
+}
+
+module.exports = { CriticalCSSExtractor, parseStylesheet, buildCSS, rewriteURLs };
@@ -0,0 +1,151 @@
+'use strict';
+
+const DEFAULT_SEED = 1;
+const DEFAULT_FAST_FORWARD_MS = 60 * 1000;
+
+/**
+ * Normalizes the `deterministic` option of a visit.
+ *
+ * @function normalizeDeterministicOptions
+ * @param {Boolean|Object} option
+ * @param {Integer} visitedAt the time the visit started, used when no `now` is given
+ * @returns {Object|null} the `now`, `seed` and `fastForward`(a number of ms, or 0) to render with
+ */
+function normalizeDeterministicOptions(option, visitedAt) {
+  if (!option) return null;
+  if (option === true) option = {};
+
+  const now = option.now === undefined ? visitedAt : new Date(option.now).getTime();
+  if (isNaN(now)) {
+    throw new Error('The `deterministic.now` option must be a timestamp, a date string or a Date.');
+  }
+
+  let fastForward = option.fastForward || 0;
+  if (fastForward === true) fastForward = DEFAULT_FAST_FORWARD_MS;
+
+  return {
+    now,
+    seed: option.seed === undefined ? DEFAULT_SEED : option.seed,
+    fastForward
+  };
+}
+
+/**
+ * Installs a controllable clock and random source in the page, in place of
+ * `Date`, `performance.now()`, `Math.random()`, `setTimeout()` and
+ * `clearTimeout()`.  They behave like the originals until the clock is
+ * configured for a visit, so this can be done once, before the app files
+ * are evaluated, for every visit the page renders.
+ *
+ * Once configured, the clock stands still at `now` and only moves forward
+ * when a timer fires, to the time the timer was due.  With `fastForward`,
+ * timers due within that many ms of `now` fire right away, in order,
+ * instead of after their delay.
+ *
+ * Runs in the page.
+ *
+ * @function installClock
+ */
+function installClock() {
+  if (window.__powerbootClock) return;
+
+  const RealDate = window.Date;
+  const realNow = RealDate.now;
+  const realPerformanceNow = performance.now.bind(performance);
+  const realRandom = Math.random;
+  const realSetTimeout = window.setTimeout;
+  const realClearTimeout = window.clearTimeout;
+
+  // Virtual timer IDs start high so that they don't collide with real ones.
+  const FIRST_TIMER_ID = 1e9;
+
+  let config = null;
+  let now = 0;
+  let random = null;
+  let timers = [];
+  let nextTimerId = FIRST_TIMER_ID;
+  let isRunning = false;
+
+  // mulberry32, seeded with a number or a hash of a string
+  const seededRandom = seed => {
+    let state = 0;
+    for (const char of String(seed)) state = Math.imul(state ^ char.charCodeAt(0), 2654435761);
+    return () => {
+      state = state + 0x6D2B79F5 | 0;
+      let t = Math.imul(state ^ state >>> 15, 1 | state);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  };
+
+  const currentTime = () => config ? now : realNow.call(RealDate);
+
+  const runTimers = () => {
+    isRunning = false;
+    const timer = timers.shift();
+    if (!timer) return;
+    now = Math.max(now, timer.dueAt);
+    scheduleTimers();
+    timer.callback(...timer.args);
+  };
+
+  const scheduleTimers = () => {
+    if (isRunning || !timers.length) return;
+    isRunning = true;
+    realSetTimeout.call(window, runTimers, 0);
+  };
+
+  function Date(...args) {
+    if (!new.target) return new RealDate(currentTime()).toString();
+    return Reflect.construct(RealDate, args.length ? args : [ currentTime() ], new.target);
+  }
+  Object.setPrototypeOf(Date, RealDate);
+  Date.prototype = RealDate.prototype;
+  Date.now = () => currentTime();
+
+  window.Date = Date;
+
+  performance.now = () => config ? now - config.now : realPerformanceNow();
+
+  Math.random = () => random ? random() : realRandom();
+
+  window.setTimeout = function(callback, delay, ...args) {
+    if (!config || typeof callback !== 'function') {
+      return realSetTimeout.apply(window, arguments);
+    }
+    const dueAt = now + (Number(delay) || 0);
+    if (!config.fastForward || dueAt > config.now + config.fastForward) {
+      // The clock only moves when timers fire, so that code comparing
+      // `Date.now()` against a deadline sees the deadline pass.
+      const visitConfig = config;
+      return realSetTimeout.call(window, () => {
+        if (config === visitConfig) now = Math.max(now, dueAt);
+        callback(...args);
+      }, delay);
+    }
+    const id = nextTimerId++;
+    timers.push({ id, callback, args, dueAt });
+    timers.sort((a, b) => a.dueAt - b.dueAt || a.id - b.id);
+    scheduleTimers();
+    return id;
+  };
+
+  window.clearTimeout = function(id) {
+    if (id >= FIRST_TIMER_ID) {
+      timers = timers.filter(timer => timer.id !== id);
+    } else {
+      realClearTimeout.apply(window, arguments);
+    }
+  };
+
+  window.__powerbootClock = {
+    configure(options) {
+      config = options;
+      now = options ? options.now : 0;
+      random = options ? seededRandom(options.seed) : null;
+      timers = [];
+    }
+  };
+}
+
+module.exports = { installClock, normalizeDeterministicOptions };
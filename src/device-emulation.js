@@ -0,0 +1,183 @@
+'use strict';
+
+const debug = require('debug')('powerboot:device-emulation');
+const DEVICE_DESCRIPTORS = require('puppeteer/DeviceDescriptors');
+
+const TABLET_USER_AGENT_PATTERN = /iPad|Tablet|PlayBook|Silk|Kindle|Android(?!.*Mobile)/i;
+const MOBILE_USER_AGENT_PATTERN = /Mobi|iPhone|iPod|Android|BlackBerry|IEMobile|Opera Mini/i;
+
+/**
+ * The generic devices that the `auto` mode picks from.  Their user agent
+ * is left alone, since `auto` keeps the one sent with the request.
+ */
+const DEVICE_PRESETS = {
+  desktop: {
+    viewport: { width: 1280, height: 1024, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: true }
+  },
+  tablet: {
+    viewport: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true, isLandscape: false }
+  },
+  mobile: {
+    viewport: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true, isLandscape: false }
+  }
+};
+
+/**
+ * Sets the viewport, device scale factor, touch support and user agent
+ * of a page for the visits it renders, and puts them back to how they
+ * were for visits that don't ask for emulation.
+ *
+ * @class DeviceEmulator
+ * @private
+ */
+class DeviceEmulator {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this._defaults = null;
+    this._current = null;
+  }
+
+  /**
+   * Emulates a device on the page.  Changing whether the page is mobile
+   * or has touch support makes Chromium reload the page, in which case
+   * the app has to be booted again.
+   *
+   * @method emulate
+   * @param {Object|null} emulation the resolved emulation, as returned by {@link resolveEmulation}
+   * @returns {Promise<Boolean>} whether the page was reloaded
+   */
+  async emulate(emulation) {
+    if (!emulation && !this._current) return false;
+
+    if (!this._defaults) {
+      this._defaults = {
+        viewport: this.page.viewport(),
+        userAgent: await this.page.browser().userAgent()
+      };
+    }
+
+    const target = {
+      viewport: (emulation && emulation.viewport) || this._defaults.viewport,
+      userAgent: (emulation && emulation.userAgent) || this._defaults.userAgent
+    };
+    const current = this._current || this._defaults;
+
+    if (JSON.stringify(target) === JSON.stringify(current)) return false;
+
+    debug('emulating %o', target);
+
+    const previousViewport = current.viewport || {};
+    const needsReload = target.viewport && (
+      !!target.viewport.isMobile !== !!previousViewport.isMobile ||
+      !!target.viewport.hasTouch !== !!previousViewport.hasTouch
+    );
+
+    if (target.userAgent !== current.userAgent) {
+      await this.page.setUserAgent(target.userAgent);
+    }
+    if (target.viewport) {
+      await this.page.setViewport(target.viewport);
+    }
+
+    this._current = emulation ? target : null;
+    return !!needsReload;
+  }
+}
+
+/**
+ * Resolves the `emulate` option of a visit into a viewport and user agent.
+ *
+ * - A string is the name of a preset: `desktop`, `tablet` or `mobile`, or
+ *   one of Puppeteer's device descriptors, like `iPhone X` or `iPad landscape`.
+ * - `auto` picks a preset based on the `User-Agent` and client hint headers
+ *   of the request, keeping the request's user agent.  The `Viewport-Width`
+ *   and `DPR` hints override the preset's width and device scale factor.
+ * - An object can have a `device` to start from, a `viewport` to merge into
+ *   it and a `userAgent`.
+ *
+ * @function resolveEmulation
+ * @param {string|Object} option the `emulate` option
+ * @param {FastBootRequest} [request] the request being rendered
+ * @returns {Object|null} an object with the `device` name, `viewport` and `userAgent`
+ */
+function resolveEmulation(option, request) {
+  if (!option) return null;
+
+  if (option === 'auto') {
+    return detectEmulation(request);
+  }
+
+  if (typeof option === 'string') {
+    return findDevice(option);
+  }
+
+  const device = option.device ? (option.device === 'auto' ? detectEmulation(request) : findDevice(option.device)) : {};
+  const viewport = Object.assign({}, DEVICE_PRESETS.desktop.viewport, device.viewport, option.viewport);
+
+  return {
+    device: device.device || null,
+    viewport,
+    userAgent: option.userAgent || device.userAgent || null
+  };
+}
+
+/**
+ * Looks up a preset or Puppeteer device descriptor by name.
+ *
+ * @function findDevice
+ * @param {string} name
+ * @returns {Object}
+ */
+function findDevice(name) {
+  const preset = DEVICE_PRESETS[name];
+  if (preset) {
+    return { device: name, viewport: Object.assign({}, preset.viewport), userAgent: null };
+  }
+
+  const descriptor = DEVICE_DESCRIPTORS[name];
+  if (!descriptor) {
+    throw new Error(`Unknown device \`${name}\`. Use one of \`${Object.keys(DEVICE_PRESETS).join('`, `')}\` or the name of a Puppeteer device descriptor.`);
+  }
+
+  return { device: name, viewport: Object.assign({}, descriptor.viewport), userAgent: descriptor.userAgent };
+}
+
+/**
+ * Picks a preset for a request from its headers.
+ *
+ * @function detectEmulation
+ * @param {FastBootRequest} [request]
+ * @returns {Object}
+ */
+function detectEmulation(request) {
+  const headers = request ? request.headers : null;
+  const header = name => headers ? headers.get(name) : null;
+  const userAgent = header('user-agent');
+  const mobileHint = header('sec-ch-ua-mobile');
+
+  let device = 'desktop';
+  if (mobileHint === '?1') {
+    device = userAgent && TABLET_USER_AGENT_PATTERN.test(userAgent) ? 'tablet' : 'mobile';
+  } else if (mobileHint !== '?0' && userAgent) {
+    if (TABLET_USER_AGENT_PATTERN.test(userAgent)) {
+      device = 'tablet';
+    } else if (MOBILE_USER_AGENT_PATTERN.test(userAgent)) {
+      device = 'mobile';
+    }
+  }
+
+  const emulation = findDevice(device);
+  emulation.userAgent = userAgent || null;
+
+  const width = parseInt(header('sec-ch-viewport-width') || header('viewport-width'), 10);
+  const scaleFactor = parseFloat(header('sec-ch-dpr') || header('dpr'));
+  if (width > 0) emulation.viewport.width = width;
+  if (scaleFactor > 0) emulation.viewport.deviceScaleFactor = scaleFactor;
+
+  return emulation;
+}
+
+module.exports = { DeviceEmulator, resolveEmulation, DEVICE_PRESETS };
@@ -1,15 +1,34 @@
 'use strict';
 
 const fs = require('fs');
+const { URL } = require('url');
 
 const debug = require('debug')('fastboot:ember-app');
 
 const FastBootInfo = require('./fastboot-info');
 const Result = require('./result');
+const RequestInterceptor = require('./request-interceptor');
+const PageMonitor = require('./page-monitor');
+const ShoeboxRecorder = require('./shoebox-recorder');
+const MemoryStore = require('./memory-store');
+const { CriticalCSSExtractor } = require('./critical-css');
+const { ResourceHintRecorder, buildLinkHeader, insertPreloadLinks } = require('./resource-hints');
+const { DeviceEmulator, resolveEmulation } = require('./device-emulation');
+const { PreferenceEmulator, resolvePreferences } = require('./preference-emulation');
+const { installClock, normalizeDeterministicOptions } = require('./deterministic-clock');
+const { installCookieJar, applyCookieChanges } = require('./cookie-jar');
+const { resolveStatus, findRedirect } = require('./status-mapping');
+const createApiProxy = require('./api-proxy');
+const createRequestRules = require('./request-rules');
+const { HarArchive, HarRecorder, createHarReplay, normalizeHarOptions } = require('./har');
+const { SourceMapResolver, fileURL } = require('./source-maps');
 const bundle = require('./bundle');
+const { APP_FILE_PARAM } = require('./static-server');
 
 const hasOwnProperty = Object.prototype.hasOwnProperty; // jshint ignore:line
 
+const DEFAULT_SETTLED_TIMEOUT_MS = 5000;
+
 /**
  * The `EmberApp` class serves as a non-sandboxed wrapper around a sandboxed
  * `Ember.Application`. This bridge allows the PowerBoot to quickly spin up new
@@ -27,6 +46,10 @@ class EmberApp {
    * @param {string} options.config - The Ember application config.
    * @param {Sandbox} [options.sandbox=VMSandbox] - Sandbox to use.
    * @param {Object} [options.sandboxGlobals] - Sandbox variables that can be added or used for overrides in the sandbox.
+   * @param {Boolean} [options.useScriptTags=false] - Whether to load the app and vendor files through script tags pointing at the internal HTTP server.
+   * @param {BrowserContext} [options.context] - The incognito browser context the page was opened in, which is closed along with the instance.
+   * @param {Object} [options.criticalCSSStore] - Where critical CSS is cached, shared by the instances of a PowerBoot instance.
+   * @param {Map} [options.harArchives] - The HAR archives that are recorded to or replayed from, shared by the instances of a PowerBoot instance.
    */
   constructor(options) {
     let config = options.config;
@@ -38,10 +61,24 @@ class EmberApp {
     this.config = Object.assign({}, config.config);
     this.appName = config.appName;
     this.schemaVersion = config.schemaVersion;
+    this.distPath = config.distPath;
     this.sandboxGlobals = options.sandboxGlobals || {};
+    this.useScriptTags = !!options.useScriptTags;
     this.page = options.page;
+    this.context = options.context || null;
+    this.interceptor = new RequestInterceptor(this.page);
+    this.monitor = new PageMonitor(this.page);
+    this.shoeboxRecorder = new ShoeboxRecorder(this.page);
+    this.criticalCSSExtractor = new CriticalCSSExtractor(this.page);
+    this.resourceHintRecorder = new ResourceHintRecorder(this.page);
+    this.harRecorder = new HarRecorder(this.page);
+    this.harArchives = options.harArchives || new Map();
+    this.criticalCSSStore = options.criticalCSSStore || new MemoryStore();
+    this.emulator = new DeviceEmulator(this.page);
+    this.preferenceEmulator = new PreferenceEmulator(this.page);
     this.html = fs.readFileSync(config.htmlFile, 'utf8');
-    this._hasInitialized = false;
+    this.hasInitialized = false;
+    this._sourceMaps = null;
   }
 
   /**
@@ -62,6 +99,29 @@ class EmberApp {
    * @param {Boolean} [options.shouldRender] whether the app should do rendering or not. If set to false, it puts the app in routing-only.
    * @param {Boolean} [options.disableShoebox] whether we should send the API data in the shoebox. If set to false, it will not send the API data used for rendering the app on server side in the index.html.
    * @param {Integer} [options.destroyAppInstanceInMs] whether to destroy the instance in the given number of ms. This is a failure mechanism to not wedge the Node process (See: https://github.com/ember-fastboot/fastboot/issues/90)
+   * @param {Object|string} [options.apiProxy] forwards requests the page makes to certain paths to an API origin. See {@link createApiProxy}.
+   * @param {Array<Object>} [options.requestRules] block, allow or stub third-party requests the page makes. See {@link createRequestRules}.
+   * @param {Object} [options.har] record the requests the page makes to a HAR file, or replay responses from one. See {@link createHarReplay}.
+   * @param {Boolean|Object} [options.autoShoebox] whether to put the responses to the XHR and fetch requests made while rendering in the shoebox. See {@link ShoeboxRecorder#start}.
+   * @param {Object} [options.consoleLogger] a logger that the page's console messages are forwarded to
+   * @param {Object} [options.consoleLevels] maps console message types to logger methods
+   * @param {string} [options.waitFor='visit'] when the render is considered complete. `visit` waits for the route to be visited and for deferred rendering, while `settled` also waits for the run loop, router transitions, pending requests and test waiters to settle.
+   * @param {Integer} [options.settledTimeoutMs=5000] the longest to wait for the app to settle with `waitFor: 'settled'`
+   * @param {Boolean} [options.serializeShadowRoots=false] whether to serialize open shadow roots as declarative shadow roots
+   * @param {string|Object} [options.emulate] the device to emulate. See {@link resolveEmulation}.
+   * @param {string} [options.timezone] the timezone to emulate. See {@link resolvePreferences} for this and the following options.
+   * @param {Array<string>|string|Boolean} [options.languages] the languages to emulate. Taken from the request's `Accept-Language` header by default.
+   * @param {string|Boolean} [options.colorScheme] the `prefers-color-scheme` to emulate
+   * @param {string|Boolean} [options.reducedMotion] the `prefers-reduced-motion` to emulate
+   * @param {Boolean|Object} [options.deterministic] render with a frozen clock and seeded randomness
+   * @param {Integer|string|Date} [options.deterministic.now] the time the clock is frozen at. Defaults to the time of the visit.
+   * @param {Number|string} [options.deterministic.seed=1] the seed for `Math.random()`
+   * @param {Boolean|Integer} [options.deterministic.fastForward=false] fire timers due within this many ms(60000 for `true`) right away
+   * @param {Boolean|Function} [options.mapStatus=true] whether to set the status code from error substates and redirects when the app doesn't set one. See {@link resolveStatus}.
+   * @param {string|Array<string>|Object} [options.fragment] the selectors of the elements to render instead of the whole document. See {@link Result#fragment}.
+   * @param {string|Array<string>|Object} [options.capture] `screenshot`, `pdf`, or an object with options for either, to take once the app has rendered. See {@link Result#screenshot}.
+   * @param {Boolean|Object} [options.criticalCSS] whether to inline the CSS used above the fold and load stylesheets without blocking rendering. See {@link CriticalCSSExtractor}.
+   * @param {Boolean|Object} [options.resourceHints] whether to add preload tags and a `Link` header for the resources loaded while rendering. See {@link ResourceHintRecorder}.
    * @param {ClientRequest} [options.request]
    * @param {ClientResponse} [options.response]
    * @returns {Promise<Result>} result
@@ -74,13 +134,31 @@ class EmberApp {
       disableShoebox,
       destroyAppInstanceInMs,
       shouldRender,
-      metadata
+      metadata,
+      apiProxy,
+      requestRules,
+      har,
+      consoleLogger,
+      consoleLevels,
+      autoShoebox,
+      waitFor,
+      settledTimeoutMs,
+      serializeShadowRoots,
+      emulate,
+      deterministic,
+      mapStatus,
+      fragment,
+      capture,
+      criticalCSS,
+      resourceHints
     } = options;
 
     html = html || this.html;
     disableShoebox = disableShoebox || false;
     destroyAppInstanceInMs = parseInt(options.destroyAppInstanceInMs, 10);
     shouldRender = (shouldRender !== undefined) ? shouldRender : true;
+    waitFor = waitFor || 'visit';
+    settledTimeoutMs = settledTimeoutMs > 0 ? settledTimeoutMs : DEFAULT_SETTLED_TIMEOUT_MS;
 
     const bootOptions = buildBootOptions(shouldRender);
 
@@ -90,8 +168,38 @@ class EmberApp {
       { hostWhitelist: this.hostWhitelist, metadata }
     );
 
-    const result = new Result({ page: this.page });
+    const emulation = resolveEmulation(emulate, info.request);
+    const preferences = resolvePreferences(options, info.request);
+    deterministic = normalizeDeterministicOptions(deterministic, Date.now());
+    criticalCSS = CriticalCSSExtractor.normalizeOptions(criticalCSS);
+    resourceHints = ResourceHintRecorder.normalizeOptions(resourceHints);
+    har = normalizeHarOptions(har);
+    const harArchive = har ? this._harArchive(har) : null;
+    if (har && har.mode === 'replay') harArchive.load();
+    const result = new Result({ page: this.page, serializeShadowRoots, fragment, capture });
+    result.emulation = emulation;
+    result.preferences = preferences;
+    result.deterministic = deterministic;
+
+    // Switching between mobile and desktop reloads the page, which
+    // wipes out the app.
+    if (await this.emulator.emulate(emulation)) {
+      this.hasInitialized = false;
+    }
+    // Preferences the browser can't emulate fail the visit like any other
+    // rendering error, so that `resilient` applies to them.
+    let preferenceError = null;
+    try {
+      result.preferences = await this.preferenceEmulator.emulate(preferences, options);
+    } catch(error) {
+      preferenceError = error;
+    }
 
+    this.monitor.start({ consoleLogger, consoleLevels });
+    await this.interceptor.setHandlers(this._buildRequestHandlers({ apiProxy, requestRules, har, harArchive }, info, result));
+    if (har && har.mode === 'record') this.harRecorder.start(har);
+    if (criticalCSS) await this.criticalCSSExtractor.start();
+    if (resourceHints) this.resourceHintRecorder.start(resourceHints);
     await result.setContent(html, { waitUntil: 'load' });
 
     let destroyAppInstanceTimer,
@@ -111,13 +219,23 @@ class EmberApp {
             result.error = error;
           }
         }
-        this._hasInitialized = false;
+        this.hasInitialized = false;
       }, destroyAppInstanceInMs);
     }
 
     try {
+      if (preferenceError) throw preferenceError;
       await clearPageStorage(this.page);
-      await this._visitRoute(path, info, bootOptions, disableShoebox, result);
+      await this._visitRoute(path, info, bootOptions, {
+        disableShoebox,
+        autoShoebox,
+        waitFor,
+        settledTimeoutMs,
+        deterministic,
+        mapStatus,
+        criticalCSS,
+        resourceHints
+      }, result);
     } catch(error) {
       // These are errors that may happen if the destroyAppInstance timer fires,
       // usually while _visitRoute is still performing.
@@ -125,14 +243,77 @@ class EmberApp {
         error.message.match(/Execution context was destroyed/) ||
         error.message.match(/Navigation failed because browser has disconnected/)
       );
-      if (!isNormalError) result.error = error;
+      if (!isNormalError) result.error = this._mapError(error);
     }
     if (destroyAppInstanceTimer) {
       clearTimeout(destroyAppInstanceTimer);
     }
+    await this.interceptor.setHandlers([]);
+    if (har && har.mode === 'record') {
+      try {
+        await harArchive.record(await this.harRecorder.stop());
+      } catch(error) {
+        debug('failed to record %s: %s', har.path, error.message);
+        if (!result.error) result.error = error;
+      }
+    }
+    if (resourceHints) {
+      try {
+        await this.resourceHintRecorder.stop();
+      } catch(error) {
+        debug('failed to stop recording resource hints: %s', error.message);
+      }
+    }
+    if (criticalCSS) {
+      try {
+        await this.criticalCSSExtractor.stop();
+        await this.criticalCSSExtractor.restore();
+      } catch(error) {
+        debug('failed to restore the stylesheets after inlining critical CSS: %s', error.message);
+      }
+    }
+    this.monitor.stop();
+    this.monitor.applyTo(result);
+    result.pageErrors = result.pageErrors.map(error => this._mapError(error));
+    if (!result.error) {
+      await result._takeCaptures();
+    }
     return result;
   }
 
+  /**
+   * Builds the list of handlers that requests made by the page
+   * during a visit are passed through.
+   *
+   * @method _buildRequestHandlers
+   * @private
+   * @param {Object} options the options passed to `visit()`
+   * @param {FastBootInfo} info
+   * @param {Result} result the result that blocked and stubbed requests are reported on
+   * @returns {Array<Function>} handlers
+   */
+  _buildRequestHandlers(options, info, result) {
+    const handlers = [];
+    const pageOrigin = new URL(this.page.url()).origin;
+
+    if (options.requestRules && options.requestRules.length) {
+      handlers.push(createRequestRules(options.requestRules, {
+        pageOrigin,
+        onMatch: entry => result.blockedRequests.push(entry)
+      }));
+    }
+
+    if (options.har && options.har.mode === 'replay') {
+      handlers.push(createHarReplay(options.harArchive, { pageOrigin, notFound: options.har.notFound }));
+    }
+
+    if (options.apiProxy) {
+      handlers.push(createApiProxy(options.apiProxy, { pageOrigin, request: info.request }));
+    }
+
+    return handlers;
+  }
+
   /**
    *
    * Main function that creates the app instance for every `visit` request, boots
@@ -150,48 +331,249 @@ class EmberApp {
    * @param {Object} fastbootInfo An object holding per request info
    * @param {Object} bootOptions An object containing the boot options that are used by
    *                             by ember to decide whether it needs to do rendering or not.
+   * @param {Object} renderOptions The `disableShoebox`, `autoShoebox`, `waitFor`, `settledTimeoutMs`, `mapStatus` and normalized `deterministic`, `criticalCSS` and `resourceHints` options of the visit
    * @param {Object} result
    * @return {Promise<instance>} instance
    */
-  async _visitRoute(path, info, bootOptions, disableShoebox, result) {
+  async _visitRoute(path, info, bootOptions, renderOptions, result) {
+    const { disableShoebox, autoShoebox, waitFor, settledTimeoutMs, deterministic, mapStatus, criticalCSS, resourceHints } = renderOptions;
     if (!this.hasInitialized) {
-      this.hasInitialized = true;
-      await result.evaluate(sandboxGlobals => {
-        Object.assign(window, sandboxGlobals);
-      }, this.sandboxGlobals);
-      await initializeAppEnvironment(result, this.appName, this.config);
-      await loadAppFiles(result, this.appFilePaths, this.vendorFilePaths);
-      this._bundle = this._bundle || await bundle();
-      // Define FastBootInfo
-      await result.evaluate(this._bundle);
+      await this._initialize(result);
     }
-    let returnedInfo = [{ headers: {} },{},{}], error;
+    await result.evaluate((deterministic, cookieHeader) => {
+      window.__powerbootClock.configure(deterministic);
+      window.__powerbootCookies.reset(cookieHeader);
+    }, deterministic, info.request ? info.request.headers.get('Cookie') : null);
+    const recordShoebox = !disableShoebox && !!autoShoebox;
+    if (recordShoebox) this.shoeboxRecorder.start(autoShoebox);
+    let returnedInfo = [{ headers: {} },{},{}], outcome = null, cookieChanges = null, error;
+    result.completion = { strategy: waitFor, waitedMs: 0, timedOut: false, pending: null };
     try {
       // If runAppInstance returns nothing, that means the page
       // was terminated early.
-      returnedInfo = (await runAppInstance(result, path, bootOptions, info)) || returnedInfo;
+      const returned = await runAppInstance(result, path, bootOptions, info, { waitFor, settledTimeoutMs });
+      if (returned) {
+        returnedInfo = returned.info;
+        result.completion = returned.completion;
+        outcome = returned.outcome;
+        cookieChanges = await result.evaluate(() => window.__powerbootCookies.changes());
+      }
     } catch(err){
       error = err;
     }
+    if (result.completion.timedOut) {
+      debug('%s did not settle within %dms: %o', path, settledTimeoutMs, result.completion.pending);
+    }
     const fastbootInfo = new FastBootInfo(...returnedInfo);
     result._fastbootInfo = fastbootInfo;
+    if (cookieChanges) {
+      applyCookieChanges(cookieChanges, fastbootInfo.response.headers);
+    }
+    if (outcome) {
+      if (!outcome.error) outcome.redirect = findRedirect(outcome);
+      result.url = outcome.url;
+      result.routing = {
+        routeName: outcome.routeName,
+        routes: outcome.routes,
+        queryParams: outcome.queryParams,
+        transitions: outcome.transitions
+      };
+      applyStatus(fastbootInfo.response, outcome, mapStatus);
+    }
+    if (recordShoebox) {
+      const responses = await this.shoeboxRecorder.stop();
+      if (Object.keys(responses).length) {
+        const { key } = ShoeboxRecorder.normalizeOptions(autoShoebox);
+        fastbootInfo.shoebox = Object.assign({}, fastbootInfo.shoebox, { [key]: responses });
+      }
+    }
     if (!disableShoebox) {
       // if shoebox is not disabled, then create the shoebox and send API data
       await createShoebox(result, fastbootInfo);
     }
+    if (resourceHints && outcome && !error) {
+      await this._addResourceHints(result, resourceHints);
+    }
+    if (criticalCSS && outcome && !error) {
+      await this._inlineCriticalCSS(result, criticalCSS);
+    }
     await result._finalize();
     if(error) throw error;
   }
 
   /**
-   * Destroys the app instance by closing the browser page and
-   * setting the `page` property to null.
+   * Returns the archive to record to or replay from for the `har` option,
+   * which is shared with the other app instances.
+   *
+   * @method _harArchive
+   * @private
+   * @param {Object} har the normalized `har` option
+   * @returns {HarArchive}
+   */
+  _harArchive(har) {
+    const key = `${har.mode} ${har.path}`;
+    if (!this.harArchives.has(key)) {
+      this.harArchives.set(key, new HarArchive(har.path));
+    }
+    return this.harArchives.get(key);
+  }
+
+  /**
+   * Adds preload tags to the head and a `Link` header to the response
+   * for the resources the page loaded while rendering.
+   *
+   * @method _addResourceHints
+   * @private
+   * @param {Result} result
+   * @param {Object} options the normalized `resourceHints` option
+   * @returns {Promise}
+   */
+  async _addResourceHints(result, options) {
+    const hints = await this.resourceHintRecorder.stop();
+    result.resourceHints = hints;
+    if (!hints.length) return;
+
+    if (options.preload) {
+      await result.evaluate(insertPreloadLinks, hints);
+    }
+    if (options.linkHeader) {
+      result.headers.append('link', buildLinkHeader(hints));
+    }
+  }
+
+  /**
+   * Inlines the critical CSS of the route that was rendered, extracting
+   * it from the page if it isn't cached yet.
+   *
+   * @method _inlineCriticalCSS
+   * @private
+   * @param {Result} result
+   * @param {Object} options the normalized `criticalCSS` option
+   * @returns {Promise}
+   */
+  async _inlineCriticalCSS(result, options) {
+    const key = options.key(result);
+    let criticalCSS = null;
+
+    if (key !== null && key !== undefined) {
+      try {
+        criticalCSS = await this.criticalCSSStore.get(key);
+      } catch(error) {
+        debug('failed to read the critical CSS for %s: %s', key, error.message);
+      }
+    }
+
+    const cached = !!criticalCSS;
+
+    if (cached) {
+      await this.criticalCSSExtractor.stop();
+    } else {
+      criticalCSS = await this.criticalCSSExtractor.extract();
+      if (key !== null && key !== undefined) {
+        try {
+          await this.criticalCSSStore.set(key, criticalCSS);
+        } catch(error) {
+          debug('failed to write the critical CSS for %s: %s', key, error.message);
+        }
+      }
+    }
+
+    result.criticalCSS = { key, cached, length: criticalCSS.css.length };
+    await this.criticalCSSExtractor.inline(result, criticalCSS);
+  }
+
+  /**
+   * Loads the app into the page without visiting a route, so that
+   * the first visit doesn't have to wait for the app files to be
+   * evaluated.
+   *
+   * @method boot
+   * @returns {Promise}
+   */
+  async boot() {
+    if (this.hasInitialized) return;
+    const result = new Result({ page: this.page });
+    await result.setContent(this.html, { waitUntil: 'load' });
+    await this._initialize(result);
+  }
+
+  /**
+   * Defines the sandbox globals and evaluates the vendor and app files
+   * and the FastBoot bundle in the page.
+   *
+   * @method _initialize
+   * @private
+   * @param {Result} result
+   * @returns {Promise}
+   */
+  async _initialize(result) {
+    this.hasInitialized = true;
+    await result.evaluate(sandboxGlobals => {
+      Object.assign(window, sandboxGlobals);
+    }, this.sandboxGlobals);
+    await initializeAppEnvironment(result, this.appName, this.config);
+    await trackPendingRequests(result);
+    await result.evaluate(installClock);
+    await result.evaluate(installCookieJar);
+    if (this.useScriptTags) {
+      await loadAppScripts(result, this._scriptURLs());
+    } else {
+      await loadAppFiles(result, this.appFilePaths, this.vendorFilePaths);
+    }
+    this._bundle = this._bundle || await bundle();
+    // Define FastBootInfo
+    await result.evaluate(this._bundle);
+  }
+
+  /**
+   * The URLs the vendor and app files are served at by the
+   * internal HTTP server, in the order they should be loaded.  They are
+   * marked so that the server responds with the files themselves rather
+   * than the empty scripts it gives the script tags in the app's HTML.
+   *
+   * @method _scriptURLs
+   * @private
+   * @returns {Array<string>}
+   */
+  _scriptURLs() {
+    const baseURL = new URL(this.page.url()).origin;
+    return this.vendorFilePaths.concat(this.appFilePaths)
+      .map(filePath => `${fileURL(this.distPath, filePath, baseURL)}?${APP_FILE_PARAM}`);
+  }
+
+  /**
+   * Points the stack trace of an error thrown in the page at the original
+   * sources when the app files were loaded through script tags.
+   *
+   * @method _mapError
+   * @private
+   * @param {Error} error
+   * @returns {Error}
+   */
+  _mapError(error) {
+    if (!this.useScriptTags || !this.page) return error;
+    if (!this._sourceMaps) {
+      this._sourceMaps = new SourceMapResolver({
+        distPath: this.distPath,
+        baseURL: new URL(this.page.url()).origin
+      });
+    }
+    return this._sourceMaps.mapError(error);
+  }
+
+  /**
+   * Destroys the app instance by closing the browser page, or the
+   * incognito browser context it was opened in, and setting the `page`
+   * property to null.
    * 
    * @method destroy
+   * @returns {Promise}
    */
   destroy() {
-    this.page.close();
+    const closing = this.context ? this.context.close() : this.page.close();
     this.page = null;
+    this.context = null;
+    return closing;
   }
 }
 
@@ -219,6 +601,45 @@ async function loadAppFiles(result, appFilePaths, vendorFilePaths) {
   debug("app files evaluated");
 }
 
+/**
+ * Loads the vendor and app files in the page through script tags so that
+ * Chromium knows where each function came from, which gives errors proper
+ * stack traces and lets source maps be associated with them.  The script
+ * tags are removed once they have run so they don't end up in the
+ * rendered HTML.
+ *
+ * @function loadAppScripts
+ * @param {Result} result
+ * @param {Array<string>} urls
+ */
+async function loadAppScripts(result, urls) {
+  for (const url of urls) {
+    debug("loading script %s", url);
+    await result.evaluate(url => new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      const onError = event => {
+        if (event.filename === url) reject(event.error || new Error(event.message));
+      };
+      const cleanup = () => {
+        window.removeEventListener('error', onError);
+        script.remove();
+      };
+      window.addEventListener('error', onError);
+      script.onload = () => {
+        cleanup();
+        resolve();
+      };
+      script.onerror = () => {
+        cleanup();
+        reject(new Error(`Failed to load ${url}`));
+      };
+      script.src = url;
+      document.head.appendChild(script);
+    }), url);
+  }
+  debug("scripts loaded");
+}
+
 /**
  * Builds an object with the options required to boot an ApplicationInstance in
  * FastBoot mode.
@@ -335,14 +756,29 @@ async function initializeAppEnvironment(result, appName, config){
  * Runs the actual Ember app instance in the browser page,
  * injects the Fastboot service, visits the path, and collects
  * response data for FastbootInfo.
+ *
+ * The `outcome` of the visit records the URL and route the app ended up
+ * in, along with the route hierarchy, the query params and the transitions
+ * that got it there, and the error that put it in an error substate, if
+ * any.  Whether it was redirected is worked out from it afterwards, with
+ * {@link findRedirect}.  Visits that fail without
+ * entering an error substate still reject.
+ * 
+ * With `waitFor: 'settled'`, it then waits, up to `settledTimeoutMs`, until
+ * the run loop is idle with no scheduled timers, no router transition is
+ * in progress, no requests are pending and no test waiters (from
+ * `ember-test-waiters`, `@ember/test-waiters` or `Ember.Test`) are
+ * waiting, like `settled()` from `@ember/test-helpers`.
  * 
  * @param {Result} result 
  * @param {string} path 
  * @param {Object} bootOptions 
  * @param {FastbootInfo} info 
+ * @param {Object} waitOptions the `waitFor` and `settledTimeoutMs` options of the visit
+ * @returns {Promise<Object>} the serialized `info`, the `completion` and the `outcome` of the render
  */
-async function runAppInstance(result, path, bootOptions, info){
-  return await result.evaluate(async (path, bootOptions, info) => {
+async function runAppInstance(result, path, bootOptions, info, waitOptions){
+  return await result.evaluate(async (path, bootOptions, info, { waitFor, settledTimeoutMs }) => {
     const fastbootInfo = new FastBootInfo(...info),
           // eslint-disable-next-line node/no-missing-require
           appFactory = require('~fastboot/app-factory'),
@@ -351,22 +787,201 @@ async function runAppInstance(result, path, bootOptions, info){
     const instance = await App.buildInstance();
     instance.register('info:-fastboot', fastbootInfo, { instantiate: false });
     instance.inject('service:fastboot', '_fastbootInfo', 'info:-fastboot');
-    document.cookie = fastbootInfo.request ? fastbootInfo.request.headers.get('Cookie') : '';
     await instance.boot(bootOptions);
-    await instance.visit(path);
+
+    const router = instance.lookup('router:main');
+    const microlib = () => router._routerMicrolib || router.router;
+
+    // Every transition goes through one of these, including the ones
+    // started by `transitionTo()` and `replaceWith()` in routes.
+    const transitions = [];
+    for (const method of ['_doURLTransition', '_doTransition']) {
+      const original = router[method];
+      if (typeof original !== 'function') continue;
+      router[method] = function() {
+        const redirect = transitions.length > 0 && !!(microlib() && microlib().activeTransition);
+        const transition = original.apply(this, arguments);
+        if (transition) transitions.push({ transition, redirect });
+        return transition;
+      };
+    }
+
+    let visitError = null;
+    try {
+      await instance.visit(path);
+    } catch(error) {
+      visitError = error;
+    }
+
+    const currentRouteName = () => {
+      const applicationController = instance.lookup('controller:application');
+      return router.get('currentRouteName') ||
+             (applicationController && applicationController.get('currentRouteName')) || null;
+    };
+    const isErrorSubstate = routeName => !!routeName && /(^|[._])error$/.test(routeName);
+    if (visitError && !isErrorSubstate(currentRouteName())) throw visitError;
+
     await fastbootInfo.deferredPromise;
-    return fastbootInfo.serialize();
-  }, path, bootOptions, Array.isArray(info) ? info : info.serialize());
+
+    const completion = { strategy: waitFor, waitedMs: 0, timedOut: false, pending: null };
+
+    if (waitFor === 'settled') {
+      const Ember = window.Ember,
+            run = Ember && Ember.run,
+            startedAt = Date.now();
+
+      const hasPendingWaiters = () => {
+        if (Ember && Ember.Test && Ember.Test.checkWaiters && Ember.Test.checkWaiters()) return true;
+        const loader = window.requirejs;
+        return ['@ember/test-waiters', 'ember-test-waiters'].some(name => {
+          if (!loader || !loader.entries || !loader.entries[name]) return false;
+          const waiters = window.requireModule(name);
+          return !!(waiters.hasPendingWaiters && waiters.hasPendingWaiters());
+        });
+      };
+
+      const pendingState = () => ({
+        runLoop: !!(run && run.currentRunLoop),
+        timers: !!(run && run.hasScheduledTimers && run.hasScheduledTimers()),
+        transitions: !!(router && router._routerMicrolib && router._routerMicrolib.activeTransition),
+        requests: (window.__powerbootPendingRequests || 0) + (window.jQuery ? window.jQuery.active || 0 : 0),
+        waiters: hasPendingWaiters()
+      });
+
+      const isSettled = state => !state.runLoop && !state.timers && !state.transitions &&
+                                 !state.requests && !state.waiters;
+
+      let state = pendingState();
+      while (!isSettled(state)) {
+        if (Date.now() - startedAt >= settledTimeoutMs) {
+          completion.timedOut = true;
+          completion.pending = state;
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+        state = pendingState();
+      }
+      completion.waitedMs = Date.now() - startedAt;
+    }
+
+    const describeError = error => {
+      if (!error) return null;
+      const statuses = [ error.status, error.statusCode, error.errors && error.errors[0] && error.errors[0].status ];
+      const status = statuses.map(status => parseInt(status, 10)).filter(status => status > 0)[0];
+      return { name: error.name || null, message: error.message || String(error), status: status || null };
+    };
+
+    const routeInfos = state => (state && (state.routeInfos || state.handlerInfos)) || [];
+
+    const copy = object => JSON.parse(JSON.stringify(object || {}));
+
+    const urlFor = transition => {
+      if (transition.intent && transition.intent.url) return transition.intent.url;
+      try {
+        const params = {};
+        for (const info of routeInfos(transition.state)) Object.assign(params, info.params);
+        return microlib().recognizer.generate(transition.targetName, params);
+      } catch(e) {
+        return null;
+      }
+    };
+
+    const routeName = currentRouteName();
+    const location = router.get('location');
+    let url = path;
+    if (location && typeof location.getURL === 'function') {
+      url = typeof location.formatURL === 'function' ? location.formatURL(location.getURL()) : location.getURL();
+    }
+    const state = microlib() && microlib().state;
+
+    const outcome = {
+      path,
+      url,
+      routeName,
+      routes: routeInfos(state).map(info => ({ name: info.name, params: copy(info.params) })),
+      queryParams: copy(state && state.queryParams),
+      transitions: transitions.map(({ transition, redirect }, index) => ({
+        targetName: transition.targetName || null,
+        url: urlFor(transition),
+        redirect,
+        status: transition.isAborted ? 'aborted' :
+                (visitError && index === transitions.length - 1 ? 'failed' : 'completed')
+      })),
+      error: null,
+      redirect: null
+    };
+
+    if (isErrorSubstate(routeName)) {
+      const route = instance.lookup(`route:${routeName}`);
+      const model = route && (route.currentModel || (route.controller && route.controller.get('model')));
+      outcome.error = describeError(visitError || model) || { name: null, message: null, status: null };
+    }
+
+    return { info: fastbootInfo.serialize(), completion, outcome };
+  }, path, bootOptions, Array.isArray(info) ? info : info.serialize(), waitOptions);
+}
+
+/**
+ * Sets the status code and `Location` header that the outcome of a visit
+ * maps to, unless the app set a status code or `Location` header itself.
+ *
+ * @function applyStatus
+ * @param {FastBootResponse} response
+ * @param {Object} outcome the `outcome` returned by {@link runAppInstance}
+ * @param {Boolean|Function} mapStatus the `mapStatus` option
+ */
+function applyStatus(response, outcome, mapStatus) {
+  if (response.statusCode !== 200 || response.headers.has('location')) return;
+
+  const status = resolveStatus(outcome, mapStatus);
+  if (!status) return;
+
+  debug('%s maps to %d', outcome.path, status.statusCode);
+  response.statusCode = status.statusCode;
+  if (status.location) response.headers.set('location', status.location);
+}
+
+/**
+ * Counts the fetch and XHR requests the page has in flight, so that
+ * `waitFor: 'settled'` can wait for them to finish.
+ *
+ * @function trackPendingRequests
+ * @param {Result} result
+ */
+async function trackPendingRequests(result) {
+  await result.evaluate(() => {
+    if (window.__powerbootPendingRequests !== undefined) return;
+    window.__powerbootPendingRequests = 0;
+
+    const started = () => window.__powerbootPendingRequests++;
+    const finished = () => window.__powerbootPendingRequests--;
+
+    const fetch = window.fetch;
+    if (fetch) {
+      window.fetch = function() {
+        started();
+        const request = fetch.apply(this, arguments);
+        request.then(finished, finished);
+        return request;
+      };
+    }
+
+    const send = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.send = function() {
+      started();
+      this.addEventListener('loadend', finished, { once: true });
+      return send.apply(this, arguments);
+    };
+  });
 }
 
 async function clearPageStorage(page) {
   await page.evaluate(async () => {
     window.localStorage.clear();
     window.sessionStorage.clear();
-    document.cookie = '';
     const databases = await window.indexedDB.databases();
     for (const database of databases)
-      window.indexedDB.deleteDatabase(databases[database].name);
+      window.indexedDB.deleteDatabase(database.name);
   });
 }
 
@@ -13,8 +13,8 @@ class FastBootHeaders {
       // or an array of strings if there are multiple values.
       // We want to support the Header spec
       // so we will coerce to an array always.
-      if (typeof value === 'string') {
-        value = [value];
+      if (!Array.isArray(value)) {
+        value = [String(value)];
       }
 
       this.headers[header.toLowerCase()] = value;
@@ -6,7 +6,7 @@ class FastbootResponse {
 
   constructor(response) {
     this._response = response;
-    this.headers = new FastBootHeaders(response._headers);
+    this.headers = new FastBootHeaders(extractHeaders(response));
   }
 
   get statusCode(){
@@ -19,7 +19,7 @@ class FastbootResponse {
 
   serialize(){
     return {
-      headers: this.headers,
+      headers: this.headers.serialize(),
       statusCode: this.statusCode
     };
   }
@@ -31,4 +31,13 @@ class FastbootResponse {
 
 }
 
+/*
+ * Reads the headers from a Node.js `ServerResponse`, or from
+ * a response that has been serialized by `FastbootResponse`.
+ */
+function extractHeaders(response) {
+  if (typeof response.getHeaders === 'function') return response.getHeaders();
+  return response._headers || response.headers;
+}
+
 module.exports = FastbootResponse;
@@ -0,0 +1,398 @@
+'use strict';
+
+const fs = require('fs');
+const { URL } = require('url');
+const { promisify } = require('util');
+const debug = require('debug')('powerboot:har');
+const { version } = require('../package.json');
+
+const MODES = ['record', 'replay'];
+const NOT_FOUND_ACTIONS = ['abort', 'passthrough'];
+
+// The internal HTTP server listens on a random port, so requests to it are
+// recorded under this origin instead, which replays match whatever the
+// port happens to be.
+const PAGE_ORIGIN_PLACEHOLDER = 'http://powerboot.invalid';
+
+const TEXT_MIME_TYPE_PATTERN = /^text\/|[/+](json|javascript|ecmascript|xml|html|css|svg)\b|^application\/x-www-form-urlencoded/;
+
+// Headers that describe the recorded response's encoding, which no longer
+// apply once its body has been decoded into the archive.
+const STRIPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+// Headers that carry the user's credentials, like the ones `apiProxy`
+// forwards from the incoming request, which are left out of recordings
+// unless `credentials` is set.
+const CREDENTIAL_REQUEST_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+const CREDENTIAL_RESPONSE_HEADERS = ['set-cookie'];
+
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * Normalizes the `har` option.
+ *
+ * @function normalizeHarOptions
+ * @param {Object} options
+ * @returns {Object|null} the `mode`, `path`, `notFound` action and whether to record `credentials`
+ */
+function normalizeHarOptions(options) {
+  if (!options) return null;
+  if (MODES.indexOf(options.mode) === -1) {
+    throw new Error('The `har.mode` option must be either `record` or `replay`.');
+  }
+  if (!options.path) {
+    throw new Error('The `har` option requires the `path` of the HAR file.');
+  }
+  const notFound = options.notFound || 'abort';
+  if (NOT_FOUND_ACTIONS.indexOf(notFound) === -1) {
+    throw new Error('The `har.notFound` option must be either `abort` or `passthrough`.');
+  }
+  return { mode: options.mode, path: options.path, notFound, credentials: !!options.credentials };
+}
+
+/**
+ * The entries of a HAR file, shared by the app instances that record to or
+ * replay from it.
+ *
+ * For replays, the file is read the first time the archive is used.
+ * Recordings start out empty and write the file after every visit, keeping
+ * the latest response for each method, URL and request body.  Writes happen
+ * in the background, one at a time, and the visits recorded while one is
+ * under way are written together by the next.
+ *
+ * @class HarArchive
+ * @private
+ */
+class HarArchive {
+  /**
+   * @param {string} path the path of the HAR file
+   */
+  constructor(path) {
+    this.path = path;
+    this._entries = null;
+    this._writing = Promise.resolve();
+    this._nextWrite = null;
+  }
+
+  /**
+   * Reads the entries of the archive from its file, unless they have
+   * been read or recorded already.
+   *
+   * @method load
+   * @returns {Array<Object>} the entries
+   */
+  load() {
+    if (!this._entries) {
+      const har = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this._entries = har.log && har.log.entries || [];
+      debug('loaded %d entries from %s', this._entries.length, this.path);
+    }
+    return this._entries;
+  }
+
+  /**
+   * Finds the entry for a request: the first one with the same method and
+   * URL, preferring one with the same request body.
+   *
+   * @method find
+   * @param {string} method
+   * @param {string} url the URL, as recorded
+   * @param {string} [postData]
+   * @returns {Object|undefined}
+   */
+  find(method, url, postData) {
+    const candidates = this.load().filter(entry => {
+      return entry.request.method === method && entry.request.url === url;
+    });
+    return candidates.filter(entry => requestBody(entry) === (postData || null))[0] || candidates[0];
+  }
+
+  /**
+   * Adds recorded entries, replacing those for the same requests, and
+   * writes the archive to its file.
+   *
+   * @method record
+   * @param {Array<Object>} entries
+   * @returns {Promise} resolves once the entries have been written
+   */
+  record(entries) {
+    if (!this._entries) this._entries = [];
+    for (const entry of entries) {
+      this._entries = this._entries.filter(existing => {
+        return existing.request.method !== entry.request.method ||
+          existing.request.url !== entry.request.url ||
+          requestBody(existing) !== requestBody(entry);
+      });
+      this._entries.push(entry);
+    }
+    return this._write();
+  }
+
+  /**
+   * @method _write
+   * @private
+   * @returns {Promise}
+   */
+  _write() {
+    if (!this._nextWrite) {
+      this._nextWrite = this._writing.then(() => {
+        this._nextWrite = null;
+        const entries = this._entries;
+        return writeFile(this.path, JSON.stringify(buildHar(entries), null, 2)).then(() => {
+          debug('wrote %d entries to %s', entries.length, this.path);
+        });
+      });
+      this._writing = this._nextWrite.catch(() => {});
+    }
+    return this._nextWrite;
+  }
+}
+
+/**
+ * Records the requests a page makes and the responses it gets as HAR
+ * entries.
+ *
+ * @class HarRecorder
+ * @private
+ */
+class HarRecorder {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this._pending = null;
+    this._onResponse = this._onResponse.bind(this);
+  }
+
+  /**
+   * Starts recording.
+   *
+   * @method start
+   * @param {Object} [options]
+   * @param {Boolean} [options.credentials=false] whether to record the `Authorization`, `Cookie` and `Set-Cookie` headers
+   */
+  start(options={}) {
+    this.page.removeListener('response', this._onResponse);
+    this._pending = [];
+    this._credentials = !!options.credentials;
+    this._pageOrigin = new URL(this.page.url()).origin;
+    this.page.on('response', this._onResponse);
+  }
+
+  /**
+   * Stops recording and resolves to the recorded entries.
+   *
+   * @method stop
+   * @returns {Promise<Array<Object>>}
+   */
+  async stop() {
+    this.page.removeListener('response', this._onResponse);
+    const pending = this._pending || [];
+    this._pending = null;
+    return (await Promise.all(pending)).filter(Boolean);
+  }
+
+  /**
+   * @method _onResponse
+   * @private
+   * @param {Response} response
+   */
+  _onResponse(response) {
+    const request = response.request();
+    if (!/^https?:/.test(request.url())) return;
+
+    const startedDateTime = new Date().toISOString();
+    const pageOrigin = this._pageOrigin;
+    const credentials = this._credentials;
+
+    // Redirects and some failed responses have no body to read.
+    const body = response.buffer().catch(() => Buffer.alloc(0));
+
+    this._pending.push(body.then(body => {
+      return buildEntry(request, response, body, { startedDateTime, pageOrigin, credentials });
+    }).catch(error => {
+      debug('could not record %s: %s', request.url(), error.message);
+      return null;
+    }));
+  }
+}
+
+/**
+ * Creates a request handler for the {@link RequestInterceptor} that
+ * responds to requests with the responses from a HAR archive.
+ *
+ * Requests that aren't in the archive are aborted, except for the ones to
+ * the app's own origin, which go on to the internal HTTP server for the
+ * app's assets.  With `notFound: 'passthrough'`, they are left to the
+ * other handlers, like `apiProxy`, and to the network instead.
+ *
+ * @function createHarReplay
+ * @param {HarArchive} archive
+ * @param {Object} options
+ * @param {string} options.pageOrigin the origin of the internal HTTP server
+ * @param {string} [options.notFound='abort'] `abort` or `passthrough`
+ * @returns {Function} handler
+ */
+function createHarReplay(archive, options) {
+  return async function harReplay(request) {
+    if (!/^https?:/.test(request.url())) return false;
+
+    const url = recordedURL(request.url(), options.pageOrigin);
+    const entry = archive.find(request.method(), url, request.postData());
+
+    if (entry) {
+      await request.respond(buildResponse(entry));
+      return true;
+    }
+
+    debug('%s %s is not in %s', request.method(), url, archive.path);
+
+    if (options.notFound === 'passthrough') return false;
+
+    if (new URL(request.url()).origin === options.pageOrigin) {
+      await request.continue();
+    } else {
+      await request.abort('failed');
+    }
+    return true;
+  };
+}
+
+/**
+ * The URL a request is recorded under, which has a placeholder origin
+ * for requests to the page's own origin.
+ *
+ * @function recordedURL
+ * @param {string} url
+ * @param {string} pageOrigin
+ * @returns {string}
+ */
+function recordedURL(url, pageOrigin) {
+  const parsed = new URL(url);
+  if (parsed.origin !== pageOrigin) return parsed.href;
+  return PAGE_ORIGIN_PLACEHOLDER + parsed.pathname + parsed.search;
+}
+
+/**
+ * Builds a HAR entry out of a Puppeteer request and response.
+ *
+ * @function buildEntry
+ * @param {Request} request
+ * @param {Response} response
+ * @param {Buffer} body
+ * @param {Object} context
+ * @returns {Object}
+ */
+function buildEntry(request, response, body, { startedDateTime, pageOrigin, credentials }) {
+  const url = new URL(recordedURL(request.url(), pageOrigin));
+  const requestHeaders = credentials ? request.headers() : omit(request.headers(), CREDENTIAL_REQUEST_HEADERS);
+  const responseHeaders = credentials ? response.headers() : omit(response.headers(), CREDENTIAL_RESPONSE_HEADERS);
+  const mimeType = responseHeaders['content-type'] || '';
+  const postData = request.postData();
+  const isText = !mimeType || TEXT_MIME_TYPE_PATTERN.test(mimeType);
+
+  const entry = {
+    startedDateTime,
+    time: 0,
+    request: {
+      method: request.method(),
+      url: url.href,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHeaderList(requestHeaders),
+      queryString: Array.from(url.searchParams, ([ name, value ]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: postData ? Buffer.byteLength(postData) : 0
+    },
+    response: {
+      status: response.status(),
+      statusText: response.statusText(),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHeaderList(responseHeaders),
+      content: {
+        size: body.length,
+        mimeType,
+        text: body.toString(isText ? 'utf8' : 'base64')
+      },
+      redirectURL: responseHeaders.location || '',
+      headersSize: -1,
+      bodySize: body.length
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 },
+    _resourceType: request.resourceType()
+  };
+
+  if (!isText) entry.response.content.encoding = 'base64';
+  if (postData) {
+    entry.request.postData = { mimeType: requestHeaders['content-type'] || '', text: postData };
+  }
+
+  return entry;
+}
+
+/**
+ * Turns a HAR entry into the form expected by Puppeteer's
+ * `request.respond()`.
+ *
+ * @function buildResponse
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function buildResponse(entry) {
+  const { status, headers, content } = entry.response;
+  const responseHeaders = {};
+
+  for (const { name, value } of headers || []) {
+    const key = name.toLowerCase();
+    if (STRIPPED_RESPONSE_HEADERS.indexOf(key) !== -1) continue;
+    responseHeaders[key] = responseHeaders.hasOwnProperty(key) ? `${responseHeaders[key]}\n${value}` : value;
+  }
+
+  return {
+    status,
+    headers: responseHeaders,
+    body: Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8')
+  };
+}
+
+function buildHar(entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'PowerBoot', version },
+      pages: [],
+      entries
+    }
+  };
+}
+
+function requestBody(entry) {
+  return entry.request.postData ? entry.request.postData.text : null;
+}
+
+function omit(headers, names) {
+  const result = {};
+  for (const name of Object.keys(headers)) {
+    if (names.indexOf(name.toLowerCase()) === -1) result[name] = headers[name];
+  }
+  return result;
+}
+
+function toHeaderList(headers) {
+  const list = [];
+  for (const name of Object.keys(headers)) {
+    for (const value of String(headers[name]).split('\n')) list.push({ name, value });
+  }
+  return list;
+}
+
+module.exports = {
+  HarArchive,
+  HarRecorder,
+  createHarReplay,
+  normalizeHarOptions,
+  recordedURL
+};
@@ -1,6 +1,10 @@
 'use strict';
 
 const EmberApp  = require('./ember-app'),
+      InstancePool = require('./instance-pool'),
+      ResultCache = require('./result-cache'),
+      MemoryStore = require('./memory-store'),
+      createStaticHandler = require('./static-server'),
       puppeteer = require('puppeteer'),
       http      = require('http'),
       { 
@@ -13,6 +17,8 @@ const EmberApp  = require('./ember-app'),
                                     args:  CHROMIUM_FLAGS,
                                     pipe: true
                                   },
+      ISOLATION_MODES = [ 'none', 'instance', 'visit' ],
+      WAIT_FOR_STRATEGIES = [ 'visit', 'settled' ],
       { assign } = Object;
 
 /**
@@ -49,19 +55,54 @@ class PowerBoot {
    * @param {Sandbox} [options.browser=Puppeteer.Browser] the browser instance to use
    * @param {Object} [options.sandboxGlobals={}] any additional sandbox variables that an app server wants to override and/or add in the browser
    * @param {Object} [options.puppeteer] Options for Puppeteer that will override the default options.  This won't apply if you pass your own Puppeteer.Browser instance through `options.browser`.
+   * @param {Integer} [options.minInstances=1] the number of app instances(i.e. browser pages) to keep around even when they aren't being used
+   * @param {Integer} [options.maxInstances=1] the maximum number of app instances that can render concurrently. Visits beyond this number wait for an instance to be released.
+   * @param {Integer} [options.instanceIdleTimeoutMs=30000] how long an app instance can sit unused before it's destroyed, as long as there are more than `minInstances`
+   * @param {Integer} [options.retainTimeoutMs=60000] how long the app instance of a `retain`ed visit is kept out of the pool before it's released even though `result.release()` wasn't called. 0 waits forever.
+   * @param {Array<Object>} [options.requestRules=[]] rules that block, allow or stub the third-party requests made while rendering, like those for analytics and ads. Each has an `action`(`block`, `allow` or `stub`), and can match requests by `url`, `domain` and `resourceType`. Blocked and stubbed requests are listed in `result.blockedRequests`.
+   * @param {Object} [options.har] record every request the page makes while rendering to a HAR file (`{ mode: 'record', path }`), or respond to them from one (`{ mode: 'replay', path }`). Requests missing from the file are aborted when replaying, apart from those for the app's assets, unless `notFound` is `passthrough`.
+   * @param {Object|string} [options.apiProxy] forwards requests the app makes to relative URLs under certain paths (`/api` by default) to an API origin, along with the incoming request's `Authorization` and `Cookie` headers
+   * @param {Object} [options.consoleLogger] a logger, like `console`, that messages logged to the browser console are forwarded to
+   * @param {Object} [options.consoleLevels] maps browser console message types(e.g. `warning`) to logger methods(e.g. `warn`)
+   * @param {Boolean|Object} [options.autoShoebox=false] put the responses to the XHR and fetch requests made while rendering in the shoebox, so that the browser app can replay them instead of requesting them again
+   * @param {Boolean|Object} [options.cache=false] cache rendered results. See {@link ResultCache} for the available options.
+   * @param {string} [options.waitFor='visit'] when renders are considered complete. `settled` also waits for the run loop, router transitions, pending requests and test waiters to settle.
+   * @param {Integer} [options.settledTimeoutMs=5000] the longest to wait for the app to settle with `waitFor: 'settled'`
+   * @param {Boolean} [options.serializeShadowRoots=false] serialize open shadow roots into the HTML as declarative shadow roots(`<template shadowrootmode="open">`), so that web components aren't rendered empty
+   * @param {string|Object} [options.emulate] the device to emulate while rendering: a preset(`desktop`, `tablet` or `mobile`), the name of a Puppeteer device descriptor, `auto` to pick one from the request's `User-Agent` and client hints, or an object with a `device`, `viewport` and `userAgent`
+   * @param {string} [options.timezone] the IANA timezone to render in, like `America/New_York`
+   * @param {Array<string>|string|Boolean} [options.languages] the languages for `navigator.language(s)`. Taken from the request's `Accept-Language` header by default; set to false to keep the browser's.
+   * @param {string|Boolean} [options.colorScheme] the `prefers-color-scheme` to render with(`light`, `dark` or `no-preference`). Taken from the request's `Sec-CH-Prefers-Color-Scheme` header by default.
+   * @param {string|Boolean} [options.reducedMotion] the `prefers-reduced-motion` to render with(`reduce` or `no-preference`). Taken from the request's `Sec-CH-Prefers-Reduced-Motion` header by default.
+   * @param {Boolean|Object} [options.deterministic=false] render with a frozen clock and seeded `Math.random()`, so that renders of the same URL produce the same HTML. Can have a fixed `now`, a `seed` and `fastForward` to fire timers right away.
+   * @param {Boolean|Function} [options.mapStatus=true] set the status code to 307 with a `Location` header when the app redirects, and to the error's status (or 500) when it ends up in an error substate, unless the app sets a status code itself. Can be a function of `(outcome, statusCode)` returning the status code to use.
+   * @param {Boolean|Object} [options.criticalCSS=false] inline the CSS rules that apply to what's visible in the viewport in a `<style>` in the head, and load the app's stylesheets without blocking rendering. The critical CSS of a route is extracted once and cached in a `store`(a {@link MemoryStore} by default) under a `key`, a function of `(result)` that defaults to the route name, viewport size and color scheme.
+   * @param {Boolean|Object} [options.resourceHints=false] add `<link rel="preload">` tags to the head and a `Link` header to the response for the resources loaded while rendering, which servers can also send as 103 Early Hints. Can have the resource `types` to hint(`script`, `stylesheet` and `font` by default, as well as `image`, `fetch` and `xhr`), the `origins` to hint resources from(`self` by default), the `max` number of hints(20 by default), and `preload` or `linkHeader` set to false to leave either out.
+   * @param {string} [options.isolation] how visits are kept apart. `none` reuses pages and clears their storage between visits, `instance` opens each pooled app instance in its own incognito browser context, and `visit` renders every visit in a fresh incognito context with the app already booted, at the cost of booting the app once per visit. Defaults to `none` with a single app instance and to `instance` when `maxInstances` is more than 1, since pages in the default context share the same origin, and with it their storage and cookies, while rendering concurrently.
+   * @param {Boolean} [options.useScriptTags=false] load the app and vendor files through script tags instead of evaluating their contents, so that errors have stack traces that are mapped to the original sources
    */
   constructor(options={}) {
     this._cleanupListener = this.close.bind(this, { cleanup: true });
     this._exitListener    = this.close.bind(this, { exit: true });
-    this._isWorking = false;
-    this._instance = null;
     this._appConfig = null;
-    this._shouldDestroyInstance = false;
+    this._launchPromise = null;
 
     options.distPath = options.distPath || null;
 
     this._setOptions(options);
 
+    this._cache = this.config.cache ? new ResultCache(this.config.cache) : null;
+    this._criticalCSSStore = this._createCriticalCSSStore();
+    this._harArchives = new Map();
+
+    this._pool = new InstancePool({
+      create: () => this._createInstance(),
+      destroy: instance => instance.destroy(),
+      minInstances: this.config.minInstances,
+      maxInstances: this.config.maxInstances,
+      idleTimeoutMs: this.config.instanceIdleTimeoutMs
+    });
+
     process.on('exit', this._cleanupListener);
     process.on('SIGINT', this._exitListener);
     process.on('SIGUSR1', this._exitListener);
@@ -85,10 +126,32 @@ class PowerBoot {
    * @param {Boolean} [options.shouldRender] whether the app should do rendering or not. If set to false, it puts the app in routing-only.
    * @param {Boolean} [options.disableShoebox] whether we should send the API data in the shoebox. If set to false, it will not send the API data used for rendering the app on server side in the index.html.
    * @param {Integer} [options.destroyAppInstanceInMs] whether to destroy the instance(i.e. the browser page) in the given number of ms. This is a failure mechanism to not wedge the Node process (See: https://github.com/ember-fastboot/fastboot/issues/90)
+   * @param {Object|string} [options.apiProxy] overrides the instance's `apiProxy` setting for this visit
+   * @param {Array<Object>} [options.requestRules] overrides the instance's `requestRules` setting for this visit
+   * @param {Object} [options.har] overrides the instance's `har` setting for this visit
+   * @param {Object} [options.consoleLogger] overrides the instance's `consoleLogger` setting for this visit
+   * @param {Boolean|Object} [options.autoShoebox] overrides the instance's `autoShoebox` setting for this visit
+   * @param {Boolean} [options.cache] set to false to bypass the cache for this visit
+   * @param {string} [options.waitFor] overrides the instance's `waitFor` setting for this visit
+   * @param {Integer} [options.settledTimeoutMs] overrides the instance's `settledTimeoutMs` setting for this visit
+   * @param {Boolean} [options.serializeShadowRoots] overrides the instance's `serializeShadowRoots` setting for this visit
+   * @param {string|Object} [options.emulate] overrides the instance's `emulate` setting for this visit
+   * @param {string} [options.timezone] overrides the instance's `timezone` setting for this visit
+   * @param {Array<string>|string|Boolean} [options.languages] overrides the instance's `languages` setting for this visit
+   * @param {string|Boolean} [options.colorScheme] overrides the instance's `colorScheme` setting for this visit
+   * @param {string|Boolean} [options.reducedMotion] overrides the instance's `reducedMotion` setting for this visit
+   * @param {Boolean|Object} [options.deterministic] overrides the instance's `deterministic` setting for this visit
+   * @param {Boolean|Function} [options.mapStatus] overrides the instance's `mapStatus` setting for this visit
+   * @param {string|Array<string>|Object} [options.fragment] render only the elements matching a selector, or one of several selectors, optionally with their styles inlined (`{ selector, inlineStyles: true }`). See {@link Result#fragment}.
+   * @param {string|Array<string>|Object} [options.capture] take a `screenshot` or `pdf`, or both, once the app has rendered, available through `result.screenshot()` and `result.pdf()`. An object can hold Puppeteer options for each, like `{ screenshot: { fullPage: true } }`.
+   * @param {Boolean|Object} [options.criticalCSS] overrides the instance's `criticalCSS` setting for this visit, except for its `store`
+   * @param {Boolean|Object} [options.resourceHints] overrides the instance's `resourceHints` setting for this visit
+   * @param {Boolean} [options.retain=false] keep the app instance that rendered the visit out of the pool until `result.release()` is called, so that `result.screenshot()` and `result.pdf()` can be called with any options. Bypasses the cache.
+   * @param {Integer} [options.retainTimeoutMs] overrides the instance's `retainTimeoutMs` setting for this visit
    * @returns {Promise<Result>} result
    */
   async visit(path, options) {
-    options = options || {};
+    options = this._buildVisitOptions(options || {});
 
     let resilient = options.resilient;
 
@@ -96,35 +159,121 @@ class PowerBoot {
       resilient = this.config.resilient;
     }
 
+    if (!this._launchPromise) {
+      this._launchPromise = this._launch(options);
+      this._launchPromise.catch(() => this._launchPromise = null);
+    }
+    await this._launchPromise;
+
+    let result;
+
+    if (this._cache && options.cache !== false && !options.retain) {
+      result = await this._cache.fetch(path, options, () => this._render(path, options));
+    } else {
+      result = await this._render(path, options);
+    }
+
+    if (!resilient && result.error) {
+      await result.release();
+      throw result.error;
+    } else {
+      return result;
+    }
+  }
+
+  /**
+   * Renders a visit with an app instance from the pool.  The instance goes
+   * back to the pool right away, unless the visit is `retain`ed, in which
+   * case it goes back once `result.release()` is called, or once
+   * `retainTimeoutMs` have passed, so that a caller that forgets to release
+   * a result can't take an instance out of the pool for good.
+   *
+   * @method _render
+   * @private
+   * @param {string} path
+   * @param {Object} options
+   * @returns {Promise<Result>}
+   */
+  async _render(path, options) {
+    const instance = await this._pool.acquire();
+    const release = () => this._pool.release(instance, { destroy: this._isolation() === 'visit' });
+    let isRetained = false;
+
+    try {
+      const result = await instance.visit(path, options);
+      if (options.retain) {
+        const timeoutMs = isNil(options.retainTimeoutMs) ? this.config.retainTimeoutMs : options.retainTimeoutMs;
+        result._retain(release, timeoutMs);
+        isRetained = true;
+      }
+      return result;
+    } finally {
+      if (!isRetained) release();
+    }
+  }
+
+  /**
+   * Fills in the options of a visit that weren't provided
+   * with the instance's settings.
+   *
+   * @method _buildVisitOptions
+   * @private
+   * @param {Object} options the options passed to `visit()`
+   * @returns {Object}
+   */
+  _buildVisitOptions(options) {
+    return assign({
+      apiProxy: this.config.apiProxy,
+      requestRules: this.config.requestRules,
+      har: this.config.har,
+      consoleLogger: this.config.consoleLogger,
+      consoleLevels: this.config.consoleLevels,
+      autoShoebox: this.config.autoShoebox,
+      waitFor: this.config.waitFor,
+      settledTimeoutMs: this.config.settledTimeoutMs,
+      serializeShadowRoots: this.config.serializeShadowRoots,
+      emulate: this.config.emulate,
+      timezone: this.config.timezone,
+      languages: this.config.languages,
+      colorScheme: this.config.colorScheme,
+      reducedMotion: this.config.reducedMotion,
+      deterministic: this.config.deterministic,
+      mapStatus: this.config.mapStatus,
+      criticalCSS: this.config.criticalCSS,
+      resourceHints: this.config.resourceHints
+    }, options);
+  }
+
+  /**
+   * Starts the internal HTTP server and launches a browser if one
+   * wasn't provided.
+   *
+   * @method _launch
+   * @private
+   * @param {Object} options the options passed to `visit()`
+   * @returns {Promise}
+   */
+  async _launch(options) {
     /*
      * We create an HTTP server on a random port so that the
      * browser page can navigate to an actual host, thereby
      * allowing the Ember app to use features like localStorage
      * without causing SecurityError exceptions to be thrown.
+     * The server also serves the dist directory so that assets
+     * referenced with relative URLs load during rendering.
      */
-    this._httpServer = this._httpServer || await new Promise(resolve => {
-      const server = http.createServer((req, res) => res.end());
-      server.listen(0, '0.0.0.0', resolve(server));
+    this._httpServer = this._httpServer || await new Promise((resolve, reject) => {
+      const server = http.createServer(createStaticHandler(() => this.config.distPath, {
+        getAppFiles: () => this._appConfig && this._appConfig.vendorFiles.concat(this._appConfig.appFiles)
+      }));
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => resolve(server));
     });
 
     if(!options.browser && !this.config.browser){
       const puppeteerOptions = assign({}, DEFAULT_PUPPETEER_OPTIONS, this.config.puppeteer || {});
       this.config.browser = await puppeteer.launch(puppeteerOptions);
     }
-
-    for (const promise of this._getAvailableOrNewInstance()) {
-      const isReady = await promise;
-      if (isReady) break;
-    }
-
-    const result = await this._instance.visit(path, options);
-    this._releaseInstance();
-
-    if (!resilient && result.error) {
-      throw result.error;
-    } else {
-      return result;
-    }
   }
 
   /**
@@ -139,13 +288,23 @@ class PowerBoot {
    */
   async reload(options={}) {
     this._setOptions(options);
-    this._shouldDestroyInstance = true;
-    if (!this._instance) return;
-    if (this._isWorking) {
-      this._shouldDestroyInstance = true;
-      return;
+    this._pool.configure({
+      minInstances: this.config.minInstances,
+      maxInstances: this.config.maxInstances,
+      idleTimeoutMs: this.config.instanceIdleTimeoutMs
+    });
+    if (options.hasOwnProperty('cache')) {
+      this._cache = this.config.cache ? new ResultCache(this.config.cache) : null;
+    } else if (this._cache) {
+      await this._cache.clear();
     }
-    this._releaseInstance();
+    this._harArchives.clear();
+    if (options.hasOwnProperty('criticalCSS')) {
+      this._criticalCSSStore = this._createCriticalCSSStore();
+    } else if (typeof this._criticalCSSStore.clear === 'function') {
+      await this._criticalCSSStore.clear();
+    }
+    this._pool.reload();
   }
 
   /** 
@@ -155,6 +314,7 @@ class PowerBoot {
    * @returns {Promise}
    */
   async close(){
+    await this._pool.close();
     if(!isNil(this.config.browser)) await this.config.browser.close();
     if(!isNil(this._httpServer)) await this._httpServer.close();
     if (process && process.off) {
@@ -195,6 +355,45 @@ class PowerBoot {
     this._setOption(options, 'resilient', false);
     this._setOption(options, 'disableShoebox', false);
     this._setOption(options, 'puppeteer', {});
+    this._setOption(options, 'minInstances', 1);
+    this._setOption(options, 'maxInstances', 1);
+    this._setOption(options, 'instanceIdleTimeoutMs', 30000);
+    this._setOption(options, 'retainTimeoutMs', 60000);
+    this._setOption(options, 'apiProxy', null);
+    this._setOption(options, 'requestRules', []);
+    this._setOption(options, 'har', null);
+    this._setOption(options, 'useScriptTags', false);
+    this._setOption(options, 'consoleLogger', null);
+    this._setOption(options, 'consoleLevels', {});
+    this._setOption(options, 'autoShoebox', false);
+    this._setOption(options, 'cache', false);
+    this._setOption(options, 'isolation', null);
+    this._setOption(options, 'waitFor', 'visit');
+    this._setOption(options, 'settledTimeoutMs', 5000);
+    this._setOption(options, 'serializeShadowRoots', false);
+    this._setOption(options, 'emulate', null);
+    this._setOption(options, 'timezone', null);
+    this._setOption(options, 'languages', null);
+    this._setOption(options, 'colorScheme', null);
+    this._setOption(options, 'reducedMotion', null);
+    this._setOption(options, 'deterministic', false);
+    this._setOption(options, 'mapStatus', true);
+    this._setOption(options, 'criticalCSS', false);
+    this._setOption(options, 'resourceHints', false);
+
+    const { minInstances, maxInstances } = this.config;
+    if (!(maxInstances >= 1)) {
+      throw new Error('The `maxInstances` option must be at least 1.');
+    }
+    if (!(minInstances >= 0) || minInstances > maxInstances) {
+      throw new Error('The `minInstances` option must be between 0 and `maxInstances`.');
+    }
+    if (this.config.isolation !== null && ISOLATION_MODES.indexOf(this.config.isolation) === -1) {
+      throw new Error('The `isolation` option must be one of `none`, `instance` or `visit`.');
+    }
+    if (WAIT_FOR_STRATEGIES.indexOf(this.config.waitFor) === -1) {
+      throw new Error('The `waitFor` option must be either `visit` or `settled`.');
+    }
   }
 
   /**
@@ -209,7 +408,7 @@ class PowerBoot {
   _setOption(options, key, _default) {
     const hasDefault = arguments.length === 3;
     setOption: if (options.hasOwnProperty(key)) {
-      if (options[key]) {
+      if (!isNil(options[key])) {
         this.config[key] = options[key];
       } else if (hasDefault) {
         break setOption;
@@ -218,56 +417,69 @@ class PowerBoot {
       }
       return;
     }
-    if (hasDefault) this.config[key] = this.config[key] || _default;
+    if (hasDefault && isNil(this.config[key])) this.config[key] = _default;
   }
 
   /**
-   * Waits for the app instance to become available, or creates one, and yields it.
-   * Otherwise, it will yield a promise to be waited on.
-   * 
-   * @method _getAvailableOrNewInstance
+   * The `isolation` mode the app instances are created with.  Unless it's
+   * set, pages are only shared with the browser's default context when
+   * there's a single app instance: concurrent pages would otherwise share
+   * the internal HTTP server's origin, so one visit could clear or read
+   * the storage and cookies of another.
+   *
+   * @method _isolation
    * @private
-   * @yields {EmberApp|Promise}
+   * @returns {string}
    */
-  *_getAvailableOrNewInstance() {
-    const { _appConfig, config: { sandboxGlobals } } = this;
-    while(true) {
-      if (!this._instance && this._httpServer) {
-        yield this.config.browser.newPage().then(async page => {
-          const { address, port } = this._httpServer.address();
-          await page.goto(`http://${address}:${port}`);
-          this._instance = new EmberApp({ page, config: _appConfig, sandboxGlobals });
-          return true;
-        });
-      }
-      if (this._instance && !this.isWorking) {
-        this.isWorking = true;
-        yield true;
-        break;
-      }
-      yield new Promise(resolve => {
-        setImmediate(() => resolve(null));
-      });
-    }
+  _isolation() {
+    const { isolation, maxInstances } = this.config;
+    if (isolation) return isolation;
+    return maxInstances > 1 ? 'instance' : 'none';
+  }
+
+  /**
+   * Creates the store that the app instances cache critical CSS in.
+   *
+   * @method _createCriticalCSSStore
+   * @private
+   * @returns {Object}
+   */
+  _createCriticalCSSStore() {
+    const { criticalCSS } = this.config;
+    return criticalCSS && criticalCSS.store || new MemoryStore();
   }
 
   /**
-   * Takes a formerly-working app instance and makes it available for other use,
-   * unless that instance has been marked for destruction, in which case it is
-   * destroyed and disposed of.
+   * Opens a new browser page on the internal HTTP server and wraps it
+   * in an app instance for the pool.  With isolation, the page is opened
+   * in its own incognito browser context, and with `visit` isolation the
+   * app is booted right away since the instance only serves one visit.
    * 
-   * @method _releaseInstance
+   * @method _createInstance
    * @private
+   * @returns {Promise<EmberApp>}
    */
-  _releaseInstance() {
-    if (this._shouldDestroyInstance) {
-      this._instance.destroy();
-      this._instance = null;
-      this._shouldDestroyInstance = false;
+  async _createInstance() {
+    const { _appConfig, config: { browser, sandboxGlobals, useScriptTags } } = this;
+    const isolation = this._isolation();
+    const context = isolation === 'none' ? null : await browser.createIncognitoBrowserContext();
+    let instance;
+    try {
+      const page = await (context || browser).newPage();
+      const { address, port } = this._httpServer.address();
+      await page.goto(`http://${address}:${port}`);
+      instance = new EmberApp({ page, context, config: _appConfig, sandboxGlobals, useScriptTags,
+        criticalCSSStore: this._criticalCSSStore, harArchives: this._harArchives });
+      if (isolation === 'visit') await instance.boot();
+    } catch(error) {
+      if (context) await context.close();
+      throw error;
     }
-    this.isWorking = false;
+    return instance;
   }
 
 }
 
+PowerBoot.MemoryStore = MemoryStore;
+
 module.exports = PowerBoot;
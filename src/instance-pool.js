@@ -0,0 +1,301 @@
+'use strict';
+
+const debug = require('debug')('powerboot:instance-pool');
+
+/**
+ * A pool of app instances that get checked out for the duration of a
+ * visit and returned afterwards, so that one slow route doesn't hold up
+ * every other request being served by the same PowerBoot instance.
+ *
+ * The pool grows on demand up to `maxInstances`, shrinks back down to
+ * `minInstances` once instances have been idle for `idleTimeoutMs`, and
+ * can mark every instance it holds for replacement through `reload()`.
+ *
+ * @class InstancePool
+ * @private
+ */
+class InstancePool {
+  /**
+   * Create a new InstancePool.
+   *
+   * @param {Object} options
+   * @param {Function} options.create - returns a promise that resolves to a new instance
+   * @param {Function} options.destroy - disposes of an instance
+   * @param {Integer} [options.minInstances=1] - number of instances the pool won't shrink below
+   * @param {Integer} [options.maxInstances=1] - maximum number of instances, busy or idle
+   * @param {Integer} [options.idleTimeoutMs=30000] - how long an instance can be idle before it's destroyed, if the pool is above `minInstances`
+   */
+  constructor(options) {
+    this.create = options.create;
+    this.destroy = options.destroy;
+    this.minInstances = 1;
+    this.maxInstances = 1;
+    this.idleTimeoutMs = 30000;
+    this.configure(options);
+
+    this._idle = [];
+    this._busy = new Set();
+    this._pending = 0;
+    this._waiting = [];
+    this._generation = 0;
+    this._generations = new Map();
+    this._isStarted = false;
+    this._isClosed = false;
+  }
+
+  /**
+   * The total number of instances in the pool, including the ones
+   * that are still being created.
+   *
+   * @property size
+   * @type Integer
+   */
+  get size() {
+    return this._idle.length + this._busy.size + this._pending;
+  }
+
+  /**
+   * The number of instances currently checked out.
+   *
+   * @property busyCount
+   * @type Integer
+   */
+  get busyCount() {
+    return this._busy.size;
+  }
+
+  /**
+   * The number of instances waiting to be checked out.
+   *
+   * @property idleCount
+   * @type Integer
+   */
+  get idleCount() {
+    return this._idle.length;
+  }
+
+  /**
+   * Updates the size limits of the pool.
+   *
+   * @method configure
+   * @param {Object} options
+   */
+  configure(options) {
+    if (options.hasOwnProperty('minInstances')) this.minInstances = options.minInstances;
+    if (options.hasOwnProperty('maxInstances')) this.maxInstances = options.maxInstances;
+    if (options.hasOwnProperty('idleTimeoutMs')) this.idleTimeoutMs = options.idleTimeoutMs;
+  }
+
+  /**
+   * Checks out an idle instance, creates a new one if the pool hasn't
+   * reached `maxInstances`, or waits for one to be released.
+   *
+   * @method acquire
+   * @returns {Promise<Object>} instance
+   */
+  async acquire() {
+    if (this._isClosed) throw new Error('Cannot acquire an instance from a pool that has been closed.');
+
+    if (!this._isStarted) {
+      this._isStarted = true;
+      setImmediate(() => this._ensureMinimum());
+    }
+
+    const entry = this._idle.pop();
+    if (entry) {
+      clearTimeout(entry.timer);
+      this._busy.add(entry.instance);
+      return entry.instance;
+    }
+
+    if (this.size < this.maxInstances) {
+      const instance = await this._createInstance();
+      this._busy.add(instance);
+      return instance;
+    }
+
+    debug('all %d instances are busy, waiting for one to be released', this.size);
+    return new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Returns a checked-out instance to the pool.  The instance is destroyed
+   * instead if it was marked for replacement, if the pool was closed,
+   * or if `options.destroy` is true.
+   *
+   * @method release
+   * @param {Object} instance
+   * @param {Object} [options]
+   * @param {Boolean} [options.destroy=false] whether to destroy the instance rather than reuse it
+   */
+  release(instance, options={}) {
+    if (!this._busy.delete(instance)) return;
+
+    const isStale = this._generations.get(instance) !== this._generation;
+
+    if (this._isClosed || isStale || options.destroy) {
+      this._destroyInstance(instance);
+      this._dispatch();
+      this._ensureMinimum();
+      return;
+    }
+
+    const waiter = this._waiting.shift();
+    if (waiter) {
+      this._busy.add(instance);
+      waiter.resolve(instance);
+      return;
+    }
+
+    this._makeIdle(instance);
+  }
+
+  /**
+   * Marks every instance in the pool for replacement.  Idle instances are
+   * destroyed immediately and busy ones are destroyed once they are released.
+   *
+   * @method reload
+   */
+  reload() {
+    this._generation++;
+    for (const entry of this._idle.splice(0)) {
+      clearTimeout(entry.timer);
+      this._destroyInstance(entry.instance);
+    }
+    this._ensureMinimum();
+  }
+
+  /**
+   * Destroys idle instances, rejects anything waiting on an instance,
+   * and causes busy instances to be destroyed once they are released.
+   *
+   * @method close
+   * @returns {Promise}
+   */
+  async close() {
+    this._isClosed = true;
+    for (const waiter of this._waiting.splice(0)) {
+      waiter.reject(new Error('The instance pool was closed before an instance became available.'));
+    }
+    await Promise.all(this._idle.splice(0).map(entry => {
+      clearTimeout(entry.timer);
+      return this._destroyInstance(entry.instance);
+    }));
+  }
+
+  /**
+   * Creates a new instance and tags it with the current generation,
+   * so that it can be recognized as stale after a reload.
+   *
+   * @method _createInstance
+   * @private
+   * @returns {Promise<Object>} instance
+   */
+  async _createInstance() {
+    const generation = this._generation;
+    let instance;
+    this._pending++;
+    try {
+      instance = await this.create();
+    } finally {
+      this._pending--;
+    }
+    this._generations.set(instance, generation);
+    debug('created instance, pool size is now %d', this.size + 1);
+    return instance;
+  }
+
+  /**
+   * Hands idle instances to waiters, or creates new instances
+   * for waiters if the pool has room to grow.
+   *
+   * @method _dispatch
+   * @private
+   */
+  _dispatch() {
+    while (this._waiting.length && this._idle.length) {
+      const entry = this._idle.pop();
+      clearTimeout(entry.timer);
+      this._busy.add(entry.instance);
+      this._waiting.shift().resolve(entry.instance);
+    }
+    while (this._waiting.length && this.size < this.maxInstances) {
+      const waiter = this._waiting.shift();
+      this._createInstance().then(instance => {
+        this._busy.add(instance);
+        waiter.resolve(instance);
+      }, error => {
+        waiter.reject(error);
+        this._dispatch();
+      });
+    }
+  }
+
+  /**
+   * Creates instances in the background until the pool
+   * has at least `minInstances`.
+   *
+   * @method _ensureMinimum
+   * @private
+   */
+  _ensureMinimum() {
+    if (!this._isStarted || this._isClosed) return;
+    const missing = this.minInstances - this.size;
+    for (let i = 0; i < missing; i++) {
+      this._createInstance().then(instance => {
+        this._busy.add(instance);
+        this.release(instance);
+      }, error => {
+        debug('failed to create an instance in the background: %s', error.message);
+      });
+    }
+  }
+
+  /**
+   * Puts an instance on the idle list and, if the pool is allowed to shrink,
+   * schedules it to be destroyed once it has been idle too long.
+   *
+   * @method _makeIdle
+   * @private
+   * @param {Object} instance
+   */
+  _makeIdle(instance) {
+    const entry = { instance, timer: null };
+    if (this.idleTimeoutMs > 0) {
+      entry.timer = setTimeout(() => this._reap(entry), this.idleTimeoutMs);
+      if (entry.timer.unref) entry.timer.unref();
+    }
+    this._idle.push(entry);
+  }
+
+  /**
+   * Destroys an instance that has been idle for too long,
+   * unless doing so would shrink the pool below `minInstances`.
+   *
+   * @method _reap
+   * @private
+   * @param {Object} entry
+   */
+  _reap(entry) {
+    const index = this._idle.indexOf(entry);
+    if (index === -1 || this.size <= this.minInstances) return;
+    this._idle.splice(index, 1);
+    debug('destroying idle instance, pool size is now %d', this.size);
+    this._destroyInstance(entry.instance);
+  }
+
+  /**
+   * @method _destroyInstance
+   * @private
+   * @param {Object} instance
+   * @returns {Promise}
+   */
+  _destroyInstance(instance) {
+    this._generations.delete(instance);
+    return Promise.resolve()
+      .then(() => this.destroy(instance))
+      .catch(error => debug('failed to destroy instance: %s', error.message));
+  }
+}
+
+module.exports = InstancePool;
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * An in-memory, least-recently-used store for the {@link ResultCache}.
+ *
+ * Any object with the same `get`, `set` and `delete` methods returning
+ * promises can be used as a store instead, such as one backed by Redis or
+ * memcached.  `clear` is optional and is used when the app is reloaded.
+ *
+ * @class MemoryStore
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {Integer} [options.max=100] the maximum number of entries to hold before evicting the least recently used one
+   */
+  constructor(options={}) {
+    this.max = options.max || 100;
+    this._entries = new Map();
+  }
+
+  /**
+   * The number of entries in the store.
+   *
+   * @property size
+   * @type Integer
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Retrieves an entry, or `undefined` if there isn't one or it has expired.
+   *
+   * @method get
+   * @param {string} key
+   * @returns {Promise<*>}
+   */
+  async get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+    this._entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Stores an entry.
+   *
+   * @method set
+   * @param {string} key
+   * @param {*} value
+   * @param {Integer} [ttl] how long to keep the entry, in ms
+   * @returns {Promise}
+   */
+  async set(key, value, ttl) {
+    this._entries.delete(key);
+    this._entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : Infinity
+    });
+    while (this._entries.size > this.max) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes an entry.
+   *
+   * @method delete
+   * @param {string} key
+   * @returns {Promise}
+   */
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Removes every entry.
+   *
+   * @method clear
+   * @returns {Promise}
+   */
+  async clear() {
+    this._entries.clear();
+  }
+}
+
+module.exports = MemoryStore;
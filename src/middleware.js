@@ -0,0 +1,147 @@
+'use strict';
+
+const fs = require('fs');
+const debug = require('debug')('powerboot:middleware');
+const { readPackageJSON } = require('./utils');
+
+/**
+ * Creates an Express/Connect middleware that renders every request it
+ * receives with PowerBoot and writes the result to the response.
+ *
+ * The status code and headers set by the app through the FastBoot service
+ * are copied onto the response, including multiple values of the same
+ * header such as `Set-Cookie`.  Redirects are sent with their `Location`
+ * header.  Requests for URLs the app doesn't recognize are passed on to the
+ * next middleware, while other rendering errors are either passed to
+ * `next(err)` or answered with the app's plain `index.html` so that the
+ * app can still boot in the browser.
+ *
+ * @example
+ * const express = require('express');
+ * const powerbootMiddleware = require('powerboot/src/middleware');
+ *
+ * let app = express();
+ *
+ * app.get('/*', powerbootMiddleware('path/to/dist'));
+ *
+ * @function powerbootMiddleware
+ * @param {Object|string} options the path to the built Ember app, or an options object
+ * @param {string} [options.distPath] the path to the built Ember app. Required if `powerboot` isn't provided.
+ * @param {PowerBoot} [options.powerboot] a PowerBoot instance to render with
+ * @param {Boolean} [options.resilient] passed to the PowerBoot instance created by the middleware
+ * @param {Boolean} [options.chunkedResponse=false] whether to write the response in chunks using `Result#chunks()`
+ * @param {Boolean} [options.fallbackToIndex=false] whether to send the plain `index.html` instead of calling `next(err)` when rendering fails
+ * @param {Object} [options.visitOptions] additional options passed to `PowerBoot#visit()`
+ * @returns {Function} middleware
+ */
+function powerbootMiddleware(options={}) {
+  if (typeof options === 'string') {
+    options = { distPath: options };
+  }
+
+  let powerboot = options.powerboot;
+
+  if (!powerboot) {
+    const PowerBoot = require('./index');
+    powerboot = new PowerBoot({
+      distPath: options.distPath,
+      resilient: options.resilient
+    });
+  }
+
+  const visitOptions = options.visitOptions || {};
+
+  return async function(req, res, next) {
+    const path = req.url;
+    let result;
+
+    try {
+      result = await powerboot.visit(path, Object.assign({}, visitOptions, { request: req, response: res }));
+    } catch(error) {
+      if (isUnrecognizedURLError(error)) {
+        debug('unrecognized URL %s', path);
+        return next();
+      }
+      return fail(error);
+    }
+
+    if (result.error) {
+      debug('resilient mode caught an error while rendering %s: %s', path, result.error.stack);
+    }
+
+    try {
+      const statusCode = result.statusCode || 200;
+      const isRedirect = statusCode >= 300 && statusCode <= 399;
+      const body = options.chunkedResponse && !isRedirect && statusCode !== 204 ?
+        await result.chunks() :
+        await result.html();
+
+      res.statusCode = statusCode;
+      writeHeaders(res, result.headers);
+      if (!res.getHeader('Content-Type')) {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      }
+      debug('%d %s', statusCode, path);
+
+      if (typeof body === 'string') {
+        res.end(body);
+      } else {
+        for (const chunk of body) res.write(chunk);
+        res.end();
+      }
+    } catch(error) {
+      fail(error);
+    }
+
+    function fail(error) {
+      debug('failed to render %s: %s', path, error.stack);
+      if (res.headersSent) return next(error);
+      if (options.fallbackToIndex) {
+        try {
+          const indexHTML = readIndexHTML(options.distPath || powerboot.config.distPath);
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'text/html; charset=utf-8');
+          return res.end(indexHTML);
+        } catch(indexError) {
+          debug('failed to read index.html: %s', indexError.message);
+        }
+      }
+      res.statusCode = 500;
+      next(error);
+    }
+  };
+}
+
+/**
+ * Copies the headers of a result onto a response, preserving
+ * headers that have multiple values.
+ *
+ * @function writeHeaders
+ * @param {ServerResponse} res
+ * @param {FastBootHeaders} headers
+ */
+function writeHeaders(res, headers) {
+  if (!headers) return;
+  const names = new Set(headers.keys());
+  for (const name of names) {
+    const values = headers.getAll(name);
+    res.setHeader(name, values.length > 1 ? values : values[0]);
+  }
+}
+
+/**
+ * Reads the `index.html` of the built Ember app.
+ *
+ * @function readIndexHTML
+ * @param {string} distPath
+ * @returns {string}
+ */
+function readIndexHTML(distPath) {
+  return fs.readFileSync(readPackageJSON(distPath).htmlFile, 'utf8');
+}
+
+function isUnrecognizedURLError(error) {
+  return !!error && (error.name === 'UnrecognizedURLError' || /UnrecognizedURLError/.test(error.message));
+}
+
+module.exports = powerbootMiddleware;
@@ -0,0 +1,172 @@
+'use strict';
+
+const debug = require('debug')('powerboot:page-monitor');
+
+/*
+ * Maps the types of Chromium console messages to the
+ * logger methods they are forwarded to by default.
+ */
+const DEFAULT_CONSOLE_LEVELS = {
+  log: 'info',
+  info: 'info',
+  debug: 'debug',
+  trace: 'debug',
+  dir: 'debug',
+  dirxml: 'debug',
+  table: 'info',
+  count: 'info',
+  timeEnd: 'info',
+  assert: 'error',
+  warning: 'warn',
+  error: 'error'
+};
+
+/**
+ * Collects what happens in a browser page during a visit that is otherwise
+ * invisible on the Node side: console messages, uncaught errors, and failed
+ * network requests.  Listeners are only attached between `start()` and
+ * `stop()`, so a monitor only ever sees the activity of a single visit.
+ *
+ * Console messages can also be forwarded to a logger as they happen.
+ *
+ * @class PageMonitor
+ * @private
+ */
+class PageMonitor {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this.consoleMessages = [];
+    this.pageErrors = [];
+    this.failedRequests = [];
+    this._logger = null;
+    this._consoleLevels = DEFAULT_CONSOLE_LEVELS;
+    this._isStarted = false;
+    this._onConsole = this._onConsole.bind(this);
+    this._onPageError = this._onPageError.bind(this);
+    this._onRequestFailed = this._onRequestFailed.bind(this);
+    this._onResponse = this._onResponse.bind(this);
+  }
+
+  /**
+   * Starts collecting activity for a new visit.
+   *
+   * @method start
+   * @param {Object} [options]
+   * @param {Object} [options.consoleLogger] a logger, like `console`, that console messages are forwarded to
+   * @param {Object} [options.consoleLevels] maps console message types to logger methods, merged with the defaults
+   */
+  start(options={}) {
+    if (this._isStarted) this.stop();
+    this.consoleMessages = [];
+    this.pageErrors = [];
+    this.failedRequests = [];
+    this._logger = options.consoleLogger || null;
+    this._consoleLevels = Object.assign({}, DEFAULT_CONSOLE_LEVELS, options.consoleLevels);
+    this._isStarted = true;
+    this.page.on('console', this._onConsole);
+    this.page.on('pageerror', this._onPageError);
+    this.page.on('requestfailed', this._onRequestFailed);
+    this.page.on('response', this._onResponse);
+  }
+
+  /**
+   * Stops collecting activity.
+   *
+   * @method stop
+   */
+  stop() {
+    if (!this._isStarted) return;
+    this._isStarted = false;
+    this.page.removeListener('console', this._onConsole);
+    this.page.removeListener('pageerror', this._onPageError);
+    this.page.removeListener('requestfailed', this._onRequestFailed);
+    this.page.removeListener('response', this._onResponse);
+  }
+
+  /**
+   * Copies the collected activity onto a result.
+   *
+   * @method applyTo
+   * @param {Result} result
+   */
+  applyTo(result) {
+    result.consoleMessages = this.consoleMessages.slice();
+    result.pageErrors = this.pageErrors.slice();
+    result.failedRequests = this.failedRequests.slice();
+  }
+
+  /**
+   * @method _onConsole
+   * @private
+   * @param {ConsoleMessage} message
+   */
+  _onConsole(message) {
+    const entry = {
+      type: message.type(),
+      text: message.text(),
+      location: typeof message.location === 'function' ? message.location() : undefined
+    };
+    this.consoleMessages.push(entry);
+
+    if (!this._logger) return;
+    const level = this._consoleLevels[entry.type] || 'log';
+    const log = this._logger[level] || this._logger.log;
+    if (typeof log !== 'function') return;
+    try {
+      log.call(this._logger, entry.text);
+    } catch(error) {
+      debug('failed to forward console message: %s', error.message);
+    }
+  }
+
+  /**
+   * @method _onPageError
+   * @private
+   * @param {Error} error
+   */
+  _onPageError(error) {
+    this.pageErrors.push(error);
+  }
+
+  /**
+   * @method _onRequestFailed
+   * @private
+   * @param {Request} request
+   */
+  _onRequestFailed(request) {
+    const failure = request.failure();
+    // Requests blocked by request rules are reported as `blockedRequests`.
+    if (failure && failure.errorText === 'net::ERR_BLOCKED_BY_CLIENT') return;
+    this.failedRequests.push({
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      errorText: failure ? failure.errorText : undefined
+    });
+  }
+
+  /**
+   * Treats responses with an error status as failed requests.
+   *
+   * @method _onResponse
+   * @private
+   * @param {Response} response
+   */
+  _onResponse(response) {
+    if (response.status() < 400) return;
+    const request = response.request();
+    this.failedRequests.push({
+      url: response.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: response.status()
+    });
+  }
+}
+
+PageMonitor.DEFAULT_CONSOLE_LEVELS = DEFAULT_CONSOLE_LEVELS;
+
+module.exports = PageMonitor;
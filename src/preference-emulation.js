@@ -0,0 +1,226 @@
+'use strict';
+
+const debug = require('debug')('powerboot:preference-emulation');
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTIONS = ['reduce', 'no-preference'];
+
+// The first version of Chromium with `Emulation.setTimezoneOverride` and
+// the `features` of `Emulation.setEmulatedMedia`, which older versions
+// don't have or silently ignore.
+const MIN_CHROMIUM_VERSION = 80;
+
+/**
+ * Emulates the user's timezone, languages and `prefers-color-scheme` and
+ * `prefers-reduced-motion` media features on a page, and resets whatever
+ * isn't asked for on the next visit so that one user's preferences don't
+ * carry over to another's.
+ *
+ * The timezone and media features are emulated through the DevTools
+ * protocol, while `navigator.language` and `navigator.languages` are
+ * overridden in the page.  The protocol only supports them from Chromium
+ * 80 on.  With an older browser, media features taken from the request's
+ * client hints are left out, while a timezone or media feature set through
+ * the options rejects.
+ *
+ * @class PreferenceEmulator
+ * @private
+ */
+class PreferenceEmulator {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this._session = null;
+    this._timezone = null;
+    this._mediaFeatures = '[]';
+    this._browserVersion = null;
+  }
+
+  /**
+   * Applies the preferences of a visit to the page.
+   *
+   * @method emulate
+   * @param {Object|null} preferences the resolved preferences, as returned by {@link resolvePreferences}
+   * @param {Object} [options={}] the options of the visit, telling preferences set explicitly apart from those taken from the request
+   * @returns {Promise<Object|null>} the preferences that were emulated
+   */
+  async emulate(preferences, options={}) {
+    let { timezone, languages, colorScheme, reducedMotion } = preferences || {};
+
+    if ((timezone || null) !== this._timezone) {
+      if (timezone && !(await this._isSupported())) {
+        throw this._unsupportedError('the `timezone` option');
+      }
+      debug('emulating timezone %s', timezone);
+      await this._send('Emulation.setTimezoneOverride', { timezoneId: timezone || '' });
+      this._timezone = timezone || null;
+    }
+
+    if ((colorScheme || reducedMotion) && !(await this._isSupported())) {
+      if (options.colorScheme || options.reducedMotion) {
+        throw this._unsupportedError('the `colorScheme` and `reducedMotion` options');
+      }
+      debug('leaving out the media features of the request, which %s can\'t emulate', this._browserVersion);
+      colorScheme = reducedMotion = null;
+    }
+
+    const features = [];
+    if (colorScheme) features.push({ name: 'prefers-color-scheme', value: colorScheme });
+    if (reducedMotion) features.push({ name: 'prefers-reduced-motion', value: reducedMotion });
+    const mediaFeatures = JSON.stringify(features);
+    if (mediaFeatures !== this._mediaFeatures) {
+      debug('emulating media features %s', mediaFeatures);
+      await this._send('Emulation.setEmulatedMedia', { media: '', features });
+      this._mediaFeatures = mediaFeatures;
+    }
+
+    // The overrides live on the page's `navigator`, which is replaced
+    // whenever the page reloads, so they are applied on every visit.
+    await this.page.evaluate(languages => {
+      if (languages) {
+        Object.defineProperty(navigator, 'language', { get: () => languages[0], configurable: true });
+        Object.defineProperty(navigator, 'languages', { get: () => languages.slice(), configurable: true });
+      } else {
+        delete navigator.language;
+        delete navigator.languages;
+      }
+    }, languages || null);
+
+    if (!preferences) return null;
+    const emulated = { timezone: timezone || null, languages: languages || null, colorScheme: colorScheme || null, reducedMotion: reducedMotion || null };
+    const isEmpty = Object.keys(emulated).every(key => emulated[key] === null);
+    return isEmpty ? null : emulated;
+  }
+
+  /**
+   * Whether the browser is recent enough to emulate the timezone and
+   * media features.
+   *
+   * @method _isSupported
+   * @private
+   * @returns {Promise<Boolean>}
+   */
+  async _isSupported() {
+    if (!this._browserVersion) {
+      this._browserVersion = await this.page.browser().version();
+    }
+    const match = this._browserVersion.match(/\/(\d+)\./);
+    return !match || parseInt(match[1], 10) >= MIN_CHROMIUM_VERSION;
+  }
+
+  /**
+   * @method _unsupportedError
+   * @private
+   * @param {string} what the options being emulated
+   * @returns {Error} an error explaining which version of Chromium is needed
+   */
+  _unsupportedError(what) {
+    return new Error(`Emulating ${what} needs Chromium ${MIN_CHROMIUM_VERSION} or later, but the browser is ${this._browserVersion}.`);
+  }
+
+  /**
+   * @method _send
+   * @private
+   * @param {string} method
+   * @param {Object} params
+   * @returns {Promise}
+   */
+  async _send(method, params) {
+    if (!this._session) {
+      this._session = await this.page.target().createCDPSession();
+    }
+    return this._session.send(method, params);
+  }
+}
+
+/**
+ * Resolves the preferences of a visit from its options and, for whatever
+ * they leave out, from the headers of the request being rendered:
+ * `Accept-Language` for the languages, and the `Sec-CH-Prefers-Color-Scheme`
+ * and `Sec-CH-Prefers-Reduced-Motion` client hints for the media features.
+ * Setting an option to false keeps it from being taken from the request.
+ *
+ * @function resolvePreferences
+ * @param {Object} options the options passed to `visit()`
+ * @param {string} [options.timezone] an IANA timezone, like `America/New_York`
+ * @param {Array<string>|string|Boolean} [options.languages] the languages for `navigator.languages`, most preferred first
+ * @param {string|Boolean} [options.colorScheme] `light`, `dark` or `no-preference`
+ * @param {string|Boolean} [options.reducedMotion] `reduce` or `no-preference`
+ * @param {FastBootRequest} [request] the request being rendered
+ * @returns {Object|null} the `timezone`, `languages`, `colorScheme` and `reducedMotion`, or null if there's nothing to emulate
+ */
+function resolvePreferences(options, request) {
+  const headers = request ? request.headers : null;
+  const header = name => headers ? headers.get(name) : null;
+
+  const preferences = {
+    timezone: options.timezone || null,
+    languages: resolve(options.languages, () => parseAcceptLanguage(header('accept-language'))),
+    colorScheme: resolve(options.colorScheme, () => clientHint(header('sec-ch-prefers-color-scheme'), COLOR_SCHEMES)),
+    reducedMotion: resolve(options.reducedMotion, () => clientHint(header('sec-ch-prefers-reduced-motion'), REDUCED_MOTIONS))
+  };
+
+  if (preferences.languages && !Array.isArray(preferences.languages)) {
+    preferences.languages = [preferences.languages];
+  }
+  if (preferences.languages && !preferences.languages.length) {
+    preferences.languages = null;
+  }
+  if (preferences.colorScheme && COLOR_SCHEMES.indexOf(preferences.colorScheme) === -1) {
+    throw new Error(`The \`colorScheme\` option must be one of \`${COLOR_SCHEMES.join('`, `')}\`.`);
+  }
+  if (preferences.reducedMotion && REDUCED_MOTIONS.indexOf(preferences.reducedMotion) === -1) {
+    throw new Error(`The \`reducedMotion\` option must be one of \`${REDUCED_MOTIONS.join('`, `')}\`.`);
+  }
+
+  const isEmpty = Object.keys(preferences).every(key => preferences[key] === null);
+  return isEmpty ? null : preferences;
+}
+
+function resolve(option, fromRequest) {
+  if (option === false) return null;
+  return option || fromRequest() || null;
+}
+
+/**
+ * Turns an `Accept-Language` header into a list of languages,
+ * most preferred first.
+ *
+ * @function parseAcceptLanguage
+ * @param {string} header
+ * @returns {Array<string>|null}
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return null;
+
+  const languages = header.split(',')
+    .map((part, index) => {
+      const [ tag, ...params ] = part.trim().split(';');
+      const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).filter(Boolean)[0];
+      return { tag: tag.trim(), quality: q ? parseFloat(q[1]) : 1, index };
+    })
+    .filter(language => language.tag && language.tag !== '*' && language.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(language => language.tag);
+
+  return languages.length ? languages : null;
+}
+
+/**
+ * Reads a client hint, which is a quoted string, if it has one of the
+ * expected values.
+ *
+ * @function clientHint
+ * @param {string} value
+ * @param {Array<string>} values
+ * @returns {string|null}
+ */
+function clientHint(value, values) {
+  if (!value) return null;
+  value = value.trim().replace(/^"(.*)"$/, '$1');
+  return values.indexOf(value) === -1 ? null : value;
+}
+
+module.exports = { PreferenceEmulator, resolvePreferences, parseAcceptLanguage };
@@ -0,0 +1,312 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const debug = require('debug')('powerboot:prerender');
+
+// Used to resolve the links found in rendered pages; it never gets requested.
+const BASE_URL = 'http://prerender.powerboot';
+
+const LINK_REGEXP = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+
+/**
+ * Renders a list of URLs to static HTML files, like Prember does for
+ * FastBoot.  Each URL is rendered with `visit()` and written to
+ * `<outputPath>/<path>/index.html`, next to a copy of the files in the dist
+ * directory.  The app's original `index.html` is kept as `_empty.html` so
+ * that it can be served for URLs that weren't prerendered.
+ *
+ * Static files can't vary by query string, so URLs that only differ by
+ * their query string, like `/search?q=a` and `/search?q=b`, go to the same
+ * file.  Only the first of them is written, and the others get a `warning`
+ * in their report instead of overwriting it.
+ *
+ * When `crawl` is set, same-origin links found in the rendered HTML are
+ * rendered as well, except for the ones that would go to a file that
+ * another URL goes to already, or that can't be written to a file at all,
+ * like `/100%` or paths leading outside of `outputPath`.  Such URLs in
+ * `urls` aren't rendered and are reported as failures instead.
+ *
+ * The returned promise rejects if any URL fails to render or responds with a
+ * status code outside the 2xx range, unless `allowFailures` is set.  The
+ * error has a `pages` property with the report for every URL.
+ *
+ * @example
+ * const prerender = require('powerboot/src/prerender');
+ *
+ * prerender({
+ *   distPath: 'dist',
+ *   outputPath: 'prerendered',
+ *   urls: ['/', '/about'],
+ *   crawl: true
+ * }).then(({ pages }) => console.log(pages));
+ *
+ * @function prerender
+ * @param {Object} options
+ * @param {string} [options.distPath] the path to the built Ember app. Required if `powerboot` isn't provided.
+ * @param {PowerBoot} [options.powerboot] a PowerBoot instance to render with
+ * @param {string} options.outputPath the directory to write the HTML files and assets to
+ * @param {Array<string>} [options.urls=['/']] the URLs to render
+ * @param {Boolean} [options.crawl=false] whether to also render the same-origin links found in rendered pages
+ * @param {Integer} [options.maxPages=Infinity] the maximum number of URLs to render when crawling
+ * @param {Boolean} [options.allowFailures=false] whether to write pages and resolve even if some URLs fail or aren't 2xx
+ * @param {Object} [options.visitOptions] additional options passed to `visit()`
+ * @param {Function} [options.onPage] called with the report for each URL as soon as it has been rendered
+ * @returns {Promise<Object>} an object with the report for every URL in `pages`
+ */
+async function prerender(options) {
+  if (!options.outputPath) {
+    throw new Error('You must provide an `outputPath` to write the prerendered pages to.');
+  }
+
+  let powerboot = options.powerboot;
+  const ownsPowerBoot = !powerboot;
+
+  if (ownsPowerBoot) {
+    const PowerBoot = require('./index');
+    powerboot = new PowerBoot({ distPath: options.distPath });
+  }
+
+  const distPath = options.distPath || powerboot.config.distPath;
+  const outputPath = path.resolve(options.outputPath);
+  const maxPages = options.maxPages || Infinity;
+  const visitOptions = Object.assign({}, options.visitOptions, { resilient: true });
+  const queue = (options.urls || ['/']).map(normalizeURL).filter(Boolean);
+  const seen = new Set(queue.map(url => findOutputFile(outputPath, url)));
+  const written = new Map();
+  const pages = [];
+
+  try {
+    copyDirectory(path.resolve(distPath), outputPath);
+    const indexPath = path.join(outputPath, 'index.html');
+    if (fs.existsSync(indexPath)) {
+      fs.writeFileSync(path.join(outputPath, '_empty.html'), fs.readFileSync(indexPath));
+    }
+
+    while (queue.length && pages.length < maxPages) {
+      const url = queue.shift();
+      let file, page;
+      try {
+        file = outputFile(outputPath, url);
+        page = await renderPage(powerboot, url, visitOptions);
+      } catch(error) {
+        // `renderPage()` reports its own errors, so this is a URL that
+        // can't be written to a file.
+        debug('not rendering %s: %s', url, error.message);
+        page = { url, statusCode: undefined, error };
+      }
+
+      if (page.html !== undefined && (isSuccess(page) || options.allowFailures)) {
+        if (written.has(file)) {
+          page.warning = `${url} was not written, since ${written.get(file)} was already written to ${file}`;
+          debug(page.warning);
+        } else {
+          written.set(file, url);
+          page.file = writePage(file, page.html);
+        }
+      }
+
+      if (options.crawl && page.html) {
+        for (const link of findLinks(page.html, url)) {
+          const linkFile = findOutputFile(outputPath, link);
+          if (linkFile && !seen.has(linkFile)) {
+            seen.add(linkFile);
+            queue.push(link);
+          }
+        }
+      }
+
+      delete page.html;
+      pages.push(page);
+      if (options.onPage) options.onPage(page);
+    }
+  } finally {
+    if (ownsPowerBoot) await powerboot.close();
+  }
+
+  const failures = pages.filter(page => !isSuccess(page));
+
+  if (failures.length && !options.allowFailures) {
+    const error = new Error(`Failed to prerender ${failures.map(page => page.url).join(', ')}`);
+    error.pages = pages;
+    throw error;
+  }
+
+  return { pages };
+}
+
+/**
+ * Renders a URL and reports how it went.
+ *
+ * @function renderPage
+ * @param {PowerBoot} powerboot
+ * @param {string} url
+ * @param {Object} visitOptions
+ * @returns {Promise<Object>} the `url`, `statusCode`, `error` and `html` of the page
+ */
+async function renderPage(powerboot, url, visitOptions) {
+  debug('rendering %s', url);
+  try {
+    const result = await powerboot.visit(url, visitOptions);
+    return {
+      url,
+      statusCode: result.statusCode,
+      error: result.error,
+      html: await result.html()
+    };
+  } catch(error) {
+    return { url, statusCode: undefined, error };
+  }
+}
+
+function isSuccess(page) {
+  return !page.error && page.statusCode >= 200 && page.statusCode <= 299;
+}
+
+/**
+ * The `<path>/index.html` file a URL is written to, which leaves out its
+ * query string.
+ *
+ * @function outputFile
+ * @param {string} outputPath
+ * @param {string} url
+ * @returns {string}
+ */
+function outputFile(outputPath, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, BASE_URL).pathname);
+  } catch(error) {
+    throw new Error(`Can't write ${url} to a file, since its path is malformed`);
+  }
+  const directory = path.join(outputPath, pathname);
+  if (directory !== outputPath && directory.indexOf(outputPath + path.sep) !== 0) {
+    throw new Error(`Refusing to write ${url} outside of ${outputPath}`);
+  }
+  return path.join(directory, 'index.html');
+}
+
+/**
+ * Like {@link outputFile}, but returns null for URLs that can't be written
+ * to a file.
+ *
+ * @function findOutputFile
+ * @param {string} outputPath
+ * @param {string} url
+ * @returns {string|null}
+ */
+function findOutputFile(outputPath, url) {
+  try {
+    return outputFile(outputPath, url);
+  } catch(error) {
+    debug(error.message);
+    return null;
+  }
+}
+
+/**
+ * Writes the HTML of a page to its file.
+ *
+ * @function writePage
+ * @param {string} file
+ * @param {string} html
+ * @returns {string} the path of the file
+ */
+function writePage(file, html) {
+  mkdirp(path.dirname(file));
+  fs.writeFileSync(file, html);
+  debug('wrote %s', file);
+  return file;
+}
+
+/**
+ * Finds the same-origin links in a page's HTML and resolves them
+ * against the page's URL, dropping their fragments.
+ *
+ * @function findLinks
+ * @param {string} html
+ * @param {string} pageURL
+ * @returns {Array<string>}
+ */
+function findLinks(html, pageURL) {
+  const links = [];
+  const base = new URL(pageURL, BASE_URL);
+  let match;
+
+  LINK_REGEXP.lastIndex = 0;
+  while ((match = LINK_REGEXP.exec(html))) {
+    const href = decodeEntities(match[1] || match[2] || match[3] || '');
+    let url;
+    try {
+      url = new URL(href, base);
+    } catch(e) {
+      continue;
+    }
+    if (url.origin !== base.origin) continue;
+    const link = normalizeURL(url.pathname + url.search);
+    if (link && links.indexOf(link) === -1) links.push(link);
+  }
+
+  return links;
+}
+
+/**
+ * Turns a URL or path into the path and query string that is rendered.
+ *
+ * @function normalizeURL
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeURL(url) {
+  try {
+    const parsed = new URL(url, BASE_URL);
+    return parsed.pathname + parsed.search;
+  } catch(e) {
+    return null;
+  }
+}
+
+function decodeEntities(string) {
+  return string
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+/**
+ * Copies the contents of a directory, leaving out the FastBoot manifest at
+ * its root and the output directory itself if it's inside the source.
+ *
+ * @function copyDirectory
+ * @param {string} source
+ * @param {string} destination
+ * @param {string} [root=source]
+ * @param {string} [outputPath=destination]
+ */
+function copyDirectory(source, destination, root=source, outputPath=destination) {
+  if (source === outputPath) return;
+  mkdirp(destination);
+  for (const name of fs.readdirSync(source)) {
+    const sourcePath = path.join(source, name);
+    if (sourcePath === outputPath) continue;
+    if (source === root && name === 'package.json') continue;
+    if (fs.statSync(sourcePath).isDirectory()) {
+      copyDirectory(sourcePath, path.join(destination, name), root, outputPath);
+    } else {
+      fs.writeFileSync(path.join(destination, name), fs.readFileSync(sourcePath));
+    }
+  }
+}
+
+function mkdirp(directory) {
+  if (fs.existsSync(directory)) return;
+  mkdirp(path.dirname(directory));
+  fs.mkdirSync(directory);
+}
+
+prerender.findLinks = findLinks;
+
+module.exports = prerender;
@@ -0,0 +1,70 @@
+'use strict';
+
+const debug = require('debug')('powerboot:request-interceptor');
+
+/**
+ * Routes the requests made by a browser page through a list of handlers.
+ * Puppeteer only lets one party respond to, continue, or abort an
+ * intercepted request, so every feature that needs to intercept requests
+ * registers a handler here instead of listening to the page directly.
+ *
+ * A handler is a function that receives the intercepted request and returns
+ * (a promise of) `true` if it has responded to, continued, or aborted the
+ * request.  Requests that no handler takes care of are continued.
+ *
+ * Interception is only turned on for the page once handlers are set,
+ * after which it stays on for the lifetime of the page.
+ *
+ * @class RequestInterceptor
+ * @private
+ */
+class RequestInterceptor {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this.handlers = [];
+    this._isEnabled = false;
+    this._onRequest = this._onRequest.bind(this);
+  }
+
+  /**
+   * Replaces the handlers that intercepted requests are passed to,
+   * enabling request interception on the page if necessary.
+   *
+   * @method setHandlers
+   * @param {Array<Function>} handlers
+   * @returns {Promise}
+   */
+  async setHandlers(handlers) {
+    this.handlers = handlers;
+    if (!handlers.length || this._isEnabled) return;
+    this._isEnabled = true;
+    this.page.on('request', this._onRequest);
+    await this.page.setRequestInterception(true);
+  }
+
+  /**
+   * @method _onRequest
+   * @private
+   * @param {Request} request
+   */
+  async _onRequest(request) {
+    try {
+      for (const handler of this.handlers) {
+        if (await handler(request)) return;
+      }
+      await request.continue();
+    } catch(error) {
+      debug('failed to handle request for %s: %s', request.url(), error.message);
+      try {
+        await request.abort('failed');
+      } catch(_) {
+        // The request was already handled, or the page has gone away.
+      }
+    }
+  }
+}
+
+module.exports = RequestInterceptor;
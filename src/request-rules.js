@@ -0,0 +1,129 @@
+'use strict';
+
+const { URL } = require('url');
+const debug = require('debug')('powerboot:request-rules');
+
+const ACTIONS = ['block', 'allow', 'stub'];
+
+/**
+ * Creates a request handler for the {@link RequestInterceptor} that blocks,
+ * allows or stubs the third-party requests a page makes while rendering,
+ * like the ones for analytics, ads, chat widgets and tracking pixels.
+ *
+ * Rules are checked in order and the first one that matches a request
+ * decides what happens to it.  A rule matches requests whose URL matches
+ * one of its `url` patterns, whose host is one of its `domain`s or a
+ * subdomain of one, and whose resource type is one of its `resourceType`s;
+ * whatever a rule leaves out matches every request.  Requests no rule
+ * matches go ahead, so ending the rules with `{ action: 'block' }` turns
+ * the `allow` rules before it into an allowlist.
+ *
+ * Requests to the app's own origin, like the ones for its assets and for
+ * the API paths of `apiProxy`, are never matched.
+ *
+ * @function createRequestRules
+ * @param {Array<Object>} rules
+ * @param {string} rules[].action `block` to abort the request, `stub` to respond with `response` instead, or `allow` to let it through
+ * @param {string|RegExp|Array<string|RegExp>} [rules[].url] strings match URLs that start with them, and regular expressions are tested against the URL
+ * @param {string|Array<string>} [rules[].domain] hosts, like `google-analytics.com`, matching subdomains as well
+ * @param {string|Array<string>} [rules[].resourceType] Puppeteer resource types, like `script` or `image`
+ * @param {Object} [rules[].response] the `status`(200 by default), `headers`, `contentType` and `body` to stub requests with. Objects are sent as JSON.
+ * @param {Object} context
+ * @param {string} context.pageOrigin the origin of the internal HTTP server
+ * @param {Function} [context.onMatch] called with the `url`, `method`, `resourceType` and `action` of every request that is blocked or stubbed
+ * @returns {Function} handler
+ */
+function createRequestRules(rules, context) {
+  rules = normalizeRules(rules);
+  const onMatch = context.onMatch || (() => {});
+
+  return async function requestRules(request) {
+    const url = new URL(request.url());
+    if (url.origin === context.pageOrigin || !/^https?:$/.test(url.protocol)) return false;
+
+    const resourceType = request.resourceType();
+    const rule = rules.filter(rule => matchesRule(rule, url, resourceType))[0];
+    if (!rule || rule.action === 'allow') return false;
+
+    debug('%s %s', rule.action === 'block' ? 'blocking' : 'stubbing', url.href);
+    onMatch({ url: url.href, method: request.method(), resourceType, action: rule.action });
+
+    if (rule.action === 'block') {
+      await request.abort('blockedbyclient');
+    } else {
+      await request.respond(rule.response);
+    }
+    return true;
+  };
+}
+
+/**
+ * Validates rules and turns their patterns into lists, and their stub
+ * responses into the form expected by Puppeteer's `request.respond()`.
+ *
+ * @function normalizeRules
+ * @param {Array<Object>} rules
+ * @returns {Array<Object>}
+ */
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('The `requestRules` option must be an array of rules.');
+  }
+
+  return rules.map(rule => {
+    if (ACTIONS.indexOf(rule.action) === -1) {
+      throw new Error(`The \`action\` of a request rule must be one of \`${ACTIONS.join('`, `')}\`.`);
+    }
+    return {
+      action: rule.action,
+      urls: toList(rule.url),
+      domains: toList(rule.domain).map(domain => domain.toLowerCase().replace(/^\./, '')),
+      resourceTypes: toList(rule.resourceType),
+      response: rule.action === 'stub' ? buildResponse(rule.response || {}) : null
+    };
+  });
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [ value ];
+}
+
+function buildResponse(response) {
+  let { body, contentType } = response;
+  if (body !== undefined && body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+    contentType = contentType || 'application/json';
+  }
+  return {
+    status: response.status || 200,
+    headers: response.headers || {},
+    contentType,
+    body: body === undefined || body === null ? '' : body
+  };
+}
+
+/**
+ * @function matchesRule
+ * @param {Object} rule a normalized rule
+ * @param {URL} url
+ * @param {string} resourceType
+ * @returns {Boolean}
+ */
+function matchesRule(rule, url, resourceType) {
+  const hostname = url.hostname.toLowerCase();
+
+  if (rule.urls.length && !rule.urls.some(pattern => {
+    return pattern instanceof RegExp ? pattern.test(url.href) : url.href.indexOf(pattern) === 0;
+  })) return false;
+
+  if (rule.domains.length && !rule.domains.some(domain => {
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  })) return false;
+
+  if (rule.resourceTypes.length && rule.resourceTypes.indexOf(resourceType) === -1) return false;
+
+  return true;
+}
+
+module.exports = createRequestRules;
@@ -0,0 +1,211 @@
+'use strict';
+
+const { URL } = require('url');
+const debug = require('debug')('powerboot:resource-hints');
+
+const DEFAULT_TYPES = ['script', 'stylesheet', 'font'];
+const DEFAULT_ORIGINS = ['self'];
+const DEFAULT_MAX = 20;
+
+// The `as` of a preload for each of Puppeteer's resource types.
+const DESTINATIONS = {
+  script: 'script',
+  stylesheet: 'style',
+  font: 'font',
+  image: 'image',
+  fetch: 'fetch',
+  xhr: 'fetch'
+};
+
+// Fonts and fetches are always requested in CORS mode, so their preloads
+// need `crossorigin` to be used.
+const CORS_DESTINATIONS = ['font', 'fetch'];
+
+/**
+ * Records the resources a page loads while it renders, like scripts, fonts
+ * and API data, so that browsers can be told to fetch them before they come
+ * across them: with `<link rel="preload">` and `<link rel="modulepreload">`
+ * tags in the head, and with a `Link` header that servers can also send as
+ * a 103 Early Hints response.
+ *
+ * Only successful `GET` requests are recorded, in the order they loaded.
+ * URLs on the page's own origin are recorded as paths, like the shoebox
+ * does, so that they point to the app's server.
+ *
+ * @class ResourceHintRecorder
+ * @private
+ */
+class ResourceHintRecorder {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this._options = null;
+    this._hints = [];
+    this._onResponse = this._onResponse.bind(this);
+  }
+
+  /**
+   * Normalizes the `resourceHints` option.
+   *
+   * @method normalizeOptions
+   * @static
+   * @param {Boolean|Object} options
+   * @returns {Object|null}
+   */
+  static normalizeOptions(options) {
+    if (!options) return null;
+    if (options === true) options = {};
+
+    const types = options.types || DEFAULT_TYPES;
+    for (const type of types) {
+      if (!DESTINATIONS.hasOwnProperty(type)) {
+        throw new Error(`The \`resourceHints.types\` option can only contain \`${Object.keys(DESTINATIONS).join('`, `')}\`.`);
+      }
+    }
+
+    return {
+      preload: options.preload !== false,
+      linkHeader: options.linkHeader !== false,
+      types,
+      origins: options.origins || DEFAULT_ORIGINS,
+      max: options.max || DEFAULT_MAX
+    };
+  }
+
+  /**
+   * Starts recording resources.
+   *
+   * @method start
+   * @param {Boolean|Object} options the `resourceHints` option
+   */
+  start(options) {
+    this.page.removeListener('response', this._onResponse);
+    this._options = ResourceHintRecorder.normalizeOptions(options);
+    this._hints = [];
+    this._pageOrigin = new URL(this.page.url()).origin;
+    this.page.on('response', this._onResponse);
+  }
+
+  /**
+   * Stops recording and returns the recorded resources, up to `max` of
+   * them.  Scripts loaded by `<script type="module">` tags are hinted with
+   * `modulepreload`.
+   *
+   * @method stop
+   * @returns {Promise<Array<Object>>} the `url`, `rel`, `as` and whether to add `crossorigin` for every resource
+   */
+  async stop() {
+    this.page.removeListener('response', this._onResponse);
+    const options = this._options;
+    const hints = this._hints;
+    this._options = null;
+    this._hints = [];
+    if (!options) return [];
+
+    const modules = await this.page.evaluate(() => {
+      return Array.from(document.querySelectorAll('script[type="module"][src]'), script => script.src);
+    });
+
+    if (hints.length > options.max) {
+      debug('only hinting the first %d of %d resources', options.max, hints.length);
+    }
+
+    return hints.slice(0, options.max).map(hint => {
+      if (hint.as !== 'script' || modules.indexOf(hint.href) === -1) return hint.entry;
+      return Object.assign({}, hint.entry, { rel: 'modulepreload', as: null });
+    });
+  }
+
+  /**
+   * @method _onResponse
+   * @private
+   * @param {Response} response
+   */
+  _onResponse(response) {
+    const request = response.request();
+    const as = DESTINATIONS[request.resourceType()];
+
+    if (this._options.types.indexOf(request.resourceType()) === -1) return;
+    if (request.method().toUpperCase() !== 'GET' || !response.ok()) return;
+
+    const href = response.url();
+    const origin = new URL(href).origin;
+    if (!matchesOrigin(origin, this._pageOrigin, this._options.origins)) return;
+
+    const url = origin === this._pageOrigin ? hintURL(href) : href;
+    if (this._hints.some(hint => hint.entry.url === url)) return;
+
+    this._hints.push({
+      href,
+      as,
+      entry: { url, rel: 'preload', as, crossorigin: CORS_DESTINATIONS.indexOf(as) !== -1 }
+    });
+  }
+}
+
+function hintURL(href) {
+  const parsed = new URL(href);
+  return parsed.pathname + parsed.search;
+}
+
+/**
+ * `self` matches the page's own origin, other strings match an origin
+ * exactly, and regular expressions are tested against the origin.
+ *
+ * @function matchesOrigin
+ * @param {string} origin
+ * @param {string} pageOrigin
+ * @param {Array<string|RegExp>} origins
+ * @returns {Boolean}
+ */
+function matchesOrigin(origin, pageOrigin, origins) {
+  return origins.some(pattern => {
+    if (pattern instanceof RegExp) return pattern.test(origin);
+    return pattern === 'self' ? origin === pageOrigin : pattern === origin;
+  });
+}
+
+/**
+ * Formats resource hints as the value of a `Link` header.
+ *
+ * @function buildLinkHeader
+ * @param {Array<Object>} hints
+ * @returns {string}
+ */
+function buildLinkHeader(hints) {
+  return hints.map(hint => {
+    const parts = [ `<${hint.url}>`, `rel=${hint.rel}` ];
+    if (hint.as) parts.push(`as=${hint.as}`);
+    if (hint.crossorigin) parts.push('crossorigin');
+    return parts.join('; ');
+  }).join(', ');
+}
+
+/**
+ * Adds a `<link>` tag for every resource hint to the head, before its
+ * first script, stylesheet or style, leaving out resources the head
+ * already links to.  Runs in the page.
+ *
+ * @function insertPreloadLinks
+ * @param {Array<Object>} hints
+ */
+function insertPreloadLinks(hints) {
+  const linked = Array.from(document.head.querySelectorAll('link[href]'))
+    .filter(link => /\b(preload|modulepreload|stylesheet)\b/.test(link.rel))
+    .map(link => link.href);
+  const before = document.head.querySelector('script, link[rel~="stylesheet"], style');
+
+  for (const hint of hints) {
+    if (linked.indexOf(new URL(hint.url, location.href).href) !== -1) continue;
+    const link = document.createElement('link');
+    link.rel = hint.rel;
+    link.setAttribute('href', hint.url);
+    if (hint.as) link.setAttribute('as', hint.as);
+    if (hint.crossorigin) link.setAttribute('crossorigin', '');
+    document.head.insertBefore(link, before);
+  }
+}
+
+module.exports = { ResourceHintRecorder, buildLinkHeader, insertPreloadLinks, matchesOrigin };
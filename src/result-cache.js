@@ -0,0 +1,297 @@
+'use strict';
+
+const cookie = require('cookie');
+const crypto = require('crypto');
+const debug = require('debug')('powerboot:result-cache');
+const { resolveEmulation } = require('./device-emulation');
+const FastBootHeaders = require('./fastboot-headers');
+const MemoryStore = require('./memory-store');
+const { resolvePreferences } = require('./preference-emulation');
+const Result = require('./result');
+
+const DEFAULT_TTL = 60 * 1000;
+
+/**
+ * Caches rendered results so that identical visits don't all have to be
+ * rendered by the browser.
+ *
+ * Results are stored in their serialized form (see `Result#toJSON()`) under
+ * a key built from the path, the visit options that change what is rendered,
+ * including the device and user preferences taken from the request, and,
+ * optionally, some of the headers, cookies and metadata of the visit.  A result is fresh for `ttl` ms, after which it
+ * is still served for another `staleWhileRevalidate` ms while a new result is
+ * rendered in the background.  Concurrent visits that miss the cache with
+ * the same key share a single render.
+ *
+ * Only results without errors that `shouldCache` approves of are stored.
+ * By default, that's results with a 200 status code that don't set any
+ * cookies, since those are usually meant for a single user.
+ *
+ * Visits that `bypass` approves of skip the cache altogether: they are
+ * rendered on their own, without reading, storing or sharing results.  By
+ * default, that's visits whose request carries credentials, an
+ * `Authorization` header or cookies, that aren't part of the key, since
+ * their result, and the shoebox data fetched with the forwarded
+ * credentials, belong to a single user.
+ *
+ * @class ResultCache
+ * @private
+ */
+class ResultCache {
+  /**
+   * @param {Object|Boolean} options the `cache` option
+   * @param {Object} [options.store] where results are stored. Defaults to a {@link MemoryStore}.
+   * @param {Integer} [options.ttl=60000] how long a result is fresh, in ms
+   * @param {Integer} [options.staleWhileRevalidate=0] how long a result is served after it has gone stale while it is rendered again, in ms
+   * @param {Function|Object} [options.key] a function of `(path, visitOptions)` returning the cache key, or an object listing what goes into the key
+   * @param {Array<string>} [options.key.headers] request headers that vary the key, like `accept-language`
+   * @param {Array<string>} [options.key.cookies] request cookies that vary the key
+   * @param {Boolean|Array<string>} [options.key.metadata] whether the visit's metadata varies the key, or which of its properties do
+   * @param {Function} [options.shouldCache] a function of `(result)` that decides whether a result can be stored
+   * @param {Function} [options.bypass] a function of `(path, visitOptions)` that decides whether a visit skips the cache
+   */
+  constructor(options) {
+    if (options === true) options = {};
+    this.store = options.store || new MemoryStore();
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.shouldCache = options.shouldCache || (result => result.statusCode === 200 && !result.headers.has('set-cookie'));
+    this.keyFor = typeof options.key === 'function' ? options.key : buildKeyFunction(options.key || {});
+    this.bypass = options.bypass || buildBypassFunction(typeof options.key === 'function' ? {} : options.key || {});
+    this._inflight = new Map();
+  }
+
+  /**
+   * Resolves to a cached result for a visit, or renders it and stores it.
+   * The result has a `cacheStatus` of `hit`, `stale` or `miss`, or
+   * `bypass` if the visit skipped the cache.
+   *
+   * @method fetch
+   * @param {string} path
+   * @param {Object} options the options passed to `visit()`
+   * @param {Function} render renders the visit, returning a promise that resolves to a {@link Result}
+   * @returns {Promise<Result>}
+   */
+  async fetch(path, options, render) {
+    if (this.bypass(path, options)) {
+      debug('bypassing the cache for %s', path);
+      const result = await render();
+      result.cacheStatus = 'bypass';
+      return result;
+    }
+
+    const key = this.keyFor(path, options);
+    let entry;
+
+    try {
+      entry = await this.store.get(key);
+    } catch(error) {
+      debug('failed to read %s from the cache: %s', key, error.message);
+    }
+
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      return fromEntry(entry, 'hit');
+    }
+
+    if (entry && now < entry.expiresAt + this.staleWhileRevalidate) {
+      this._render(key, render).catch(error => {
+        debug('failed to revalidate %s: %s', key, error.message);
+      });
+      return fromEntry(entry, 'stale');
+    }
+
+    const result = await this._render(key, render);
+    result.cacheStatus = 'miss';
+    return result;
+  }
+
+  /**
+   * Removes every result from the store, if the store supports it.
+   *
+   * @method clear
+   * @returns {Promise}
+   */
+  async clear() {
+    if (typeof this.store.clear === 'function') await this.store.clear();
+  }
+
+  /**
+   * Renders a visit and stores the result, sharing the render
+   * with any other visit for the same key in the meantime.
+   *
+   * @method _render
+   * @private
+   * @param {string} key
+   * @param {Function} render
+   * @returns {Promise<Result>}
+   */
+  _render(key, render) {
+    if (this._inflight.has(key)) return this._inflight.get(key);
+
+    const promise = (async () => {
+      try {
+        const result = await render();
+        if (!result.error && this.shouldCache(result)) {
+          const entry = { result: result.toJSON(), expiresAt: Date.now() + this.ttl };
+          try {
+            await this.store.set(key, entry, this.ttl + this.staleWhileRevalidate);
+          } catch(error) {
+            debug('failed to write %s to the cache: %s', key, error.message);
+          }
+        }
+        return result;
+      } finally {
+        this._inflight.delete(key);
+      }
+    })();
+
+    this._inflight.set(key, promise);
+    return promise;
+  }
+}
+
+function fromEntry(entry, cacheStatus) {
+  const result = Result.fromJSON(entry.result);
+  result.cacheStatus = cacheStatus;
+  return result;
+}
+
+/**
+ * Builds a function that creates cache keys out of the path
+ * and the parts of the visit listed in the `key` option.
+ *
+ * @function buildKeyFunction
+ * @param {Object} keyOptions
+ * @returns {Function}
+ */
+function buildKeyFunction(keyOptions) {
+  const headerNames = (keyOptions.headers || []).map(name => name.toLowerCase());
+  const cookieNames = keyOptions.cookies || [];
+  const metadata = keyOptions.metadata || false;
+
+  return function(path, options) {
+    const request = options.request || {};
+    const headers = {};
+    const parts = [ path ];
+
+    for (const name in request.headers) headers[name.toLowerCase()] = request.headers[name];
+
+    if (headerNames.length) {
+      parts.push(headerNames.map(name => [ name, headers[name] ]));
+    }
+
+    if (cookieNames.length) {
+      const cookies = request.cookies || (headers.cookie ? cookie.parse(headers.cookie) : {});
+      parts.push(cookieNames.map(name => [ name, cookies[name] ]));
+    }
+
+    const rendering = renderingOptions(options);
+    if (rendering) {
+      parts.push({ rendering });
+    }
+
+    if (options.fragment) {
+      parts.push({ fragment: options.fragment });
+    }
+
+    if (options.capture) {
+      parts.push({ capture: options.capture });
+    }
+
+    if (options.criticalCSS) {
+      parts.push({ criticalCSS: true });
+    }
+
+    if (options.resourceHints) {
+      parts.push({ resourceHints: options.resourceHints });
+    }
+
+    if (options.requestRules && options.requestRules.length) {
+      parts.push({ requestRules: options.requestRules });
+    }
+
+    if (options.har) {
+      parts.push({ har: options.har });
+    }
+
+    // The device and preferences may come from the request's headers, as
+    // they do when the visit is rendered.
+    const fastbootRequest = { headers: new FastBootHeaders(request.headers) };
+
+    const emulation = resolveEmulation(options.emulate, fastbootRequest);
+    if (emulation) {
+      parts.push({ emulation: { device: emulation.device, viewport: emulation.viewport } });
+    }
+
+    const preferences = resolvePreferences(options, fastbootRequest);
+    if (preferences) {
+      parts.push({ preferences });
+    }
+
+    if (options.deterministic) {
+      parts.push({ deterministic: options.deterministic });
+    }
+
+    if (metadata && options.metadata) {
+      const values = Array.isArray(metadata) ?
+        metadata.map(name => [ name, options.metadata[name] ]) :
+        options.metadata;
+      parts.push(values);
+    }
+
+    return parts.length === 1 ? path : JSON.stringify(parts, (name, value) => value instanceof RegExp ? String(value) : value);
+  };
+}
+
+/**
+ * Picks the options of a visit that change how the app is rendered and
+ * aren't set to their defaults.  The HTML document is hashed to keep the
+ * key short.
+ *
+ * @function renderingOptions
+ * @param {Object} options the options passed to `visit()`
+ * @returns {Object|null}
+ */
+function renderingOptions(options) {
+  const rendering = {};
+
+  if (options.shouldRender === false) rendering.shouldRender = false;
+  if (options.disableShoebox) rendering.disableShoebox = true;
+  if (options.html) rendering.html = crypto.createHash('sha1').update(options.html).digest('hex');
+  if (options.autoShoebox) rendering.autoShoebox = options.autoShoebox;
+  if (options.waitFor && options.waitFor !== 'visit') rendering.waitFor = options.waitFor;
+  if (options.serializeShadowRoots) rendering.serializeShadowRoots = true;
+
+  return Object.keys(rendering).length ? rendering : null;
+}
+
+/**
+ * Builds a function that tells whether a visit's request carries
+ * credentials, an `Authorization` header or cookies, that the `key`
+ * option doesn't vary the key by.
+ *
+ * @function buildBypassFunction
+ * @param {Object} keyOptions
+ * @returns {Function}
+ */
+function buildBypassFunction(keyOptions) {
+  const headerNames = (keyOptions.headers || []).map(name => name.toLowerCase());
+  const cookieNames = keyOptions.cookies || [];
+
+  return function(path, options) {
+    const request = options.request || {};
+    const headers = {};
+
+    for (const name in request.headers) headers[name.toLowerCase()] = request.headers[name];
+
+    if (headers.authorization && headerNames.indexOf('authorization') === -1) return true;
+    if (!headers.cookie || headerNames.indexOf('cookie') !== -1) return false;
+
+    const cookies = request.cookies || cookie.parse(headers.cookie);
+    return Object.keys(cookies).some(name => cookieNames.indexOf(name) === -1);
+  };
+}
+
+module.exports = ResultCache;
@@ -1,5 +1,12 @@
 'use strict';
 
+const FastBootInfo = require('./fastboot-info');
+const debug = require('debug')('powerboot:result');
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+const CAPTURE_TYPES = ['screenshot', 'pdf'];
+
 const SHOEBOX_TAG_PATTERN = '<script type="fastboot/shoebox"';
 const HTML_HEAD_REGEX = /^([\s\S]*<\/head>)([\s\S]*)/;
 
@@ -9,10 +16,144 @@ const HTML_HEAD_REGEX = /^([\s\S]*<\/head>)([\s\S]*)/;
  * method.
  */
 class Result {
+  /**
+   * @param {Object} options
+   * @param {Page} options.page the page the app is rendered in
+   * @param {FastBootInfo} [options.fastbootInfo]
+   * @param {Boolean} [options.serializeShadowRoots=false] whether to serialize open shadow roots as declarative shadow roots
+   * @param {string|Array<string>|Object} [options.fragment] the selectors of the fragments to serialize instead of the whole document. See {@link Result#fragment}.
+   * @param {string|Array<string>|Object} [options.capture] the screenshots and PDFs to take once the app has rendered. See {@link Result#screenshot}.
+   */
   constructor(options) {
     this._page = options.page;
+    this._serializeShadowRoots = !!options.serializeShadowRoots;
+    this._fragmentOptions = normalizeFragmentOptions(options.fragment);
+    this._fragments = null;
+    this._captureOptions = options.capture ? normalizeCaptureOptions(options.capture) : null;
+    this._captures = {};
+    this._release = null;
+    this._retainTimer = null;
     this._instanceDestroyed = false;
     this._fastbootInfo = options.fastbootInfo;
+
+    /**
+     * The messages logged to the browser console during the visit,
+     * each with a `type`, `text` and `location`.
+     *
+     * @property consoleMessages
+     * @type Array<Object>
+     */
+    this.consoleMessages = [];
+
+    /**
+     * The uncaught errors thrown in the page during the visit.
+     *
+     * @property pageErrors
+     * @type Array<Error>
+     */
+    this.pageErrors = [];
+
+    /**
+     * The network requests made during the visit that failed or received
+     * an error status, each with a `url`, `method` and `resourceType`, and
+     * either an `errorText` or a `status`.
+     *
+     * @property failedRequests
+     * @type Array<Object>
+     */
+    this.failedRequests = [];
+
+    /**
+     * The third-party requests made during the visit that were blocked or
+     * stubbed by the `requestRules`, each with a `url`, `method`,
+     * `resourceType` and the `action` that was taken.
+     *
+     * @property blockedRequests
+     * @type Array<Object>
+     */
+    this.blockedRequests = [];
+
+    /**
+     * How the render was considered complete: the `strategy` (the `waitFor`
+     * option), how many ms were spent waiting for the app to settle
+     * after the route was visited, whether that wait `timedOut`, and if so
+     * what was still `pending` (`runLoop`, `timers`, `transitions`,
+     * `requests` and `waiters`).
+     *
+     * @property completion
+     * @type Object
+     */
+    this.completion = null;
+
+    /**
+     * The device that was emulated during the visit, with its `device`
+     * name, `viewport` and `userAgent`, or null if no device was emulated.
+     *
+     * @property emulation
+     * @type Object
+     */
+    this.emulation = null;
+
+    /**
+     * The user preferences that were emulated during the visit: the
+     * `timezone`, `languages`, `colorScheme` and `reducedMotion`, or null
+     * if none were.
+     *
+     * @property preferences
+     * @type Object
+     */
+    this.preferences = null;
+
+    /**
+     * The `now`, `seed` and `fastForward` the visit was rendered with in
+     * deterministic mode, or null if it wasn't.
+     *
+     * @property deterministic
+     * @type Object
+     */
+    this.deterministic = null;
+
+    /**
+     * The URL the app ended up at, including the root URL and query
+     * string, which differs from the visited path after a redirect.
+     *
+     * @property url
+     * @type string
+     */
+    this.url = null;
+
+    /**
+     * How the router handled the visit: the `routeName` of the leaf route,
+     * the `routes` from the root to the leaf with their `name` and
+     * `params`, the `queryParams`, and the `transitions` that happened,
+     * each with its `targetName`, `url`, whether it was a `redirect` and
+     * whether it `completed`, was `aborted` or `failed`.  Null if the app
+     * didn't render.
+     *
+     * @property routing
+     * @type Object
+     */
+    this.routing = null;
+
+    /**
+     * The critical CSS that was inlined with the `criticalCSS` option: the
+     * `key` it's cached under, whether it was `cached` already and its
+     * `length`.  Null if no critical CSS was inlined.
+     *
+     * @property criticalCSS
+     * @type Object
+     */
+    this.criticalCSS = null;
+
+    /**
+     * The resources that were hinted with the `resourceHints` option, each
+     * with its `url`, `rel`(`preload` or `modulepreload`), `as` and whether
+     * it needs `crossorigin`.  Null if resources weren't hinted.
+     *
+     * @property resourceHints
+     * @type Array<Object>
+     */
+    this.resourceHints = null;
   }
 
   /**
@@ -67,19 +208,7 @@ class Result {
   }
 
   async _reflectContents(){
-    const [ html, head, body ] = await this._page.evaluate(() => {
-      const fastbootBodyStart = document.getElementById('fastboot-body-start');
-      if(fastbootBodyStart) fastbootBodyStart.remove();
-      const fastbootBodyEnd = document.getElementById('fastboot-body-end');
-      if(fastbootBodyEnd) fastbootBodyEnd.remove();
-      document.body.insertAdjacentHTML('afterbegin', '<script type="x/boundary" id="fastboot-body-start"></script>');
-      document.body.insertAdjacentHTML('beforeend', '<script type="x/boundary" id="fastboot-body-end"></script>');
-      const bodyScripts = document.body.querySelectorAll('body > script[src]');
-      for(const script of bodyScripts) document.body.append(script);
-      return [ document.querySelector('html').outerHTML, 
-               document.head.innerHTML,
-               document.body.innerHTML ];
-    });
+    const [ html, head, body ] = await this._page.evaluate(serializeDocument, this._serializeShadowRoots);
     this._html = html;
     this._head = head;
     this._body = body;
@@ -87,7 +216,8 @@ class Result {
 
   /**
    * Returns the HTML representation of the rendered route, inserted
-   * into the application's `index.html`.
+   * into the application's `index.html`.  When the visit was for a
+   * `fragment`, returns the HTML of the fragments instead.
    *
    * @returns {Promise<String>} the application's DOM serialized to HTML
    */
@@ -114,6 +244,134 @@ class Result {
     return this._html;
   }
 
+  /**
+   * Returns the outer HTML of the elements matching a selector that was
+   * given to the `fragment` option of the visit, one after the other, or
+   * an empty string if no element matched.  With `inlineStyles`, the
+   * properties that the page's stylesheets set on the elements are
+   * copied into their `style` attributes.
+   *
+   * The fragments are serialized once the app has rendered, since the
+   * page moves on to other visits afterwards, so only the selectors given
+   * to `visit()` are available.
+   *
+   * @method fragment
+   * @param {string} [selector] one of the selectors of the `fragment` option. Defaults to the first one.
+   * @returns {Promise<string>} the HTML of the matched elements
+   */
+  async fragment(selector) {
+    const selectors = this._fragmentOptions ? this._fragmentOptions.selectors : [];
+    if (selector === undefined) selector = selectors[0];
+    if (!this._fragments || !hasOwnProperty.call(this._fragments, selector)) {
+      throw new Error(`The \`${selector}\` fragment wasn't rendered. Pass it as the \`fragment\` option of \`visit()\`.`);
+    }
+    return this._fragments[selector];
+  }
+
+  /**
+   * Takes a screenshot of the rendered page, with the same options as
+   * Puppeteer's `page.screenshot()`, plus a `selector` to only capture
+   * the first element matching it.
+   *
+   * This works while the result is retained (see the `retain` option of
+   * `visit()`).  Otherwise, the screenshot has to be taken during the
+   * visit with the `capture` option, and this returns it when called
+   * without options.
+   *
+   * @method screenshot
+   * @param {Object} [options]
+   * @returns {Promise<Buffer|string>} the image, or a base64 string with `encoding: 'base64'`
+   */
+  async screenshot(options) {
+    return await this._capture('screenshot', options);
+  }
+
+  /**
+   * Prints the rendered page to a PDF, with the same options as
+   * Puppeteer's `page.pdf()`.  Like `screenshot()`, it needs the result to
+   * be retained, or the PDF to have been captured during the visit.
+   *
+   * @method pdf
+   * @param {Object} [options]
+   * @returns {Promise<Buffer>} the PDF
+   */
+  async pdf(options) {
+    return await this._capture('pdf', options);
+  }
+
+  /**
+   * Gives the app instance that rendered a retained result back to the
+   * pool.  Does nothing for results that weren't retained or have
+   * already been released.
+   *
+   * @method release
+   * @returns {Promise}
+   */
+  async release() {
+    const release = this._release;
+    this._release = null;
+    clearTimeout(this._retainTimer);
+    this._retainTimer = null;
+    if (release) await release();
+  }
+
+  /**
+   * Keeps the page available for `screenshot()` and `pdf()` until
+   * `release()` is called, or until `timeoutMs` have passed.
+   *
+   * @method _retain
+   * @private
+   * @param {Function} release gives the app instance back to the pool
+   * @param {Integer} [timeoutMs] how long to wait for `release()` before releasing anyway, or 0 to wait forever
+   */
+  _retain(release, timeoutMs) {
+    this._release = release;
+    if (timeoutMs > 0) {
+      this._retainTimer = setTimeout(() => {
+        debug('releasing a result that was retained for %dms without being released', timeoutMs);
+        this.release().catch(error => debug('failed to release a retained result: %s', error.message));
+      }, timeoutMs);
+      if (this._retainTimer.unref) this._retainTimer.unref();
+    }
+  }
+
+  /**
+   * Takes the screenshots and PDFs asked for by the `capture` option of
+   * the visit, while the page still belongs to it.
+   *
+   * @method _takeCaptures
+   * @private
+   * @returns {Promise}
+   */
+  async _takeCaptures() {
+    const captures = this._captureOptions || {};
+    for (const type of Object.keys(captures)) {
+      this._captures[type] = await this._takeCapture(type, captures[type]);
+    }
+  }
+
+  async _capture(type, options) {
+    if (this._release) {
+      return await this._takeCapture(type, options);
+    }
+    if (this._captures[type] && !options) {
+      return this._captures[type];
+    }
+    throw new Error(`The page has moved on to other visits, so \`${type}()\` only works for results that are retained, or without options for results that captured a ${type} during the visit. Pass \`retain: true\` or \`capture: '${type}'\` to \`visit()\`.`);
+  }
+
+  async _takeCapture(type, options={}) {
+    const { selector } = options;
+    if (type === 'screenshot' && selector) {
+      const element = await this._page.$(selector);
+      if (!element) throw new Error(`No element matches \`${selector}\`.`);
+      const elementOptions = Object.assign({}, options);
+      delete elementOptions.selector;
+      return await element.screenshot(elementOptions);
+    }
+    return await this._page[type](options);
+  }
+
   /**
    * Returns the HTML representation of the rendered route, inserted
    * into the application's `index.html`, split into chunks.
@@ -165,6 +423,66 @@ class Result {
     };
   }
 
+  /**
+   * Returns a plain object holding everything needed to recreate this
+   * result without a browser page, such as for storing it in a cache.
+   *
+   * @method toJSON
+   * @returns {Object}
+   */
+  toJSON() {
+    const info = this._fastbootInfo;
+    return {
+      html: this._html,
+      head: this._head,
+      body: this._body,
+      statusCode: this.statusCode,
+      headers: this.headers ? this.headers.serialize() : {},
+      shoebox: info ? info.shoebox : undefined,
+      url: this.url,
+      routing: this.routing,
+      fragment: this._fragmentOptions,
+      fragments: this._fragments,
+      captures: Object.keys(this._captures).reduce((captures, type) => {
+        const capture = this._captures[type];
+        captures[type] = Buffer.isBuffer(capture) ? capture.toString('base64') : capture;
+        return captures;
+      }, {})
+    };
+  }
+
+  /**
+   * Recreates a result from the output of `toJSON()`.  The result isn't
+   * backed by a browser page, so `evaluate()` and `setContent()` do nothing.
+   *
+   * @method fromJSON
+   * @static
+   * @param {Object} json
+   * @returns {Result}
+   */
+  static fromJSON(json) {
+    const result = new Result({
+      page: null,
+      fastbootInfo: new FastBootInfo(null, {
+        statusCode: json.statusCode,
+        headers: json.headers
+      }, {}, json.shoebox),
+      fragment: json.fragment
+    });
+    result._instanceDestroyed = true;
+    result._html = json.html;
+    result._head = json.head;
+    result._body = json.body;
+    result.url = json.url || null;
+    result.routing = json.routing || null;
+    result._fragments = json.fragments || null;
+    for (const type of Object.keys(json.captures || {})) {
+      result._captures[type] = Buffer.from(json.captures[type], 'base64');
+    }
+    result.finalized = true;
+    return result;
+  }
+
   /**
    * @private
    *
@@ -178,13 +496,6 @@ class Result {
       throw new Error("Results cannot be finalized more than once");
     }
 
-    // Grab some metadata from the sandboxed application instance
-    // and copy it to this Result object.
-    let instance = this.instance;
-    if (instance) {
-      this._finalizeMetadata(instance);
-    }
-
     await this.evaluate(() => {
       const appElements = document.querySelectorAll('.ember-application');
       for(const element of appElements){
@@ -192,22 +503,220 @@ class Result {
       }
     });
 
+    const fragmentOptions = this._fragmentOptions;
+    if (fragmentOptions && !this._instanceDestroyed) {
+      const fragments = await tryWithPageAwareness(() => {
+        return this._page.evaluate(serializeFragments, fragmentOptions.selectors, fragmentOptions.inlineStyles);
+      });
+      if (fragments) {
+        this._fragments = fragments;
+        this._html = fragmentOptions.selectors.map(selector => fragments[selector]).join('');
+      }
+    }
+
     this.finalized = true;
     return this;
   }
 
-  _finalizeMetadata(instance) {
-    if (instance._booted) {
-      this.url = instance.getURL();
+}
+
+/**
+ * Serializes the page's document, and its head and body, after marking
+ * the boundaries of the body.  Runs in the page.
+ *
+ * With `serializeShadowRoots`, the document is copied into an inert
+ * document(so that custom elements don't get constructed again), and each
+ * open shadow root is written into its host as a declarative shadow root,
+ * i.e. a `<template shadowrootmode="open">` holding the shadow root's
+ * adopted stylesheets and contents.
+ *
+ * @function serializeDocument
+ * @param {Boolean} serializeShadowRoots
+ * @returns {Array<string>} the HTML of the document, its head and its body
+ */
+function serializeDocument(serializeShadowRoots){
+  const fastbootBodyStart = document.getElementById('fastboot-body-start');
+  if(fastbootBodyStart) fastbootBodyStart.remove();
+  const fastbootBodyEnd = document.getElementById('fastboot-body-end');
+  if(fastbootBodyEnd) fastbootBodyEnd.remove();
+  document.body.insertAdjacentHTML('afterbegin', '<script type="x/boundary" id="fastboot-body-start"></script>');
+  document.body.insertAdjacentHTML('beforeend', '<script type="x/boundary" id="fastboot-body-end"></script>');
+  const bodyScripts = document.body.querySelectorAll('body > script[src]');
+  for(const script of bodyScripts) document.body.append(script);
+
+  if(!serializeShadowRoots) {
+    return [ document.querySelector('html').outerHTML, 
+             document.head.innerHTML,
+             document.body.innerHTML ];
+  }
+
+  const inertDocument = document.implementation.createHTMLDocument('');
+
+  // The copy has the same elements in the same order as the original,
+  // so hosts can be matched up by their position.
+  const attachShadowRoots = (original, copy) => {
+    const originals = original.querySelectorAll('*');
+    const copies = copy.querySelectorAll('*');
+    for(let i = 0; i < originals.length; i++) {
+      const shadowRoot = originals[i].shadowRoot;
+      if(!shadowRoot || shadowRoot.mode !== 'open') continue;
+      const template = inertDocument.createElement('template');
+      template.setAttribute('shadowrootmode', 'open');
+      if(shadowRoot.delegatesFocus) template.setAttribute('shadowrootdelegatesfocus', '');
+      const contents = inertDocument.createDocumentFragment();
+      for(const sheet of shadowRoot.adoptedStyleSheets || []) {
+        const style = inertDocument.createElement('style');
+        style.textContent = Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+        contents.append(style);
+      }
+      const children = inertDocument.createDocumentFragment();
+      for(const child of shadowRoot.childNodes) children.append(inertDocument.importNode(child, true));
+      attachShadowRoots(shadowRoot, children);
+      contents.append(children);
+      template.content.append(contents);
+      copies[i].prepend(template);
     }
+  };
 
-    let response = this._fastbootInfo.response;
+  const html = inertDocument.importNode(document.documentElement, true);
+  attachShadowRoots(document.documentElement, html);
 
-    if (response) {
-      this.headers = response.headers;
-      this.statusCode = response.statusCode;
+  return [ html.outerHTML,
+           html.querySelector('head').innerHTML,
+           html.querySelector('body').innerHTML ];
+}
+
+/**
+ * Serializes the elements matching each selector, optionally with the
+ * styles that apply to them inlined.  Runs in the page.
+ *
+ * Inlining copies the computed value of every property that a matching
+ * style rule or the element's own `style` attribute declares, so that
+ * percentages and other relative values end up resolved.  The root of a
+ * fragment also gets the inherited properties, like `color` and `font`,
+ * that rules matching its ancestors declare.  Rules in cross-origin
+ * stylesheets, in media queries that don't match and with pseudo-classes
+ * or pseudo-elements that don't apply are left out.
+ *
+ * @function serializeFragments
+ * @param {Array<string>} selectors
+ * @param {Boolean} inlineStyles
+ * @returns {Object} the HTML of the matched elements, by selector
+ */
+function serializeFragments(selectors, inlineStyles) {
+  const INHERITED_PROPERTIES = /^(color|font(-.*)?|line-height|letter-spacing|word-spacing|text-(align|indent|transform|shadow)|white-space|direction|visibility|list-style(-.*)?|quotes|cursor)$/;
+
+  const styleRules = [];
+  const collectRules = rules => {
+    for(const rule of Array.from(rules)) {
+      if(rule.type === CSSRule.STYLE_RULE) {
+        styleRules.push(rule);
+      } else if(rule.type === CSSRule.MEDIA_RULE && window.matchMedia(rule.media.mediaText).matches) {
+        collectRules(rule.cssRules);
+      } else if(rule.type === CSSRule.SUPPORTS_RULE && CSS.supports(rule.conditionText)) {
+        collectRules(rule.cssRules);
+      }
+    }
+  };
+  for(const sheet of Array.from(document.styleSheets)) {
+    try {
+      collectRules(sheet.cssRules);
+    } catch(e) {
+      // Cross-origin stylesheets can't be read.
+    }
+  }
+
+  const declaredProperties = element => {
+    const names = new Set(Array.from(element.style));
+    for(const rule of styleRules) {
+      let matches = false;
+      try {
+        matches = element.matches(rule.selectorText);
+      } catch(e) {
+        // Selectors with pseudo-elements can't be matched.
+      }
+      if(matches) for(const name of Array.from(rule.style)) names.add(name);
+    }
+    return names;
+  };
+
+  const inlineStyle = (element, isRoot) => {
+    const names = declaredProperties(element);
+    if(isRoot) {
+      for(let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+        for(const name of declaredProperties(ancestor)) {
+          if(INHERITED_PROPERTIES.test(name)) names.add(name);
+        }
+      }
+    }
+    const computed = window.getComputedStyle(element);
+    return Array.from(names).map(name => `${name}: ${computed.getPropertyValue(name)};`).join(' ');
+  };
+
+  // Copying into an inert document keeps custom elements from being
+  // constructed again.
+  const inertDocument = document.implementation.createHTMLDocument('');
+
+  const fragments = {};
+  for(const selector of selectors) {
+    fragments[selector] = Array.from(document.querySelectorAll(selector)).map(element => {
+      if(!inlineStyles) return element.outerHTML;
+      const copy = inertDocument.importNode(element, true);
+      const originals = [ element ].concat(Array.from(element.querySelectorAll('*')));
+      const copies = [ copy ].concat(Array.from(copy.querySelectorAll('*')));
+      originals.forEach((original, index) => {
+        const style = inlineStyle(original, index === 0);
+        if(style) copies[index].setAttribute('style', style);
+      });
+      return copy.outerHTML;
+    }).join('');
+  }
+  return fragments;
+}
+
+/**
+ * Normalizes the `capture` option of a visit into the options for each
+ * type of capture.
+ *
+ * @function normalizeCaptureOptions
+ * @param {string|Array<string>|Object} option `screenshot`, `pdf`, a list of them, or an object of options by type
+ * @returns {Object}
+ */
+function normalizeCaptureOptions(option) {
+  if (typeof option === 'string' || Array.isArray(option)) {
+    option = [].concat(option).reduce((types, type) => {
+      types[type] = {};
+      return types;
+    }, {});
+  }
+
+  const captures = {};
+  for (const type of Object.keys(option)) {
+    if (CAPTURE_TYPES.indexOf(type) === -1) {
+      throw new Error(`Unknown capture \`${type}\`. Use one of \`${CAPTURE_TYPES.join('`, `')}\`.`);
     }
+    if (option[type]) captures[type] = option[type] === true ? {} : option[type];
   }
+  return captures;
+}
+
+/**
+ * Normalizes the `fragment` option of a visit.
+ *
+ * @function normalizeFragmentOptions
+ * @param {string|Array<string>|Object} option a selector, a list of selectors, or an object with a `selector` (or list of selectors) and `inlineStyles`
+ * @returns {Object|null} the `selectors` and whether to `inlineStyles`
+ */
+function normalizeFragmentOptions(option) {
+  if (!option) return null;
+  if (typeof option === 'string' || Array.isArray(option)) option = { selector: option };
+
+  const selectors = [].concat(option.selector || option.selectors || []);
+  if (!selectors.length || selectors.some(selector => typeof selector !== 'string' || !selector)) {
+    throw new Error('The `fragment` option must be a selector, a list of selectors, or an object with a `selector`.');
+  }
+
+  return { selectors, inlineStyles: !!option.inlineStyles };
 }
 
 /* Treats a terminated page as something to be expected. */
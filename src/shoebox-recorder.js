@@ -0,0 +1,168 @@
+'use strict';
+
+const { URL } = require('url');
+const debug = require('debug')('powerboot:shoebox-recorder');
+
+const DEFAULT_KEY = 'powerboot-requests';
+const DEFAULT_MAX_SIZE = 1024 * 1024;
+const DEFAULT_METHODS = ['GET'];
+const RECORDED_RESOURCE_TYPES = ['xhr', 'fetch'];
+
+/**
+ * Records the responses to the XHR and fetch requests an app makes while
+ * it renders, so that they can be put in the shoebox and replayed by the
+ * browser app instead of being requested a second time.
+ *
+ * Responses are keyed by method and URL, like `GET /api/posts?page=2`.
+ * URLs on the page's own origin are recorded as paths so that they match
+ * the relative URLs the browser app requests.  Each entry holds the
+ * `status`, `headers` (just `content-type`) and `body` of the response.
+ *
+ * @class ShoeboxRecorder
+ * @private
+ */
+class ShoeboxRecorder {
+  /**
+   * @param {Page} page a Puppeteer page
+   */
+  constructor(page) {
+    this.page = page;
+    this._options = null;
+    this._pending = [];
+    this._onResponse = this._onResponse.bind(this);
+  }
+
+  /**
+   * Normalizes the `autoShoebox` option.
+   *
+   * @method normalizeOptions
+   * @static
+   * @param {Boolean|Object} options
+   * @returns {Object|null}
+   */
+  static normalizeOptions(options) {
+    if (!options) return null;
+    if (options === true) options = {};
+    return {
+      key: options.key || DEFAULT_KEY,
+      include: options.include || [],
+      exclude: options.exclude || [],
+      methods: (options.methods || DEFAULT_METHODS).map(method => method.toUpperCase()),
+      maxSize: options.maxSize || DEFAULT_MAX_SIZE
+    };
+  }
+
+  /**
+   * Starts recording responses.
+   *
+   * @method start
+   * @param {Boolean|Object} options the `autoShoebox` option
+   * @param {Array<string|RegExp>} [options.include] only record URLs matching one of these
+   * @param {Array<string|RegExp>} [options.exclude] don't record URLs matching one of these
+   * @param {Array<string>} [options.methods=['GET']] the request methods to record
+   * @param {Integer} [options.maxSize=1048576] the maximum combined size of the recorded bodies, in bytes
+   * @param {string} [options.key='powerboot-requests'] the shoebox key the responses are stored under
+   */
+  start(options) {
+    this.stop();
+    this._options = ShoeboxRecorder.normalizeOptions(options);
+    this._pending = [];
+    this._pageOrigin = new URL(this.page.url()).origin;
+    this.page.on('response', this._onResponse);
+  }
+
+  /**
+   * Stops recording and resolves to the recorded responses.
+   *
+   * @method stop
+   * @returns {Promise<Object>} responses keyed by method and URL
+   */
+  async stop() {
+    this.page.removeListener('response', this._onResponse);
+    const options = this._options;
+    const pending = this._pending;
+    this._options = null;
+    this._pending = [];
+    if (!options) return {};
+
+    const records = await Promise.all(pending);
+    const entries = {};
+    let size = 0;
+
+    for (const record of records) {
+      if (!record) continue;
+      size += Buffer.byteLength(record.entry.body);
+      if (size > options.maxSize) {
+        debug('skipping %s, the shoebox would exceed %d bytes', record.key, options.maxSize);
+        size -= Buffer.byteLength(record.entry.body);
+        continue;
+      }
+      entries[record.key] = record.entry;
+    }
+
+    return entries;
+  }
+
+  /**
+   * @method _onResponse
+   * @private
+   * @param {Response} response
+   */
+  _onResponse(response) {
+    const request = response.request();
+    const status = response.status();
+    const method = request.method().toUpperCase();
+
+    if (RECORDED_RESOURCE_TYPES.indexOf(request.resourceType()) === -1) return;
+    if (this._options.methods.indexOf(method) === -1) return;
+    if (status >= 300 && status <= 399) return;
+
+    const url = shoeboxURL(response.url(), this._pageOrigin);
+    if (!matchesURL(url, this._options)) return;
+
+    const headers = response.headers();
+    this._pending.push(response.text().then(body => ({
+      key: `${method} ${url}`,
+      entry: {
+        status,
+        headers: headers['content-type'] ? { 'content-type': headers['content-type'] } : {},
+        body
+      }
+    }), error => {
+      debug('could not read the body of %s: %s', url, error.message);
+      return null;
+    }));
+  }
+}
+
+/**
+ * The URL a response is recorded under, which is the path
+ * for URLs on the page's origin.
+ *
+ * @function shoeboxURL
+ * @param {string} url
+ * @param {string} pageOrigin
+ * @returns {string}
+ */
+function shoeboxURL(url, pageOrigin) {
+  const parsed = new URL(url);
+  if (parsed.origin !== pageOrigin) return parsed.href;
+  return parsed.pathname + parsed.search;
+}
+
+/**
+ * Strings match URLs that start with them,
+ * and regular expressions are tested against the URL.
+ *
+ * @function matchesURL
+ * @param {string} url
+ * @param {Object} options
+ * @returns {Boolean}
+ */
+function matchesURL(url, { include, exclude }) {
+  const matches = pattern => pattern instanceof RegExp ? pattern.test(url) : url.indexOf(pattern) === 0;
+  if (include.length && !include.some(matches)) return false;
+  return !exclude.some(matches);
+}
+
+module.exports = ShoeboxRecorder;
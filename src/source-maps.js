@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { SourceMapConsumer } = require('source-map');
+const debug = require('debug')('powerboot:source-maps');
+
+const STACK_LOCATION_REGEXP = /(https?:\/\/[^\s()]+?):(\d+):(\d+)/g;
+const SOURCE_MAPPING_URL_REGEXP = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/;
+
+/**
+ * Rewrites stack traces from the browser page so that frames pointing at
+ * app and vendor files served by the internal HTTP server point at the
+ * original sources described by their source maps instead.
+ *
+ * Source maps are looked up through the `sourceMappingURL` comment at the
+ * end of each file, and are read from the dist directory the first time
+ * they are needed.
+ *
+ * @class SourceMapResolver
+ * @private
+ */
+class SourceMapResolver {
+  /**
+   * @param {Object} options
+   * @param {string} options.distPath the dist directory the files are served from
+   * @param {string} options.baseURL the origin of the internal HTTP server
+   */
+  constructor(options) {
+    this.distPath = path.resolve(options.distPath);
+    this.baseURL = options.baseURL;
+    this._consumers = new Map();
+  }
+
+  /**
+   * Rewrites the message and stack of an error in place.
+   *
+   * @method mapError
+   * @param {Error} error
+   * @returns {Error} error
+   */
+  mapError(error) {
+    if (!error) return error;
+    if (typeof error.message === 'string') error.message = this.mapStack(error.message);
+    if (typeof error.stack === 'string') error.stack = this.mapStack(error.stack);
+    return error;
+  }
+
+  /**
+   * Replaces every location in a stack trace that can be mapped
+   * with its original location.
+   *
+   * @method mapStack
+   * @param {string} stack
+   * @returns {string}
+   */
+  mapStack(stack) {
+    return stack.replace(STACK_LOCATION_REGEXP, (location, url, line, column) => {
+      const consumer = this._consumerFor(url);
+      if (!consumer) return location;
+      const original = consumer.originalPositionFor({
+        line: parseInt(line, 10),
+        column: parseInt(column, 10) - 1
+      });
+      if (!original.source) return location;
+      return `${original.source}:${original.line}:${original.column + 1}`;
+    });
+  }
+
+  /**
+   * @method _consumerFor
+   * @private
+   * @param {string} url
+   * @returns {SourceMapConsumer|null}
+   */
+  _consumerFor(url) {
+    if (this._consumers.has(url)) return this._consumers.get(url);
+    let consumer = null;
+    try {
+      const filePath = this._filePathFor(url);
+      if (filePath) consumer = readSourceMap(filePath);
+    } catch(error) {
+      debug('could not read the source map for %s: %s', url, error.message);
+    }
+    this._consumers.set(url, consumer);
+    return consumer;
+  }
+
+  /**
+   * Translates a URL on the internal HTTP server to a path in
+   * the dist directory, or null if it points anywhere else.
+   *
+   * @method _filePathFor
+   * @private
+   * @param {string} url
+   * @returns {string|null}
+   */
+  _filePathFor(url) {
+    const parsed = new URL(url);
+    if (parsed.origin !== new URL(this.baseURL).origin) return null;
+    const filePath = path.join(this.distPath, decodeURIComponent(parsed.pathname));
+    if (filePath.indexOf(this.distPath + path.sep) !== 0) return null;
+    return filePath;
+  }
+}
+
+/**
+ * Reads the source map referenced by a file, which may be
+ * a separate file or inlined as a data URI.
+ *
+ * @function readSourceMap
+ * @param {string} filePath
+ * @returns {SourceMapConsumer|null}
+ */
+function readSourceMap(filePath) {
+  const match = fs.readFileSync(filePath, 'utf8').match(SOURCE_MAPPING_URL_REGEXP);
+  if (!match) return null;
+
+  const mapURL = match[1];
+  let rawMap;
+
+  if (mapURL.indexOf('data:') === 0) {
+    const data = mapURL.slice(mapURL.indexOf(',') + 1);
+    rawMap = /;base64,/.test(mapURL) ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+  } else {
+    rawMap = fs.readFileSync(path.resolve(path.dirname(filePath), mapURL), 'utf8');
+  }
+
+  return new SourceMapConsumer(JSON.parse(rawMap));
+}
+
+/**
+ * Turns a file path in the dist directory into the URL it's
+ * served at by the internal HTTP server.
+ *
+ * @function fileURL
+ * @param {string} distPath
+ * @param {string} filePath
+ * @param {string} baseURL
+ * @returns {string}
+ */
+function fileURL(distPath, filePath, baseURL) {
+  const relativePath = path.relative(path.resolve(distPath), path.resolve(filePath));
+  return new URL(relativePath.split(path.sep).map(encodeURIComponent).join('/'), `${baseURL}/`).href;
+}
+
+module.exports = {
+  SourceMapResolver,
+  fileURL
+};
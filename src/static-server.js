@@ -0,0 +1,179 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+const debug = require('debug')('powerboot:static-server');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.wasm': 'application/wasm',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.pdf': 'application/pdf'
+};
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+/*
+ * The document that browser pages are navigated to before the app's HTML
+ * is set as their content.  Serving the app's `index.html` here would make
+ * the page boot the app as if it were a regular browser.
+ */
+const BLANK_DOCUMENT = '<!DOCTYPE html><html><head></head><body></body></html>';
+
+/*
+ * The query parameter that marks requests for the app's own vendor and app
+ * files as coming from PowerBoot, which loads them itself, rather than from
+ * the script tags in the app's HTML.
+ */
+const APP_FILE_PARAM = 'powerboot-load';
+
+/**
+ * Creates a request listener for the internal HTTP server that browser
+ * pages are rendered on, serving the files in the dist directory so that
+ * images, fonts, stylesheets and lazily loaded bundles referenced with
+ * relative URLs load the same way they would in a real browser.
+ *
+ * - `/` responds with a blank document.
+ * - The app's vendor and app files respond with an empty script, unless
+ *   they are requested with the `powerboot-load` query parameter.
+ *   PowerBoot evaluates them once when an app instance is initialized, and
+ *   the script tags in the app's HTML would otherwise evaluate them again
+ *   on every visit.
+ * - Files in the dist directory are served with their MIME type, along
+ *   with `ETag` and `Last-Modified` headers so that repeat requests can
+ *   be answered with `304 Not Modified`.
+ * - Anything else, including paths that would escape the dist directory,
+ *   responds with `404 Not Found`.
+ * - Methods other than `GET` and `HEAD` respond with `405 Method Not Allowed`.
+ *
+ * @function createStaticHandler
+ * @param {Function} getDistPath returns the dist directory to serve, which may change when the app is reloaded
+ * @param {Object} [options]
+ * @param {Integer} [options.maxAge=0] the `max-age` of the `Cache-Control` header, in seconds
+ * @param {Function} [options.getAppFiles] returns the paths of the app's vendor and app files
+ * @returns {Function} request listener
+ */
+function createStaticHandler(getDistPath, options={}) {
+  const maxAge = options.maxAge || 0;
+  const getAppFiles = options.getAppFiles || (() => []);
+
+  return function(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return sendStatus(res, 405);
+    }
+
+    let url, pathname;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      pathname = decodeURIComponent(url.pathname);
+    } catch(e) {
+      return sendStatus(res, 400);
+    }
+
+    if (pathname === '/') {
+      res.setHeader('Content-Type', MIME_TYPES['.html']);
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.end(req.method === 'HEAD' ? undefined : BLANK_DOCUMENT);
+    }
+
+    const distPath = getDistPath();
+    if (!distPath || pathname.indexOf('\0') !== -1) return sendStatus(res, 404);
+
+    const root = path.resolve(distPath);
+    const filePath = path.join(root, pathname);
+    if (filePath.indexOf(root + path.sep) !== 0) return sendStatus(res, 404);
+
+    if (!url.searchParams.has(APP_FILE_PARAM) && isAppFile(filePath, getAppFiles())) {
+      debug('empty script for %s', pathname);
+      res.setHeader('Content-Type', MIME_TYPES['.js']);
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.end();
+    }
+
+    fs.stat(filePath, (error, stats) => {
+      if (error || !stats.isFile()) {
+        debug('404 %s', pathname);
+        return sendStatus(res, 404);
+      }
+
+      const etag = `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+      const lastModified = stats.mtime.toUTCString();
+
+      res.setHeader('ETag', etag);
+      res.setHeader('Last-Modified', lastModified);
+      res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+
+      if (isFresh(req, etag, stats.mtime)) {
+        res.statusCode = 304;
+        return res.end();
+      }
+
+      res.setHeader('Content-Type', MIME_TYPES[path.extname(filePath).toLowerCase()] || DEFAULT_MIME_TYPE);
+      res.setHeader('Content-Length', stats.size);
+
+      if (req.method === 'HEAD') return res.end();
+
+      fs.createReadStream(filePath)
+        .on('error', () => res.destroy())
+        .pipe(res);
+    });
+  };
+}
+
+/**
+ * Whether the client's cached copy of a file is still up to date.
+ *
+ * @function isFresh
+ * @param {IncomingMessage} req
+ * @param {string} etag
+ * @param {Date} mtime
+ * @returns {Boolean}
+ */
+function isFresh(req, etag, mtime) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  return !isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+function isAppFile(filePath, appFiles) {
+  return (appFiles || []).some(appFile => path.resolve(appFile) === filePath);
+}
+
+function sendStatus(res, statusCode) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', MIME_TYPES['.txt']);
+  res.end(http.STATUS_CODES[statusCode]);
+}
+
+module.exports = createStaticHandler;
+module.exports.APP_FILE_PARAM = APP_FILE_PARAM;
@@ -0,0 +1,83 @@
+'use strict';
+
+const DEFAULT_REDIRECT_STATUS = 307;
+const DEFAULT_ERROR_STATUS = 500;
+
+/**
+ * Works out the status code of a render from how the router handled the
+ * visit, for apps that don't set `fastboot.response.statusCode` themselves:
+ *
+ * - A visit that ended up in an error substate responds with the status of
+ *   the error, like the `status` of an adapter error, if it's a 4xx or 5xx
+ *   code, and with 500 otherwise.
+ * - A visit that was redirected to another URL, like with `transitionTo()`
+ *   in `beforeModel()`, responds with a 307 and a `Location` header.
+ *
+ * The `mapStatus` option can be a function of `(outcome, statusCode)`
+ * that returns the status code to use instead, or null to leave the
+ * response alone.
+ *
+ * @function resolveStatus
+ * @param {Object} outcome how the router handled the visit
+ * @param {string} outcome.path the URL that was visited
+ * @param {string} outcome.routeName the name of the route the app ended up in
+ * @param {Object} outcome.error the `name`, `message` and `status` of the error that put the app in an error substate
+ * @param {string} outcome.redirect the URL the visit was redirected to
+ * @param {Boolean|Function} [option=true] the `mapStatus` option
+ * @returns {Object|null} the `statusCode` and `location` to respond with, or null to leave the response alone
+ */
+function resolveStatus(outcome, option) {
+  if (option === false) return null;
+
+  let statusCode = defaultStatusCode(outcome);
+  if (typeof option === 'function') {
+    const mapped = option(outcome, statusCode);
+    if (mapped !== undefined) statusCode = mapped;
+  }
+
+  if (!statusCode) return null;
+
+  const isRedirect = statusCode >= 300 && statusCode <= 399;
+  return { statusCode, location: isRedirect ? outcome.redirect || null : null };
+}
+
+/**
+ * Works out the URL a visit was redirected to, if it was.  Only visits
+ * where a transition was started while another one was in progress, like
+ * with `transitionTo()` or `replaceWith()` in a route's hooks, count as
+ * redirected, and only if they ended up at a different URL.  The URL the
+ * app ends up at can differ from the visited one without a redirect, when
+ * the router drops default query params, reorders them or adds or removes
+ * a trailing slash, so URLs are compared without those differences.
+ *
+ * @function findRedirect
+ * @param {Object} outcome how the router handled the visit
+ * @param {string} outcome.path the URL that was visited
+ * @param {string} outcome.url the URL the app ended up at
+ * @param {Array<Object>} outcome.transitions the transitions of the visit, with whether each was a `redirect`
+ * @returns {string|null}
+ */
+function findRedirect(outcome) {
+  const { path, url, transitions } = outcome;
+  if (!url || !(transitions || []).some(transition => transition.redirect)) return null;
+  return normalizeURL(url) === normalizeURL(path) ? null : url;
+}
+
+function normalizeURL(url) {
+  const [ pathname, query ] = url.replace(/#.*$/, '').split('?');
+  const params = (query || '').split('&').filter(Boolean).sort();
+  return pathname.replace(/(.)\/$/, '$1') + (params.length ? `?${params.join('&')}` : '');
+}
+
+function defaultStatusCode(outcome) {
+  if (outcome.error) {
+    const status = outcome.error.status;
+    return status >= 400 && status <= 599 ? status : DEFAULT_ERROR_STATUS;
+  }
+  if (outcome.redirect) {
+    return DEFAULT_REDIRECT_STATUS;
+  }
+  return null;
+}
+
+module.exports = { resolveStatus, findRedirect };
@@ -99,6 +99,7 @@ exports.readPackageJSON = function readPackageJSON(distPath) {
     appFiles,
     vendorFiles,
     htmlFile: path.join(distPath, manifest.htmlFile),
+    distPath,
     moduleWhitelist: pkg.fastboot.moduleWhitelist,
     hostWhitelist: pkg.fastboot.hostWhitelist,
     config,
@@ -0,0 +1,169 @@
+'use strict';
+
+const expect = require('chai').expect;
+const http = require('http');
+const createApiProxy = require('../src/api-proxy');
+const FastBootRequest = require('../src/fastboot-request');
+
+const PAGE_ORIGIN = 'http://0.0.0.0:4000';
+
+describe('createApiProxy', function() {
+  let backend, backendRequests, origin;
+
+  before(function(done) {
+    backend = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        backendRequests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Set-Cookie', ['a=1', 'b=2']);
+        res.statusCode = req.url === '/api/missing' ? 404 : 200;
+        res.end(JSON.stringify({ url: req.url }));
+      });
+    });
+    backend.listen(0, '127.0.0.1', () => {
+      origin = `http://127.0.0.1:${backend.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    backend.close(done);
+  });
+
+  beforeEach(function() {
+    backendRequests = [];
+  });
+
+  function interceptedRequest(url, options={}) {
+    const request = {
+      responded: null,
+      aborted: null,
+      url: () => url,
+      method: () => options.method || 'GET',
+      headers: () => options.headers || { accept: 'application/json', host: '0.0.0.0:4000' },
+      postData: () => options.postData,
+      respond: async response => request.responded = response,
+      abort: async reason => request.aborted = reason
+    };
+    return request;
+  }
+
+  function incomingRequest(headers) {
+    return new FastBootRequest({ protocol: 'http', headers });
+  }
+
+  it('forwards requests for proxied paths to the origin', async function() {
+    const proxy = createApiProxy({ origin }, { pageOrigin: PAGE_ORIGIN });
+    const request = interceptedRequest(`${PAGE_ORIGIN}/api/posts?page=2`);
+
+    expect(await proxy(request)).to.equal(true);
+    expect(backendRequests).to.have.lengthOf(1);
+    expect(backendRequests[0].url).to.equal('/api/posts?page=2');
+    expect(backendRequests[0].headers.accept).to.equal('application/json');
+    expect(backendRequests[0].headers.host).to.not.equal('0.0.0.0:4000');
+    expect(request.responded.status).to.equal(200);
+    expect(request.responded.headers['content-type']).to.equal('application/json');
+    expect(request.responded.headers['set-cookie']).to.equal('a=1\nb=2');
+    expect(JSON.parse(request.responded.body.toString())).to.deep.equal({ url: '/api/posts?page=2' });
+  });
+
+  it('accepts the origin as a string', async function() {
+    const proxy = createApiProxy(origin, { pageOrigin: PAGE_ORIGIN });
+
+    expect(await proxy(interceptedRequest(`${PAGE_ORIGIN}/api/missing`))).to.equal(true);
+    expect(backendRequests[0].url).to.equal('/api/missing');
+  });
+
+  it('passes along the status code of the API', async function() {
+    const proxy = createApiProxy({ origin }, { pageOrigin: PAGE_ORIGIN });
+    const request = interceptedRequest(`${PAGE_ORIGIN}/api/missing`);
+
+    await proxy(request);
+
+    expect(request.responded.status).to.equal(404);
+  });
+
+  it('forwards the method and body of the request', async function() {
+    const proxy = createApiProxy({ origin }, { pageOrigin: PAGE_ORIGIN });
+
+    await proxy(interceptedRequest(`${PAGE_ORIGIN}/api/posts`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      postData: '{"title":"Hello"}'
+    }));
+
+    expect(backendRequests[0].method).to.equal('POST');
+    expect(backendRequests[0].body).to.equal('{"title":"Hello"}');
+  });
+
+  it('forwards the authorization and cookie headers of the incoming request', async function() {
+    const proxy = createApiProxy({ origin }, {
+      pageOrigin: PAGE_ORIGIN,
+      request: incomingRequest({ authorization: 'Bearer token', cookie: 'session=abc', 'user-agent': 'Test' })
+    });
+
+    await proxy(interceptedRequest(`${PAGE_ORIGIN}/api/me`));
+
+    expect(backendRequests[0].headers.authorization).to.equal('Bearer token');
+    expect(backendRequests[0].headers.cookie).to.equal('session=abc');
+    expect(backendRequests[0].headers['user-agent']).to.not.equal('Test');
+  });
+
+  it('drops the credentials of the page when the incoming request has none', async function() {
+    const proxy = createApiProxy({ origin }, {
+      pageOrigin: PAGE_ORIGIN,
+      request: incomingRequest({})
+    });
+
+    await proxy(interceptedRequest(`${PAGE_ORIGIN}/api/me`, {
+      headers: { accept: 'application/json', Cookie: 'a=1; b=2', Authorization: 'Bearer stale' }
+    }));
+
+    expect(backendRequests[0].headers.cookie).to.be.undefined;
+    expect(backendRequests[0].headers.authorization).to.be.undefined;
+    expect(backendRequests[0].headers.accept).to.equal('application/json');
+  });
+
+  it('only forwards the configured headers', async function() {
+    const proxy = createApiProxy({ origin, forwardHeaders: ['x-tenant'] }, {
+      pageOrigin: PAGE_ORIGIN,
+      request: incomingRequest({ authorization: 'Bearer token', 'x-tenant': 'acme' })
+    });
+
+    await proxy(interceptedRequest(`${PAGE_ORIGIN}/api/me`));
+
+    expect(backendRequests[0].headers.authorization).to.be.undefined;
+    expect(backendRequests[0].headers['x-tenant']).to.equal('acme');
+  });
+
+  it('ignores requests outside of the proxied paths', async function() {
+    const proxy = createApiProxy({ origin, paths: ['/graphql', /^\/v\d\//] }, { pageOrigin: PAGE_ORIGIN });
+
+    expect(await proxy(interceptedRequest(`${PAGE_ORIGIN}/api/posts`))).to.equal(false);
+    expect(await proxy(interceptedRequest(`${PAGE_ORIGIN}/graphqlfoo`))).to.equal(false);
+    expect(await proxy(interceptedRequest(`${PAGE_ORIGIN}/graphql`))).to.equal(true);
+    expect(await proxy(interceptedRequest(`${PAGE_ORIGIN}/v2/posts`))).to.equal(true);
+    expect(backendRequests.map(request => request.url)).to.deep.equal(['/graphql', '/v2/posts']);
+  });
+
+  it('ignores requests to other origins', async function() {
+    const proxy = createApiProxy({ origin }, { pageOrigin: PAGE_ORIGIN });
+
+    expect(await proxy(interceptedRequest('https://example.com/api/posts'))).to.equal(false);
+    expect(backendRequests).to.be.empty;
+  });
+
+  it('aborts the request if the API cannot be reached', async function() {
+    const proxy = createApiProxy({ origin: 'http://127.0.0.1:1' }, { pageOrigin: PAGE_ORIGIN });
+    const request = interceptedRequest(`${PAGE_ORIGIN}/api/posts`);
+
+    expect(await proxy(request)).to.equal(true);
+    expect(request.aborted).to.equal('connectionfailed');
+  });
+
+  it('throws an error if no origin is provided', function() {
+    expect(() => createApiProxy({}, { pageOrigin: PAGE_ORIGIN })).to.throw(/requires an `origin`/);
+  });
+});
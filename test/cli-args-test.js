@@ -0,0 +1,49 @@
+'use strict';
+
+const expect = require('chai').expect;
+const parseArgs = require('../src/cli-args');
+
+describe('parseArgs', function() {
+  it('separates positional arguments from options', function() {
+    const { positional, options } = parseArgs([ 'dist', '--port', '3000', '/about', '--host=0.0.0.0' ]);
+    expect(positional).to.deep.equal([ 'dist', '/about' ]);
+    expect(options).to.deep.equal({ port: '3000', host: '0.0.0.0' });
+  });
+
+  it('camelizes option names', function() {
+    const { options } = parseArgs([ '--max-instances', '4' ]);
+    expect(options).to.deep.equal({ maxInstances: '4' });
+  });
+
+  it('does not give boolean options a value', function() {
+    const { positional, options } = parseArgs([ '--crawl', '/about' ], { booleans: [ 'crawl' ] });
+    expect(positional).to.deep.equal([ '/about' ]);
+    expect(options).to.deep.equal({ crawl: true });
+  });
+
+  it('sets options without a value to true', function() {
+    const { options } = parseArgs([ '--verbose', '--port', '3000', '--resilient' ]);
+    expect(options).to.deep.equal({ verbose: true, port: '3000', resilient: true });
+  });
+
+  it('negates boolean options', function() {
+    const { options } = parseArgs([ '--no-crawl' ], { booleans: [ 'crawl' ] });
+    expect(options).to.deep.equal({ crawl: false });
+  });
+
+  it('expands aliases', function() {
+    const { options } = parseArgs([ '-o', 'out', '-c' ], { booleans: [ 'crawl' ], aliases: { o: 'output', c: 'crawl' } });
+    expect(options).to.deep.equal({ output: 'out', crawl: true });
+  });
+
+  it('collects repeated options into an array', function() {
+    const { options } = parseArgs([ '--url', '/a', '--url', '/b', '--url=/c' ]);
+    expect(options).to.deep.equal({ url: [ '/a', '/b', '/c' ] });
+  });
+
+  it('treats everything after -- as positional', function() {
+    const { positional, options } = parseArgs([ '--crawl', '--', '--not-an-option' ], { booleans: [ 'crawl' ] });
+    expect(positional).to.deep.equal([ '--not-an-option' ]);
+    expect(options).to.deep.equal({ crawl: true });
+  });
+});
@@ -0,0 +1,260 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const temp = require('temp').track();
+const FastBootHeaders = require('../src/fastboot-headers');
+const { run, serve } = require('../src/cli');
+
+describe('powerboot command', function() {
+  let instances, stdout, stderr, io;
+
+  class FakePowerBoot {
+    constructor(options) {
+      this.options = options;
+      this.config = { distPath: options.distPath };
+      this.visits = [];
+      this.closed = false;
+      instances.push(this);
+    }
+
+    async visit(url, options) {
+      this.visits.push({ url, options });
+      if (url === '/broken') throw new Error('boom');
+      if (url === '/missing') {
+        const error = new Error('UnrecognizedURLError: /missing');
+        error.name = 'UnrecognizedURLError';
+        throw error;
+      }
+      const headers = new FastBootHeaders({ 'content-type': 'text/html', 'set-cookie': [ 'a=1', 'b=2' ] });
+      return {
+        statusCode: 200,
+        headers,
+        error: url === '/resilient' ? new Error('caught') : undefined,
+        html: async () => `<html><body>${url}</body></html>`
+      };
+    }
+
+    async close() {
+      this.closed = true;
+    }
+  }
+
+  function stream() {
+    const written = [];
+    return { written, write: chunk => written.push(chunk), toString: () => written.join('') };
+  }
+
+  beforeEach(function() {
+    instances = [];
+    stdout = stream();
+    stderr = stream();
+    io = { stdout, stderr, PowerBoot: FakePowerBoot };
+  });
+
+  after(function() {
+    temp.cleanupSync();
+  });
+
+  it('prints the usage with --help', async function() {
+    expect(await run([ '--help' ], io)).to.equal(0);
+    expect(stdout.toString()).to.match(/^Usage: powerboot <command>/);
+  });
+
+  it('fails without a command', async function() {
+    expect(await run([], io)).to.equal(1);
+    expect(stderr.toString()).to.match(/^Usage: powerboot <command>/);
+  });
+
+  it('fails on unknown commands', async function() {
+    expect(await run([ 'explode' ], io)).to.equal(1);
+    expect(stderr.toString()).to.match(/^Unknown command `explode`/);
+  });
+
+  it('fails on invalid numbers', async function() {
+    expect(await run([ 'serve', '--port', 'eighty' ], io)).to.equal(1);
+    expect(stderr.toString()).to.equal('The `--port` option must be a whole number.\n');
+  });
+
+  describe('render', function() {
+    it('prints the HTML of a URL', async function() {
+      expect(await run([ 'render', '/about', '--dist', 'path/to/dist' ], io)).to.equal(0);
+      expect(stdout.toString()).to.equal('<html><body>/about</body></html>');
+      expect(instances[0].options.distPath).to.equal('path/to/dist');
+      expect(instances[0].closed).to.equal(true);
+    });
+
+    it('maps options onto PowerBoot and visit() options', async function() {
+      await run([
+        'render', '/',
+        '--resilient',
+        '--no-should-render',
+        '--disable-shoebox',
+        '--no-map-status',
+        '--timeout', '5000',
+        '--use-script-tags',
+        '--block', 'google-analytics.com',
+        '--block', 'doubleclick.net',
+        '--replay-har', 'fixtures.har',
+        '--har-not-found', 'passthrough',
+        '--isolation', 'visit',
+        '--wait-for', 'settled',
+        '--settled-timeout-ms', '3000',
+        '--serialize-shadow-roots',
+        '--fragment', '#summary',
+        '--fragment', 'footer',
+        '--inline-styles',
+        '--critical-css',
+        '--resource-hint-types', 'script, font',
+        '--emulate', 'iPhone X',
+        '--timezone', 'Europe/Berlin',
+        '--languages', 'de-DE, de',
+        '--color-scheme', 'dark',
+        '--reduced-motion', 'reduce',
+        '--now', '2020-01-01T00:00:00Z',
+        '--seed', '42',
+        '--fast-forward', '1000'
+      ], io);
+
+      const powerboot = instances[0];
+      expect(powerboot.options).to.include({ distPath: 'dist', resilient: true, useScriptTags: true, isolation: 'visit' });
+      expect(powerboot.visits[0].options).to.deep.equal({
+        shouldRender: false,
+        disableShoebox: true,
+        mapStatus: false,
+        destroyAppInstanceInMs: 5000,
+        requestRules: [ { action: 'block', domain: [ 'google-analytics.com', 'doubleclick.net' ] } ],
+        har: { mode: 'replay', path: 'fixtures.har', notFound: 'passthrough' },
+        waitFor: 'settled',
+        settledTimeoutMs: 3000,
+        serializeShadowRoots: true,
+        fragment: { selector: [ '#summary', 'footer' ], inlineStyles: true },
+        criticalCSS: true,
+        resourceHints: { types: [ 'script', 'font' ] },
+        emulate: 'iPhone X',
+        timezone: 'Europe/Berlin',
+        languages: [ 'de-DE', 'de' ],
+        colorScheme: 'dark',
+        reducedMotion: 'reduce',
+        deterministic: { now: '2020-01-01T00:00:00Z', seed: '42', fastForward: 1000 }
+      });
+    });
+
+    it('renders deterministically with --deterministic', async function() {
+      await run([ 'render', '/', '--deterministic' ], io);
+      expect(instances[0].visits[0].options).to.deep.equal({ deterministic: {} });
+    });
+
+    it('records traffic to a HAR file with --record-har', async function() {
+      await run([ 'render', '/', '--record-har', 'fixtures.har' ], io);
+      expect(instances[0].visits[0].options).to.deep.equal({ har: { mode: 'record', path: 'fixtures.har' } });
+    });
+
+    it('fails when recording and replaying a HAR file at once', async function() {
+      expect(await run([ 'render', '/', '--record-har', 'a.har', '--replay-har', 'b.har' ], io)).to.equal(1);
+      expect(stderr.toString()).to.equal('The `--record-har` and `--replay-har` options can\'t be used together.\n');
+    });
+
+    it('saves screenshots and PDFs instead of printing the HTML', async function() {
+      expect(await run([ 'render', '/invoice', '--screenshot', 'invoice.png', '--pdf', 'invoice.pdf' ], io)).to.equal(0);
+      expect(instances[0].visits[0].options).to.deep.equal({
+        capture: { screenshot: { path: 'invoice.png' }, pdf: { path: 'invoice.pdf' } }
+      });
+      expect(stdout.toString()).to.equal('');
+    });
+
+    it('prints the status code and headers with --include-headers', async function() {
+      await run([ 'render', '/', '-i' ], io);
+      expect(stdout.toString()).to.equal(
+        'HTTP 200\ncontent-type: text/html\nset-cookie: a=1\nset-cookie: b=2\n\n<html><body>/</body></html>'
+      );
+    });
+
+    it('writes the HTML to a file with --output', async function() {
+      const file = path.join(temp.mkdirSync('powerboot-cli'), 'about.html');
+      expect(await run([ 'render', '/about', '-o', file ], io)).to.equal(0);
+      expect(fs.readFileSync(file, 'utf8')).to.equal('<html><body>/about</body></html>');
+      expect(stdout.toString()).to.equal('');
+    });
+
+    it('fails when rendering fails', async function() {
+      expect(await run([ 'render', '/broken' ], io)).to.equal(1);
+      expect(stderr.toString()).to.match(/^Error: boom/);
+      expect(instances[0].closed).to.equal(true);
+    });
+
+    it('fails when an error was caught in resilient mode', async function() {
+      expect(await run([ 'render', '/resilient', '--resilient' ], io)).to.equal(1);
+      expect(stdout.toString()).to.equal('<html><body>/resilient</body></html>');
+      expect(stderr.toString()).to.match(/^Error: caught/);
+    });
+
+    it('requires a URL', async function() {
+      expect(await run([ 'render' ], io)).to.equal(1);
+      expect(stderr.toString()).to.match(/needs a URL/);
+    });
+  });
+
+  describe('serve', function() {
+    let app;
+
+    afterEach(async function() {
+      if (app) await app.close();
+      app = null;
+    });
+
+    function get(url) {
+      return new Promise((resolve, reject) => {
+        http.get(url, res => {
+          let body = '';
+          res.on('data', chunk => body += chunk);
+          res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+      });
+    }
+
+    it('renders requests', async function() {
+      app = await serve({ distPath: 'dist', port: 0, host: '127.0.0.1', visitOptions: { shouldRender: true } }, io);
+
+      const response = await get(`${app.url}/about`);
+
+      expect(response.statusCode).to.equal(200);
+      expect(response.body).to.equal('<html><body>/about</body></html>');
+      expect(response.headers['content-type']).to.equal('text/html');
+      expect(response.headers['set-cookie']).to.deep.equal([ 'a=1', 'b=2' ]);
+      expect(app.powerboot.visits[0].options.shouldRender).to.equal(true);
+      expect(stdout.toString()).to.equal(`PowerBoot is serving dist at ${app.url}\n`);
+    });
+
+    it('responds with 404 to unrecognized URLs and 500 to errors', async function() {
+      app = await serve({ distPath: 'dist', port: 0, host: '127.0.0.1' }, io);
+
+      expect((await get(`${app.url}/missing`)).statusCode).to.equal(404);
+      expect((await get(`${app.url}/broken`)).statusCode).to.equal(500);
+      expect(stderr.toString()).to.match(/^\/broken: Error: boom/);
+    });
+
+    it('passes pool options to PowerBoot', async function() {
+      app = await serve({
+        distPath: 'dist',
+        port: 0,
+        host: '127.0.0.1',
+        minInstances: 2,
+        maxInstances: 4,
+        instanceIdleTimeoutMs: 1000
+      }, io);
+
+      expect(app.powerboot.options).to.include({ minInstances: 2, maxInstances: 4, instanceIdleTimeoutMs: 1000 });
+    });
+
+    it('closes the server and PowerBoot', async function() {
+      app = await serve({ distPath: 'dist', port: 0, host: '127.0.0.1' }, io);
+      const powerboot = app.powerboot;
+      await app.close();
+      app = null;
+      expect(powerboot.closed).to.equal(true);
+    });
+  });
+});
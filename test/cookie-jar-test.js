@@ -0,0 +1,97 @@
+'use strict';
+
+const vm = require('vm');
+const expect = require('chai').expect;
+const FastBootHeaders = require('../src/fastboot-headers');
+const { installCookieJar, applyCookieChanges, serializeCookie } = require('../src/cookie-jar');
+
+describe('installCookieJar', function() {
+  let window;
+
+  beforeEach(function() {
+    window = vm.createContext({});
+    window.window = window;
+    vm.runInContext('class Document {}; var document = new Document();', window);
+    vm.runInContext(`(${installCookieJar})()`, window);
+    window.__powerbootCookies.reset('session=abc; theme=dark');
+  });
+
+  function cookie(string) {
+    if (string !== undefined) window.string = string;
+    return vm.runInContext(string === undefined ? 'document.cookie' : 'document.cookie = string', window);
+  }
+
+  it('is seeded from the request', function() {
+    expect(cookie()).to.equal('session=abc; theme=dark');
+    expect(window.__powerbootCookies.changes().written).to.deep.equal([]);
+  });
+
+  it('records the cookies written while rendering', function() {
+    cookie('theme=light; path=/; max-age=3600; secure; samesite=Lax');
+    cookie('session=; expires=Thu, 01 Jan 1970 00:00:00 GMT');
+    cookie('ignored');
+
+    expect(cookie()).to.equal('theme=light');
+
+    const changes = window.__powerbootCookies.changes();
+    expect(changes.request).to.deep.equal({ session: 'abc', theme: 'dark' });
+    expect(changes.written.map(cookie => [ cookie.name, cookie.value, cookie.maxAge, cookie.secure, cookie.sameSite, cookie.expired ])).to.deep.equal([
+      [ 'theme', 'light', 3600, true, 'Lax', false ],
+      [ 'session', '', null, false, null, true ]
+    ]);
+  });
+
+  it('keeps cookies with different paths apart', function() {
+    cookie('theme=light; path=/admin');
+    expect(cookie()).to.equal('theme=light; session=abc; theme=dark');
+  });
+
+  it('starts over on reset', function() {
+    cookie('new=1');
+    window.__powerbootCookies.reset(null);
+    expect(cookie()).to.equal('');
+    expect(window.__powerbootCookies.changes()).to.deep.equal({ request: {}, written: [] });
+  });
+});
+
+describe('applyCookieChanges', function() {
+  function written(name, value, options={}) {
+    return Object.assign({
+      name, value, path: '/', domain: null, expires: null, maxAge: null,
+      secure: false, sameSite: null, expiresAt: null, expired: false
+    }, options);
+  }
+
+  it('adds Set-Cookie headers for new, changed and deleted cookies', function() {
+    const headers = new FastBootHeaders({ 'content-type': 'text/html' });
+    const added = applyCookieChanges({
+      request: { session: 'abc', theme: 'dark', locale: 'en' },
+      written: [
+        written('theme', 'light', { maxAge: 3600, secure: true, sameSite: 'Lax' }),
+        written('locale', 'en'),
+        written('session', '', { expires: 'Thu, 01 Jan 1970 00:00:00 GMT', expired: true }),
+        written('visited', '1', { path: '/blog', domain: 'example.com' }),
+        written('temporary', '1', { maxAge: 0, expired: true })
+      ]
+    }, headers);
+
+    expect(added).to.deep.equal([
+      'theme=light; Path=/; Max-Age=3600; Secure; SameSite=Lax',
+      'session=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+      'visited=1; Path=/blog; Domain=example.com'
+    ]);
+    expect(headers.getAll('set-cookie')).to.deep.equal(added);
+  });
+
+  it('leaves alone cookies the app set a header for', function() {
+    const headers = new FastBootHeaders({ 'set-cookie': [ 'session=def; Path=/; HttpOnly' ] });
+    applyCookieChanges({ request: {}, written: [ written('session', 'xyz') ] }, headers);
+    expect(headers.getAll('set-cookie')).to.deep.equal([ 'session=def; Path=/; HttpOnly' ]);
+  });
+});
+
+describe('serializeCookie', function() {
+  it('writes the value and path', function() {
+    expect(serializeCookie({ name: 'a', value: '1', path: '/', maxAge: null })).to.equal('a=1; Path=/');
+  });
+});
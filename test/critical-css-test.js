@@ -0,0 +1,77 @@
+'use strict';
+
+const expect = require('chai').expect;
+const { parseStylesheet, buildCSS, rewriteURLs } = require('../src/critical-css');
+
+describe('critical CSS', function() {
+  describe('parseStylesheet', function() {
+    it('splits a stylesheet into style rules with their offsets', function() {
+      const text = 'body { margin: 0 }\n/* a comment { } */\nh1, .title { color: red }';
+      const rules = parseStylesheet(text);
+
+      expect(rules.map(rule => rule.selector)).to.deep.equal([ 'body', 'h1, .title' ]);
+      expect(rules[1]).to.include({ type: 'style', text: 'h1, .title { color: red }', start: text.indexOf('h1'), end: text.length });
+      expect(rules[1].conditions).to.deep.equal([]);
+    });
+
+    it('keeps the conditions of the blocks a rule is in', function() {
+      const rules = parseStylesheet('@media (min-width: 600px) { @supports (display: grid) { .grid { display: grid } } p { margin: 0 } }');
+
+      expect(rules.map(rule => [ rule.selector, rule.conditions ])).to.deep.equal([
+        [ '.grid', [ '@media (min-width: 600px)', '@supports (display: grid)' ] ],
+        [ 'p', [ '@media (min-width: 600px)' ] ]
+      ]);
+    });
+
+    it('names font faces and keyframes, and leaves out other at-rules', function() {
+      const rules = parseStylesheet([
+        '@charset "utf-8";',
+        '@import url("print.css") print;',
+        '@font-face { font-family: "Open Sans"; src: url(open-sans.woff2) }',
+        '@keyframes spin { from { transform: rotate(0) } to { transform: rotate(360deg) } }',
+        '@page { margin: 1cm }',
+        '.spinner { animation: spin 1s }'
+      ].join('\n'));
+
+      expect(rules.map(rule => [ rule.type, rule.name || rule.selector ])).to.deep.equal([
+        [ 'font-face', 'Open Sans' ],
+        [ 'keyframes', 'spin' ],
+        [ 'style', '.spinner' ]
+      ]);
+    });
+
+    it('ignores braces in strings and comments', function() {
+      const rules = parseStylesheet('a[title="{"]::after { content: "}" } /* } */ b { color: blue }');
+      expect(rules.map(rule => rule.selector)).to.deep.equal([ 'a[title="{"]::after', 'b' ]);
+    });
+  });
+
+  describe('buildCSS', function() {
+    it('wraps runs of rules in the blocks they came from', function() {
+      const rules = parseStylesheet('a { color: red } @media print { b { color: blue } i { color: green } } s { color: gray }');
+      expect(buildCSS(rules)).to.equal([
+        'a { color: red }',
+        '@media print{',
+        'b { color: blue }',
+        'i { color: green }',
+        '}',
+        's { color: gray }'
+      ].join('\n'));
+    });
+  });
+
+  describe('rewriteURLs', function() {
+    const base = 'http://127.0.0.1:4000/assets/app.css';
+    const origin = 'http://127.0.0.1:4000';
+
+    it('turns URLs relative to the stylesheet into paths', function() {
+      expect(rewriteURLs('a { background: url(../images/bg.png) } b { background: url("icons/b.svg#x") }', base, origin))
+        .to.equal('a { background: url(/images/bg.png) } b { background: url("/assets/icons/b.svg#x") }');
+    });
+
+    it('leaves data URIs, fragments and other origins alone', function() {
+      const css = 'a { background: url(data:image/png;base64,AAAA) } b { fill: url(#gradient) } i { background: url(https://cdn.example.com/i.png) }';
+      expect(rewriteURLs(css, base, origin)).to.equal(css);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const vm = require('vm');
+const expect = require('chai').expect;
+const { installClock, normalizeDeterministicOptions } = require('../src/deterministic-clock');
+
+describe('normalizeDeterministicOptions', function() {
+  it('returns null when deterministic mode is off', function() {
+    expect(normalizeDeterministicOptions(undefined, 1000)).to.equal(null);
+    expect(normalizeDeterministicOptions(false, 1000)).to.equal(null);
+  });
+
+  it('defaults to the time of the visit and a seed of 1', function() {
+    expect(normalizeDeterministicOptions(true, 1000)).to.deep.equal({ now: 1000, seed: 1, fastForward: 0 });
+  });
+
+  it('accepts timestamps, date strings and dates', function() {
+    const now = 1577836800000;
+    expect(normalizeDeterministicOptions({ now }, 1000).now).to.equal(now);
+    expect(normalizeDeterministicOptions({ now: '2020-01-01T00:00:00Z' }, 1000).now).to.equal(now);
+    expect(normalizeDeterministicOptions({ now: new Date(now) }, 1000).now).to.equal(now);
+  });
+
+  it('fast-forwards by a minute for true', function() {
+    expect(normalizeDeterministicOptions({ fastForward: true, seed: 'a' }, 1000)).to.deep.equal({ now: 1000, seed: 'a', fastForward: 60000 });
+  });
+
+  it('throws for invalid times', function() {
+    expect(() => normalizeDeterministicOptions({ now: 'yesterday' }, 1000)).to.throw(/deterministic.now/);
+  });
+});
+
+describe('installClock', function() {
+  let window;
+
+  beforeEach(function() {
+    window = vm.createContext({ setTimeout, clearTimeout, performance: { now: () => 0 } });
+    window.window = window;
+    vm.runInContext(`(${installClock})()`, window);
+  });
+
+  function evaluate(fn) {
+    return vm.runInContext(`(${fn})()`, window);
+  }
+
+  it('passes through to the real clock until configured', function() {
+    const before = Date.now();
+    expect(evaluate(() => Date.now())).to.be.at.least(before);
+    expect(evaluate(() => Math.random())).to.not.equal(evaluate(() => Math.random()));
+  });
+
+  it('freezes the clock and seeds Math.random()', function() {
+    window.__powerbootClock.configure({ now: 1577836800000, seed: 42, fastForward: 0 });
+    const first = evaluate(() => [ Date.now(), new Date().toISOString(), performance.now(), Math.random(), Math.random() ]);
+    expect(first.slice(0, 3)).to.deep.equal([ 1577836800000, '2020-01-01T00:00:00.000Z', 0 ]);
+
+    window.__powerbootClock.configure({ now: 1577836800000, seed: 42, fastForward: 0 });
+    expect(evaluate(() => [ Date.now(), new Date().toISOString(), performance.now(), Math.random(), Math.random() ])).to.deep.equal(first);
+    expect(evaluate(() => new Date() instanceof Date && new Date(0).getTime())).to.equal(0);
+  });
+
+  it('moves the clock forward when timers fire', function(done) {
+    window.__powerbootClock.configure({ now: 1000, seed: 1, fastForward: 0 });
+    window.done = done;
+    window.expect = expect;
+    evaluate(() => {
+      setTimeout(() => {
+        expect(Date.now()).to.equal(1005);
+        done();
+      }, 5);
+    });
+  });
+
+  it('fires fast-forwarded timers in order without waiting', function(done) {
+    window.__powerbootClock.configure({ now: 0, seed: 1, fastForward: 60000 });
+    window.done = done;
+    window.expect = expect;
+    evaluate(() => {
+      const fired = [];
+      setTimeout(() => fired.push([ 'late', Date.now() ]), 30000);
+      const cleared = setTimeout(() => fired.push([ 'cleared', Date.now() ]), 20);
+      setTimeout(() => fired.push([ 'early', Date.now() ]), 10);
+      clearTimeout(cleared);
+      setTimeout(() => {
+        expect(fired).to.deep.equal([ [ 'early', 10 ], [ 'late', 30000 ] ]);
+        done();
+      }, 50000);
+    });
+  });
+
+  it('goes back to the real clock when reset', function() {
+    window.__powerbootClock.configure({ now: 0, seed: 1, fastForward: 0 });
+    window.__powerbootClock.configure(null);
+    expect(evaluate(() => Date.now())).to.be.above(0);
+  });
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const expect = require('chai').expect;
+const FastBootRequest = require('../src/fastboot-request');
+const { DeviceEmulator, resolveEmulation, DEVICE_PRESETS } = require('../src/device-emulation');
+
+const IPHONE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 12_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/12.1 Mobile/15E148 Safari/604.1';
+const IPAD_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 12_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/12.1 Mobile/15E148 Safari/604.1';
+const ANDROID_TABLET_USER_AGENT = 'Mozilla/5.0 (Linux; Android 9; SM-T820) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/74.0.3729.157 Safari/537.36';
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_4) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/74.0.3729.157 Safari/537.36';
+
+function request(headers) {
+  return new FastBootRequest({ protocol: 'http', headers, url: '/', method: 'GET' });
+}
+
+describe('resolveEmulation', function() {
+  it('returns null without an option', function() {
+    expect(resolveEmulation(undefined)).to.equal(null);
+    expect(resolveEmulation(false)).to.equal(null);
+  });
+
+  it('resolves presets', function() {
+    expect(resolveEmulation('mobile')).to.deep.equal({
+      device: 'mobile',
+      viewport: DEVICE_PRESETS.mobile.viewport,
+      userAgent: null
+    });
+  });
+
+  it('resolves Puppeteer device descriptors', function() {
+    const emulation = resolveEmulation('iPhone X');
+    expect(emulation.device).to.equal('iPhone X');
+    expect(emulation.viewport).to.include({ width: 375, height: 812, isMobile: true, hasTouch: true });
+    expect(emulation.userAgent).to.match(/iPhone/);
+  });
+
+  it('throws on unknown devices', function() {
+    expect(() => resolveEmulation('Nokia 3310')).to.throw(/Unknown device `Nokia 3310`/);
+  });
+
+  it('merges a custom viewport into a device', function() {
+    const emulation = resolveEmulation({ device: 'mobile', viewport: { width: 414 }, userAgent: 'Custom' });
+    expect(emulation).to.deep.equal({
+      device: 'mobile',
+      viewport: Object.assign({}, DEVICE_PRESETS.mobile.viewport, { width: 414 }),
+      userAgent: 'Custom'
+    });
+  });
+
+  it('fills in a custom viewport with the desktop preset', function() {
+    const emulation = resolveEmulation({ viewport: { width: 1920, height: 1080 } });
+    expect(emulation.device).to.equal(null);
+    expect(emulation.viewport).to.deep.equal(Object.assign({}, DEVICE_PRESETS.desktop.viewport, { width: 1920, height: 1080 }));
+  });
+
+  describe('auto', function() {
+    it('picks mobile for phones and keeps the user agent', function() {
+      const emulation = resolveEmulation('auto', request({ 'user-agent': IPHONE_USER_AGENT }));
+      expect(emulation.device).to.equal('mobile');
+      expect(emulation.userAgent).to.equal(IPHONE_USER_AGENT);
+    });
+
+    it('picks tablet for tablets', function() {
+      expect(resolveEmulation('auto', request({ 'user-agent': IPAD_USER_AGENT })).device).to.equal('tablet');
+      expect(resolveEmulation('auto', request({ 'user-agent': ANDROID_TABLET_USER_AGENT })).device).to.equal('tablet');
+    });
+
+    it('picks desktop for desktop browsers and requests without a user agent', function() {
+      expect(resolveEmulation('auto', request({ 'user-agent': DESKTOP_USER_AGENT })).device).to.equal('desktop');
+      expect(resolveEmulation('auto', request({})).device).to.equal('desktop');
+      expect(resolveEmulation('auto').device).to.equal('desktop');
+    });
+
+    it('follows the mobile client hint', function() {
+      expect(resolveEmulation('auto', request({ 'user-agent': DESKTOP_USER_AGENT, 'sec-ch-ua-mobile': '?1' })).device).to.equal('mobile');
+      expect(resolveEmulation('auto', request({ 'user-agent': IPHONE_USER_AGENT, 'sec-ch-ua-mobile': '?0' })).device).to.equal('desktop');
+    });
+
+    it('uses the viewport width and DPR client hints', function() {
+      const emulation = resolveEmulation('auto', request({
+        'user-agent': IPHONE_USER_AGENT,
+        'viewport-width': '414',
+        'dpr': '3'
+      }));
+      expect(emulation.viewport).to.include({ width: 414, deviceScaleFactor: 3 });
+      expect(DEVICE_PRESETS.mobile.viewport.width).to.equal(375);
+    });
+  });
+});
+
+describe('DeviceEmulator', function() {
+  let page, calls;
+
+  beforeEach(function() {
+    calls = [];
+    page = {
+      viewport: () => ({ width: 800, height: 600, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: false }),
+      browser: () => ({ userAgent: async () => 'HeadlessChrome' }),
+      setViewport: async viewport => calls.push([ 'setViewport', viewport ]),
+      setUserAgent: async userAgent => calls.push([ 'setUserAgent', userAgent ])
+    };
+  });
+
+  it('does nothing without an emulation', async function() {
+    const emulator = new DeviceEmulator(page);
+    expect(await emulator.emulate(null)).to.equal(false);
+    expect(calls).to.deep.equal([]);
+  });
+
+  it('emulates a device, reporting that the page reloads', async function() {
+    const emulator = new DeviceEmulator(page);
+    const emulation = resolveEmulation('iPhone X');
+
+    expect(await emulator.emulate(emulation)).to.equal(true);
+    expect(calls).to.deep.equal([
+      [ 'setUserAgent', emulation.userAgent ],
+      [ 'setViewport', emulation.viewport ]
+    ]);
+  });
+
+  it('skips emulating the same device twice', async function() {
+    const emulator = new DeviceEmulator(page);
+    await emulator.emulate(resolveEmulation('mobile'));
+    calls = [];
+
+    expect(await emulator.emulate(resolveEmulation('mobile'))).to.equal(false);
+    expect(calls).to.deep.equal([]);
+  });
+
+  it('does not report a reload when only the size changes', async function() {
+    const emulator = new DeviceEmulator(page);
+    await emulator.emulate(resolveEmulation('mobile'));
+
+    expect(await emulator.emulate(resolveEmulation('tablet'))).to.equal(false);
+  });
+
+  it('restores the defaults once emulation is no longer requested', async function() {
+    const emulator = new DeviceEmulator(page);
+    await emulator.emulate(resolveEmulation('iPhone X'));
+    calls = [];
+
+    expect(await emulator.emulate(null)).to.equal(true);
+    expect(calls).to.deep.equal([
+      [ 'setUserAgent', 'HeadlessChrome' ],
+      [ 'setViewport', page.viewport() ]
+    ]);
+    calls = [];
+
+    expect(await emulator.emulate(null)).to.equal(false);
+    expect(calls).to.deep.equal([]);
+  });
+});
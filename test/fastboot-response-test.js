@@ -40,4 +40,30 @@ describe("FastBootResponse", function() {
       expect(fastBootResponse.statusCode).to.equal(200);
     });
   });
+
+  describe("serialize", function () {
+    it("should preserve headers with multiple values", function () {
+      fastBootResponse.headers.append('set-cookie', 'foo=bar');
+      fastBootResponse.headers.append('set-cookie', 'baz=qux');
+      fastBootResponse.statusCode = 302;
+
+      var copy = new FastBootResponse(JSON.parse(JSON.stringify(fastBootResponse.serialize())));
+
+      expect(copy.statusCode).to.equal(302);
+      expect(copy.headers.getAll('set-cookie')).to.deep.equal(['foo=bar', 'baz=qux']);
+    });
+
+    it("should read the headers of a Node.js response", function () {
+      var nodeResponse = {
+        getHeaders: function () {
+          return { 'content-length': 42, 'x-foo': 'bar' };
+        }
+      };
+
+      var response = new FastBootResponse(nodeResponse);
+
+      expect(response.headers.get('content-length')).to.equal('42');
+      expect(response.headers.get('x-foo')).to.equal('bar');
+    });
+  });
 });
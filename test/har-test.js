@@ -0,0 +1,258 @@
+'use strict';
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp').track();
+const { HarArchive, HarRecorder, createHarReplay, normalizeHarOptions, recordedURL } = require('../src/har');
+
+const PAGE_ORIGIN = 'http://127.0.0.1:4000';
+
+function harEntry(method, url, options={}) {
+  const entry = {
+    request: { method, url, headers: [] },
+    response: {
+      status: options.status || 200,
+      headers: options.headers || [ { name: 'content-type', value: 'application/json' } ],
+      content: { mimeType: 'application/json', text: options.text || '{}' }
+    }
+  };
+  if (options.postData) entry.request.postData = { mimeType: 'application/json', text: options.postData };
+  return entry;
+}
+
+function tempFile(name) {
+  return path.join(temp.mkdirSync('powerboot-har'), name);
+}
+
+describe('normalizeHarOptions', function() {
+  it('fills in the defaults', function() {
+    expect(normalizeHarOptions(null)).to.equal(null);
+    expect(normalizeHarOptions({ mode: 'record', path: 'a.har' })).to.deep.equal({ mode: 'record', path: 'a.har', notFound: 'abort', credentials: false });
+  });
+
+  it('rejects invalid options', function() {
+    expect(() => normalizeHarOptions({ mode: 'rewind', path: 'a.har' })).to.throw(/`har.mode` option must be either `record` or `replay`/);
+    expect(() => normalizeHarOptions({ mode: 'replay' })).to.throw(/requires the `path` of the HAR file/);
+    expect(() => normalizeHarOptions({ mode: 'replay', path: 'a.har', notFound: 'ignore' })).to.throw(/`har.notFound` option must be either `abort` or `passthrough`/);
+  });
+});
+
+describe('recordedURL', function() {
+  it('records URLs on the page origin under a placeholder origin', function() {
+    expect(recordedURL(`${PAGE_ORIGIN}/assets/app.js?v=1`, PAGE_ORIGIN)).to.equal('http://powerboot.invalid/assets/app.js?v=1');
+    expect(recordedURL('https://api.example.com/posts', PAGE_ORIGIN)).to.equal('https://api.example.com/posts');
+  });
+});
+
+describe('HarArchive', function() {
+  afterEach(function() {
+    temp.cleanupSync();
+  });
+
+  it('writes recorded entries to its file, replacing those for the same requests', async function() {
+    const file = tempFile('recorded.har');
+    const archive = new HarArchive(file);
+
+    const first = archive.record([ harEntry('GET', 'https://api.example.com/posts', { text: '[]' }) ]);
+    await archive.record([
+      harEntry('GET', 'https://api.example.com/posts', { text: '[1]' }),
+      harEntry('POST', 'https://api.example.com/posts', { postData: '{"a":1}' })
+    ]);
+    await first;
+
+    const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(har.log.version).to.equal('1.2');
+    expect(har.log.creator.name).to.equal('PowerBoot');
+    expect(har.log.entries.map(entry => [ entry.request.method, entry.response.content.text ])).to.deep.equal([
+      [ 'GET', '[1]' ],
+      [ 'POST', '{}' ]
+    ]);
+  });
+
+  it('finds entries by method and URL, preferring the same request body', function() {
+    const file = tempFile('replayed.har');
+    fs.writeFileSync(file, JSON.stringify({ log: { entries: [
+      harEntry('POST', 'https://api.example.com/search', { postData: '{"q":"a"}', text: 'a' }),
+      harEntry('POST', 'https://api.example.com/search', { postData: '{"q":"b"}', text: 'b' })
+    ] } }));
+    const archive = new HarArchive(file);
+
+    expect(archive.find('POST', 'https://api.example.com/search', '{"q":"b"}').response.content.text).to.equal('b');
+    expect(archive.find('POST', 'https://api.example.com/search', '{"q":"c"}').response.content.text).to.equal('a');
+    expect(archive.find('GET', 'https://api.example.com/search')).to.equal(undefined);
+  });
+
+  it('fails to load missing files', function() {
+    expect(() => new HarArchive(tempFile('missing.har')).load()).to.throw(/ENOENT/);
+  });
+});
+
+describe('HarRecorder', function() {
+  let page, recorder;
+
+  beforeEach(function() {
+    page = new EventEmitter();
+    page.url = () => `${PAGE_ORIGIN}/`;
+    recorder = new HarRecorder(page);
+  });
+
+  function response(url, options={}) {
+    const headers = options.headers || { 'content-type': 'application/json' };
+    return {
+      status: () => options.status || 200,
+      statusText: () => 'OK',
+      headers: () => headers,
+      buffer: async () => {
+        if (!options.body) throw new Error('No body');
+        return options.body;
+      },
+      request: () => ({
+        url: () => url,
+        method: () => options.method || 'GET',
+        headers: () => options.requestHeaders || { accept: '*/*' },
+        postData: () => options.postData,
+        resourceType: () => options.resourceType || 'fetch'
+      })
+    };
+  }
+
+  it('records requests and responses as HAR entries', async function() {
+    recorder.start();
+    page.emit('response', response(`${PAGE_ORIGIN}/api/posts?page=2`, { body: Buffer.from('[]') }));
+    page.emit('response', response('https://api.example.com/search', {
+      method: 'POST',
+      postData: '{"q":"a"}',
+      body: Buffer.from('{}')
+    }));
+    page.emit('response', response('https://cdn.example.com/logo.png', {
+      headers: { 'content-type': 'image/png' },
+      resourceType: 'image',
+      body: Buffer.from([ 0x89, 0x50, 0x4e, 0x47 ])
+    }));
+    page.emit('response', response('data:text/plain,hi'));
+
+    const entries = await recorder.stop();
+    expect(entries).to.have.lengthOf(3);
+
+    expect(entries[0].request).to.include({ method: 'GET', url: 'http://powerboot.invalid/api/posts?page=2' });
+    expect(entries[0].request.queryString).to.deep.equal([ { name: 'page', value: '2' } ]);
+    expect(entries[0].response.content).to.deep.equal({ size: 2, mimeType: 'application/json', text: '[]' });
+    expect(entries[0]._resourceType).to.equal('fetch');
+
+    expect(entries[1].request.postData).to.deep.equal({ mimeType: '', text: '{"q":"a"}' });
+
+    expect(entries[2].response.content).to.deep.equal({ size: 4, mimeType: 'image/png', text: 'iVBORw==', encoding: 'base64' });
+  });
+
+  it('leaves credentials out unless asked to record them', async function() {
+    const options = {
+      requestHeaders: { accept: '*/*', authorization: 'Bearer abc', cookie: 'session=1' },
+      headers: { 'content-type': 'application/json', 'set-cookie': 'session=2' },
+      body: Buffer.from('{}')
+    };
+
+    recorder.start();
+    page.emit('response', response('https://api.example.com/me', options));
+    const [ redacted ] = await recorder.stop();
+    expect(redacted.request.headers).to.deep.equal([ { name: 'accept', value: '*/*' } ]);
+    expect(redacted.response.headers).to.deep.equal([ { name: 'content-type', value: 'application/json' } ]);
+
+    recorder.start({ credentials: true });
+    page.emit('response', response('https://api.example.com/me', options));
+    const [ entry ] = await recorder.stop();
+    expect(entry.request.headers.map(header => header.name)).to.deep.equal([ 'accept', 'authorization', 'cookie' ]);
+    expect(entry.response.headers.map(header => header.name)).to.deep.equal([ 'content-type', 'set-cookie' ]);
+  });
+
+  it('records responses without a body', async function() {
+    recorder.start();
+    page.emit('response', response(`${PAGE_ORIGIN}/old`, { status: 301, headers: { location: '/new' } }));
+
+    const [ entry ] = await recorder.stop();
+    expect(entry.response).to.include({ status: 301, redirectURL: '/new', bodySize: 0 });
+    expect(entry.response.content.text).to.equal('');
+  });
+
+  it('stops recording', async function() {
+    recorder.start();
+    await recorder.stop();
+    page.emit('response', response(`${PAGE_ORIGIN}/api/posts`, { body: Buffer.from('[]') }));
+    expect(await recorder.stop()).to.deep.equal([]);
+  });
+});
+
+describe('createHarReplay', function() {
+  let archive;
+
+  beforeEach(function() {
+    archive = new HarArchive('unused.har');
+    archive._entries = [
+      harEntry('GET', 'http://powerboot.invalid/api/posts', {
+        headers: [
+          { name: 'Content-Type', value: 'application/json' },
+          { name: 'Set-Cookie', value: 'a=1' },
+          { name: 'Set-Cookie', value: 'b=2' },
+          { name: 'Content-Encoding', value: 'gzip' },
+          { name: 'Content-Length', value: '120' }
+        ],
+        text: '[{"id":1}]'
+      }),
+      {
+        request: { method: 'GET', url: 'https://cdn.example.com/logo.png', headers: [] },
+        response: { status: 200, headers: [], content: { mimeType: 'image/png', text: 'iVBORw==', encoding: 'base64' } }
+      }
+    ];
+  });
+
+  function interceptedRequest(url, options={}) {
+    const request = {
+      responded: null,
+      aborted: null,
+      continued: false,
+      url: () => url,
+      method: () => options.method || 'GET',
+      postData: () => options.postData,
+      respond: async response => request.responded = response,
+      abort: async reason => request.aborted = reason,
+      continue: async () => request.continued = true
+    };
+    return request;
+  }
+
+  function handler(notFound) {
+    return createHarReplay(archive, { pageOrigin: PAGE_ORIGIN, notFound });
+  }
+
+  it('responds with the recorded responses', async function() {
+    const request = interceptedRequest(`${PAGE_ORIGIN}/api/posts`);
+    expect(await handler()(request)).to.equal(true);
+    expect(request.responded.status).to.equal(200);
+    expect(request.responded.headers).to.deep.equal({ 'content-type': 'application/json', 'set-cookie': 'a=1\nb=2' });
+    expect(request.responded.body.toString()).to.equal('[{"id":1}]');
+
+    const image = interceptedRequest('https://cdn.example.com/logo.png');
+    expect(await handler()(image)).to.equal(true);
+    expect(Array.from(image.responded.body)).to.deep.equal([ 0x89, 0x50, 0x4e, 0x47 ]);
+  });
+
+  it('aborts third-party requests that were not recorded', async function() {
+    const request = interceptedRequest('https://api.example.com/unknown');
+    expect(await handler('abort')(request)).to.equal(true);
+    expect(request.aborted).to.equal('failed');
+  });
+
+  it('lets the internal HTTP server respond to page-origin requests that were not recorded', async function() {
+    const request = interceptedRequest(`${PAGE_ORIGIN}/assets/app.js`);
+    expect(await handler('abort')(request)).to.equal(true);
+    expect(request.continued).to.equal(true);
+  });
+
+  it('leaves requests that were not recorded to the other handlers with `passthrough`', async function() {
+    const request = interceptedRequest('https://api.example.com/unknown');
+    expect(await handler('passthrough')(request)).to.equal(false);
+    expect(request.aborted).to.equal(null);
+    expect(request.continued).to.equal(false);
+  });
+});
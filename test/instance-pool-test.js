@@ -0,0 +1,141 @@
+'use strict';
+
+const expect = require('chai').expect;
+const InstancePool = require('../src/instance-pool');
+
+describe('InstancePool', function() {
+  let pool, created, destroyed;
+
+  function createPool(options) {
+    created = [];
+    destroyed = [];
+    pool = new InstancePool(Object.assign({
+      create: async () => {
+        const instance = { id: created.length };
+        created.push(instance);
+        return instance;
+      },
+      destroy: instance => destroyed.push(instance)
+    }, options));
+    return pool;
+  }
+
+  function nextTick() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  afterEach(async function() {
+    if (pool) await pool.close();
+  });
+
+  it('creates an instance on demand and reuses it once released', async function() {
+    createPool({ minInstances: 0, maxInstances: 1 });
+
+    const first = await pool.acquire();
+    pool.release(first);
+    const second = await pool.acquire();
+
+    expect(second).to.equal(first);
+    expect(created).to.have.lengthOf(1);
+  });
+
+  it('grows up to maxInstances for concurrent acquisitions', async function() {
+    createPool({ minInstances: 0, maxInstances: 3 });
+
+    const instances = await Promise.all([ pool.acquire(), pool.acquire(), pool.acquire() ]);
+
+    expect(new Set(instances).size).to.equal(3);
+    expect(pool.busyCount).to.equal(3);
+  });
+
+  it('makes acquisitions beyond maxInstances wait for a release', async function() {
+    createPool({ minInstances: 0, maxInstances: 1 });
+
+    const first = await pool.acquire();
+    let second = null;
+    const waiting = pool.acquire().then(instance => second = instance);
+
+    await nextTick();
+    expect(second).to.be.null;
+
+    pool.release(first);
+    await waiting;
+
+    expect(second).to.equal(first);
+    expect(created).to.have.lengthOf(1);
+  });
+
+  it('fills the pool up to minInstances once it has been used', async function() {
+    createPool({ minInstances: 3, maxInstances: 3 });
+
+    const instance = await pool.acquire();
+    await nextTick();
+    await nextTick();
+
+    expect(pool.size).to.equal(3);
+    expect(pool.idleCount).to.equal(2);
+    pool.release(instance);
+  });
+
+  it('shrinks back to minInstances after instances are idle', async function() {
+    createPool({ minInstances: 1, maxInstances: 2, idleTimeoutMs: 10 });
+
+    const instances = await Promise.all([ pool.acquire(), pool.acquire() ]);
+    instances.forEach(instance => pool.release(instance));
+    expect(pool.idleCount).to.equal(2);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(pool.size).to.equal(1);
+    expect(destroyed).to.have.lengthOf(1);
+  });
+
+  it('replaces idle instances immediately on reload', async function() {
+    createPool({ minInstances: 0, maxInstances: 1 });
+
+    const first = await pool.acquire();
+    pool.release(first);
+    pool.reload();
+    const second = await pool.acquire();
+
+    expect(destroyed).to.deep.equal([ first ]);
+    expect(second).to.not.equal(first);
+  });
+
+  it('replaces busy instances once they are released after a reload', async function() {
+    createPool({ minInstances: 0, maxInstances: 1 });
+
+    const first = await pool.acquire();
+    pool.reload();
+    expect(destroyed).to.be.empty;
+
+    pool.release(first);
+    await nextTick();
+
+    expect(destroyed).to.deep.equal([ first ]);
+    const second = await pool.acquire();
+    expect(second).to.not.equal(first);
+  });
+
+  it('destroys an instance when released with the destroy option', async function() {
+    createPool({ minInstances: 0, maxInstances: 1 });
+
+    const first = await pool.acquire();
+    pool.release(first, { destroy: true });
+    await nextTick();
+
+    expect(destroyed).to.deep.equal([ first ]);
+    expect(pool.size).to.equal(0);
+  });
+
+  it('rejects waiting acquisitions when closed', async function() {
+    createPool({ minInstances: 0, maxInstances: 1 });
+
+    await pool.acquire();
+    const waiting = pool.acquire();
+    await pool.close();
+
+    await expect(waiting).to.be.rejectedWith(/pool was closed/);
+    await expect(pool.acquire()).to.be.rejectedWith(/has been closed/);
+  });
+});
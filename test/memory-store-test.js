@@ -0,0 +1,55 @@
+'use strict';
+
+const expect = require('chai').expect;
+const MemoryStore = require('../src/memory-store');
+
+describe('MemoryStore', function() {
+  it('stores and retrieves entries', async function() {
+    const store = new MemoryStore();
+
+    await store.set('a', { html: 'A' });
+
+    expect(await store.get('a')).to.deep.equal({ html: 'A' });
+    expect(await store.get('b')).to.be.undefined;
+  });
+
+  it('expires entries after their ttl', async function() {
+    const store = new MemoryStore();
+
+    await store.set('a', 'A', 10);
+    expect(await store.get('a')).to.equal('A');
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(await store.get('a')).to.be.undefined;
+    expect(store.size).to.equal(0);
+  });
+
+  it('evicts the least recently used entry', async function() {
+    const store = new MemoryStore({ max: 2 });
+
+    await store.set('a', 'A');
+    await store.set('b', 'B');
+    await store.get('a');
+    await store.set('c', 'C');
+
+    expect(await store.get('a')).to.equal('A');
+    expect(await store.get('b')).to.be.undefined;
+    expect(await store.get('c')).to.equal('C');
+  });
+
+  it('deletes and clears entries', async function() {
+    const store = new MemoryStore();
+
+    await store.set('a', 'A');
+    await store.set('b', 'B');
+    await store.delete('a');
+
+    expect(await store.get('a')).to.be.undefined;
+    expect(store.size).to.equal(1);
+
+    await store.clear();
+
+    expect(store.size).to.equal(0);
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const expect = require('chai').expect;
+const http = require('http');
+const fixture = require('./helpers/fixture-path');
+const FastBootHeaders = require('../src/fastboot-headers');
+const powerbootMiddleware = require('../src/middleware');
+
+describe('powerbootMiddleware', function() {
+  let server, visits;
+
+  function fakePowerBoot(visit) {
+    visits = [];
+    return {
+      config: { distPath: fixture('basic-app') },
+      visit(path, options) {
+        visits.push({ path, options });
+        return visit(path, options);
+      }
+    };
+  }
+
+  function fakeResult(options) {
+    const headers = new FastBootHeaders(options.headers);
+    return {
+      statusCode: options.statusCode || 200,
+      headers,
+      error: options.error,
+      html: async () => options.html || '<html><body>rendered</body></html>',
+      chunks: async () => options.chunks || [ '<html><head></head>', '<body>rendered</body></html>' ]
+    };
+  }
+
+  function serve(middleware) {
+    return new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        middleware(req, res, error => {
+          res.statusCode = error ? res.statusCode : 404;
+          res.end(error ? `next(${error.message})` : 'next()');
+        });
+      });
+      server.listen(0, '127.0.0.1', resolve);
+    });
+  }
+
+  function get(path) {
+    return new Promise((resolve, reject) => {
+      const { port } = server.address();
+      http.get({ host: '127.0.0.1', port, path }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      }).on('error', reject);
+    });
+  }
+
+  afterEach(function(done) {
+    if (!server) return done();
+    server.close(() => done());
+    server = null;
+  });
+
+  it('passes the request and response to visit()', async function() {
+    const powerboot = fakePowerBoot(async () => fakeResult({}));
+    await serve(powerbootMiddleware({ powerboot, visitOptions: { shouldRender: false } }));
+
+    await get('/photos?page=2');
+
+    expect(visits).to.have.lengthOf(1);
+    expect(visits[0].path).to.equal('/photos?page=2');
+    expect(visits[0].options.request).to.be.an.instanceOf(http.IncomingMessage);
+    expect(visits[0].options.response).to.be.an.instanceOf(http.ServerResponse);
+    expect(visits[0].options.shouldRender).to.equal(false);
+  });
+
+  it('writes the status code, headers and HTML of the result', async function() {
+    const powerboot = fakePowerBoot(async () => fakeResult({
+      statusCode: 418,
+      headers: { 'X-Teapot': 'yes', 'Set-Cookie': [ 'foo=bar', 'baz=qux' ] }
+    }));
+    await serve(powerbootMiddleware({ powerboot }));
+
+    const res = await get('/');
+
+    expect(res.statusCode).to.equal(418);
+    expect(res.headers['x-teapot']).to.equal('yes');
+    expect(res.headers['set-cookie']).to.deep.equal([ 'foo=bar', 'baz=qux' ]);
+    expect(res.headers['content-type']).to.equal('text/html; charset=utf-8');
+    expect(res.body).to.equal('<html><body>rendered</body></html>');
+  });
+
+  it('keeps the content type set by the app', async function() {
+    const powerboot = fakePowerBoot(async () => fakeResult({
+      headers: { 'Content-Type': 'application/xhtml+xml' }
+    }));
+    await serve(powerbootMiddleware({ powerboot }));
+
+    const res = await get('/');
+
+    expect(res.headers['content-type']).to.equal('application/xhtml+xml');
+  });
+
+  it('sends redirects with their location', async function() {
+    const powerboot = fakePowerBoot(async () => fakeResult({
+      statusCode: 307,
+      headers: { location: '/login' },
+      html: '<html><head></head><body><h1>Redirecting to <a href="/login">/login</a></h1></body></html>'
+    }));
+    await serve(powerbootMiddleware({ powerboot, chunkedResponse: true }));
+
+    const res = await get('/account');
+
+    expect(res.statusCode).to.equal(307);
+    expect(res.headers.location).to.equal('/login');
+    expect(res.body).to.match(/Redirecting to/);
+  });
+
+  it('writes the result in chunks when chunkedResponse is set', async function() {
+    const powerboot = fakePowerBoot(async () => fakeResult({
+      chunks: [ '<html><head></head>', '<body>chunked', '</body></html>' ]
+    }));
+    await serve(powerbootMiddleware({ powerboot, chunkedResponse: true }));
+
+    const res = await get('/');
+
+    expect(res.headers['transfer-encoding']).to.equal('chunked');
+    expect(res.body).to.equal('<html><head></head><body>chunked</body></html>');
+  });
+
+  it('calls next() for URLs the app does not recognize', async function() {
+    const powerboot = fakePowerBoot(async () => {
+      throw new Error('Evaluation failed: UnrecognizedURLError: /nope');
+    });
+    await serve(powerbootMiddleware({ powerboot }));
+
+    const res = await get('/nope');
+
+    expect(res.statusCode).to.equal(404);
+    expect(res.body).to.equal('next()');
+  });
+
+  it('calls next(err) when rendering fails', async function() {
+    const powerboot = fakePowerBoot(async () => {
+      throw new Error('boom');
+    });
+    await serve(powerbootMiddleware({ powerboot }));
+
+    const res = await get('/');
+
+    expect(res.statusCode).to.equal(500);
+    expect(res.body).to.equal('next(boom)');
+  });
+
+  it('sends the plain index.html when rendering fails and fallbackToIndex is set', async function() {
+    const powerboot = fakePowerBoot(async () => {
+      throw new Error('boom');
+    });
+    await serve(powerbootMiddleware({ powerboot, fallbackToIndex: true }));
+
+    const res = await get('/');
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.headers['content-type']).to.match(/text\/html/);
+    expect(res.body).to.match(/EMBER_CLI_FASTBOOT_BODY/);
+  });
+});
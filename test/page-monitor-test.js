@@ -0,0 +1,139 @@
+'use strict';
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const PageMonitor = require('../src/page-monitor');
+
+describe('PageMonitor', function() {
+  let page, monitor;
+
+  beforeEach(function() {
+    page = new EventEmitter();
+    monitor = new PageMonitor(page);
+  });
+
+  function consoleMessage(type, text) {
+    return {
+      type: () => type,
+      text: () => text,
+      location: () => ({ url: 'http://127.0.0.1/assets/app.js', lineNumber: 1, columnNumber: 2 })
+    };
+  }
+
+  function request(url, failure) {
+    return {
+      url: () => url,
+      method: () => 'GET',
+      resourceType: () => 'fetch',
+      failure: () => failure
+    };
+  }
+
+  function response(url, status) {
+    return {
+      url: () => url,
+      status: () => status,
+      request: () => request(url)
+    };
+  }
+
+  it('collects console messages', function() {
+    monitor.start();
+    page.emit('console', consoleMessage('warning', 'careful'));
+
+    expect(monitor.consoleMessages).to.deep.equal([{
+      type: 'warning',
+      text: 'careful',
+      location: { url: 'http://127.0.0.1/assets/app.js', lineNumber: 1, columnNumber: 2 }
+    }]);
+  });
+
+  it('collects page errors', function() {
+    const error = new Error('boom');
+
+    monitor.start();
+    page.emit('pageerror', error);
+
+    expect(monitor.pageErrors).to.deep.equal([ error ]);
+  });
+
+  it('collects failed requests and error responses', function() {
+    monitor.start();
+    page.emit('requestfailed', request('http://127.0.0.1/api/posts', { errorText: 'net::ERR_FAILED' }));
+    page.emit('response', response('http://127.0.0.1/api/comments', 500));
+    page.emit('response', response('http://127.0.0.1/api/users', 200));
+
+    expect(monitor.failedRequests).to.deep.equal([
+      { url: 'http://127.0.0.1/api/posts', method: 'GET', resourceType: 'fetch', errorText: 'net::ERR_FAILED' },
+      { url: 'http://127.0.0.1/api/comments', method: 'GET', resourceType: 'fetch', status: 500 }
+    ]);
+  });
+
+  it('leaves out requests blocked by request rules', function() {
+    monitor.start();
+    page.emit('requestfailed', request('https://www.google-analytics.com/analytics.js', { errorText: 'net::ERR_BLOCKED_BY_CLIENT' }));
+
+    expect(monitor.failedRequests).to.deep.equal([]);
+  });
+
+  it('only collects activity between start() and stop()', function() {
+    page.emit('console', consoleMessage('log', 'before'));
+    monitor.start();
+    page.emit('console', consoleMessage('log', 'during'));
+    monitor.stop();
+    page.emit('console', consoleMessage('log', 'after'));
+
+    expect(monitor.consoleMessages.map(message => message.text)).to.deep.equal(['during']);
+    expect(page.listenerCount('console')).to.equal(0);
+  });
+
+  it('starts each visit with empty collections', function() {
+    monitor.start();
+    page.emit('console', consoleMessage('log', 'first visit'));
+    monitor.stop();
+    monitor.start();
+
+    expect(monitor.consoleMessages).to.be.empty;
+  });
+
+  it('copies the collected activity onto a result', function() {
+    const result = {};
+
+    monitor.start();
+    page.emit('console', consoleMessage('log', 'hello'));
+    monitor.stop();
+    monitor.applyTo(result);
+
+    expect(result.consoleMessages).to.have.lengthOf(1);
+    expect(result.pageErrors).to.deep.equal([]);
+    expect(result.failedRequests).to.deep.equal([]);
+  });
+
+  it('forwards console messages to a logger', function() {
+    const logged = [];
+    const consoleLogger = {
+      info: text => logged.push(['info', text]),
+      warn: text => logged.push(['warn', text]),
+      log: text => logged.push(['log', text])
+    };
+
+    monitor.start({ consoleLogger });
+    page.emit('console', consoleMessage('log', 'one'));
+    page.emit('console', consoleMessage('warning', 'two'));
+    page.emit('console', consoleMessage('error', 'three'));
+
+    expect(logged).to.deep.equal([['info', 'one'], ['warn', 'two'], ['log', 'three']]);
+  });
+
+  it('accepts custom console levels', function() {
+    const logged = [];
+    const consoleLogger = {
+      debug: text => logged.push(['debug', text])
+    };
+
+    monitor.start({ consoleLogger, consoleLevels: { log: 'debug' } });
+    page.emit('console', consoleMessage('log', 'one'));
+
+    expect(logged).to.deep.equal([['debug', 'one']]);
+  });
+});
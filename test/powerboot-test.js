@@ -3,6 +3,7 @@
 const expect = require('chai').expect;
 const fs = require('fs');
 const path = require('path');
+const temp = require('temp').track();
 const fixture = require('./helpers/fixture-path');
 const PowerBoot = require('../src/index');
 
@@ -23,6 +24,51 @@ describe("PowerBoot", function() {
     expect(fn).to.throw(/You must provide PowerBoot with a distPath option/);
   });
 
+  it("throws an exception if minInstances is greater than maxInstances", function() {
+    var fn = function() {
+      powerboot = new PowerBoot({
+        distPath: fixture('basic-app'),
+        minInstances: 3,
+        maxInstances: 2
+      });
+      return powerboot;
+    };
+    expect(fn).to.throw(/The `minInstances` option must be between 0 and `maxInstances`/);
+  });
+
+  it("throws an exception if the isolation option is unknown", function() {
+    var fn = function() {
+      powerboot = new PowerBoot({
+        distPath: fixture('basic-app'),
+        isolation: 'page'
+      });
+      return powerboot;
+    };
+    expect(fn).to.throw(/The `isolation` option must be one of `none`, `instance` or `visit`/);
+  });
+
+  it("isolates app instances by default when the pool holds more than one", function() {
+    powerboot = new PowerBoot({ distPath: fixture('basic-app') });
+    expect(powerboot._isolation()).to.equal('none');
+
+    powerboot = new PowerBoot({ distPath: fixture('basic-app'), maxInstances: 2 });
+    expect(powerboot._isolation()).to.equal('instance');
+
+    powerboot = new PowerBoot({ distPath: fixture('basic-app'), maxInstances: 2, isolation: 'none' });
+    expect(powerboot._isolation()).to.equal('none');
+  });
+
+  it("throws an exception if the waitFor option is unknown", function() {
+    var fn = function() {
+      powerboot = new PowerBoot({
+        distPath: fixture('basic-app'),
+        waitFor: 'idle'
+      });
+      return powerboot;
+    };
+    expect(fn).to.throw(/The `waitFor` option must be either `visit` or `settled`/);
+  });
+
   it("throws an exception if no package.json exists in the provided distPath", function() {
     var distPath = fixture('no-package-json');
     var fn = function() {
@@ -83,6 +129,32 @@ describe("PowerBoot", function() {
       });
   });
 
+  it("can render HTML with the app files loaded through script tags", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('multiple-app-files'),
+      useScriptTags: true
+    });
+
+    const result = await powerboot.visit('/');
+    const html = await result.html();
+
+    expect(html).to.match(/Welcome to Ember/);
+    expect(html).to.not.match(/assets\/vendor\.js/);
+  });
+
+  it("evaluates the app files once per instance rather than on every visit", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app')
+    });
+
+    const first = await powerboot.visit('/');
+    await first._page.evaluate(() => window.requirejs.__evaluatedOnce = true);
+
+    const second = await powerboot.visit('/');
+    expect(await second.html()).to.match(/Welcome to Ember/);
+    expect(await second._page.evaluate(() => window.requirejs.__evaluatedOnce)).to.equal(true);
+  });
+
   it("cannot not render app HTML with shouldRender set as false", function() {
     powerboot = new PowerBoot({
       distPath: fixture('basic-app')
@@ -133,6 +205,46 @@ describe("PowerBoot", function() {
       });
   });
 
+  it("collects the console messages logged during the visit", async function() {
+    const logged = [];
+    powerboot = new PowerBoot({
+      distPath: fixture('app-with-console-log'),
+      consoleLogger: { info: message => logged.push(message) }
+    });
+
+    const result = await powerboot.visit('/');
+    const messages = result.consoleMessages.map(message => message.text);
+
+    expect(messages).to.include('The files are *in* the computer?');
+    expect(logged).to.include('The files are *in* the computer?');
+    expect(result.pageErrors).to.deep.equal([]);
+  });
+
+  it("reports that the render completed once the route was visited", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app')
+    });
+
+    const result = await powerboot.visit('/');
+
+    expect(result.completion).to.deep.equal({ strategy: 'visit', waitedMs: 0, timedOut: false, pending: null });
+  });
+
+  it("waits for the app to settle with waitFor set to settled", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      waitFor: 'settled',
+      settledTimeoutMs: 2000
+    });
+
+    const result = await powerboot.visit('/');
+
+    expect(result.completion.strategy).to.equal('settled');
+    expect(result.completion.timedOut).to.equal(false);
+    expect(result.completion.waitedMs).to.be.below(2000);
+    expect(await result.html()).to.match(/Welcome to Ember/);
+  });
+
   it("can forcefully destroy the app instance using destroyAppInstanceInMs", async function() {
     powerboot = new PowerBoot({
       distPath: fixture('basic-app')
@@ -147,6 +259,21 @@ describe("PowerBoot", function() {
     }
   });
 
+  it("initializes the app again after forcefully destroying the app instance", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      resilient: true
+    });
+
+    const destroyed = await powerboot.visit('/', { destroyAppInstanceInMs: 5 });
+    expect(destroyed.error.message).to.equal('App instance was forcefully destroyed in 5ms');
+
+    const result = await powerboot.visit('/', { deterministic: { now: '2020-01-01T00:00:00Z' } });
+    expect(result.error).to.equal(undefined);
+    expect(await result.html()).to.match(/Welcome to Ember/);
+    expect(await result._page.evaluate(() => Date.now())).to.equal(Date.parse('2020-01-01T00:00:00Z'));
+  });
+
   it("can render HTML when sandboxGlobals is provided", function() {
     powerboot = new PowerBoot({
       distPath: fixture('custom-sandbox'),
@@ -165,6 +292,207 @@ describe("PowerBoot", function() {
       });
   });
 
+  it("serializes open shadow roots as declarative shadow roots", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      serializeShadowRoots: true
+    });
+
+    const indexHTML = fs.readFileSync(path.join(fixture('basic-app'), 'index.html'), 'utf8');
+    const html = indexHTML.replace('</head>', `<script>
+      customElements.define('x-greeting', class extends HTMLElement {
+        constructor() {
+          super();
+          const root = this.attachShadow({ mode: 'open' });
+          const sheet = new CSSStyleSheet();
+          sheet.replaceSync('b { color: red; }');
+          root.adoptedStyleSheets = [ sheet ];
+          root.innerHTML = '<b>Hello</b> <slot></slot>';
+        }
+      });
+    </script></head>`).replace('<body>', '<body><x-greeting>world</x-greeting>');
+
+    const result = await powerboot.visit('/', { html });
+
+    expect(await result.html()).to.include(
+      '<x-greeting><template shadowrootmode="open"><style>b { color: red; }</style><b>Hello</b> <slot></slot></template>world</x-greeting>'
+    );
+    expect(result.domContents().body).to.include('<template shadowrootmode="open">');
+  });
+
+  it("emulates a device while rendering", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app')
+    });
+
+    const mobile = await powerboot.visit('/', { emulate: 'iPhone X' });
+    expect(mobile.emulation.device).to.equal('iPhone X');
+    expect(await mobile._page.evaluate(() => [ window.innerWidth, navigator.userAgent ])).to.deep.equal([
+      375, mobile.emulation.userAgent
+    ]);
+    expect(await mobile.html()).to.match(/Welcome to Ember/);
+
+    const desktop = await powerboot.visit('/');
+    expect(desktop.emulation).to.equal(null);
+    expect(await desktop._page.evaluate(() => window.matchMedia('(pointer: coarse)').matches)).to.equal(false);
+    expect(await desktop.html()).to.match(/Welcome to Ember/);
+  });
+
+  it("emulates the languages and media features of the request", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app')
+    });
+
+    const result = await powerboot.visit('/', {
+      request: {
+        protocol: 'http',
+        url: '/',
+        method: 'GET',
+        headers: {
+          'accept-language': 'ja-JP, ja;q=0.9, en;q=0.5',
+          'sec-ch-prefers-color-scheme': '"dark"'
+        }
+      }
+    });
+
+    // Browsers older than Chromium 80 can't emulate media features, so the
+    // client hint is left out rather than failing the visit.
+    const isDark = result.preferences.colorScheme === 'dark';
+    expect(result.preferences.languages).to.deep.equal([ 'ja-JP', 'ja', 'en' ]);
+    expect(await result._page.evaluate(() => [
+      navigator.language,
+      navigator.languages,
+      window.matchMedia('(prefers-color-scheme: dark)').matches
+    ])).to.deep.equal([ 'ja-JP', [ 'ja-JP', 'ja', 'en' ], isDark ]);
+
+    const next = await powerboot.visit('/');
+    expect(next.preferences).to.equal(null);
+    expect(await next._page.evaluate(() => [
+      navigator.languages.indexOf('ja-JP'),
+      window.matchMedia('(prefers-color-scheme: dark)').matches
+    ])).to.deep.equal([ -1, false ]);
+  });
+
+  it("maps the outcome of the visit to a status code", async function() {
+    const outcomes = [];
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      mapStatus(outcome, statusCode) {
+        outcomes.push([ outcome, statusCode ]);
+        return outcome.routeName === 'index' ? 203 : undefined;
+      }
+    });
+
+    const result = await powerboot.visit('/');
+    expect(result.statusCode).to.equal(203);
+    expect(result.headers.has('location')).to.equal(false);
+    expect(outcomes).to.have.length(1);
+    expect(outcomes[0][0]).to.include({ path: '/', url: '/', routeName: 'index', error: null, redirect: null });
+    expect(outcomes[0][1]).to.equal(null);
+
+    const unmapped = await powerboot.visit('/', { mapStatus: false });
+    expect(unmapped.statusCode).to.equal(200);
+  });
+
+  it("captures a screenshot and a PDF during the visit", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app')
+    });
+
+    const result = await powerboot.visit('/', { capture: [ 'screenshot', 'pdf' ] });
+
+    const screenshot = await result.screenshot();
+    expect(screenshot.slice(1, 4).toString()).to.equal('PNG');
+    expect((await result.pdf()).slice(0, 4).toString()).to.equal('%PDF');
+
+    let error;
+    try {
+      await result.screenshot({ fullPage: true });
+    } catch(e) {
+      error = e;
+    }
+    expect(error.message).to.match(/retain: true/);
+  });
+
+  it("releases retained instances that are not released within retainTimeoutMs", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      maxInstances: 1,
+      retainTimeoutMs: 100
+    });
+
+    const forgotten = await powerboot.visit('/', { retain: true });
+    const next = await powerboot.visit('/');
+
+    expect(await next.html()).to.match(/Welcome to Ember/);
+    let error;
+    try {
+      await forgotten.screenshot({ type: 'jpeg' });
+    } catch(e) {
+      error = e;
+    }
+    expect(error.message).to.match(/retain: true/);
+  });
+
+  it("keeps retained instances out of the pool until they are released", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      maxInstances: 1
+    });
+
+    const result = await powerboot.visit('/', { retain: true });
+    let isNextVisitDone = false;
+    const next = powerboot.visit('/').then(nextResult => {
+      isNextVisitDone = true;
+      return nextResult;
+    });
+
+    const screenshot = await result.screenshot({ type: 'jpeg', selector: 'body' });
+    expect(screenshot[0]).to.equal(0xFF);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(isNextVisitDone).to.equal(false);
+
+    await result.release();
+    expect(await (await next).html()).to.match(/Welcome to Ember/);
+  });
+
+  it("exposes the routing information of the visit", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app')
+    });
+
+    const result = await powerboot.visit('/?utm_source=test');
+
+    expect(result.url).to.equal('/?utm_source=test');
+    expect(result.routing.routeName).to.equal('index');
+    expect(result.routing.routes.map(route => route.name)).to.deep.equal([ 'application', 'index' ]);
+    expect(result.routing.transitions).to.deep.equal([
+      { targetName: 'index', url: '/?utm_source=test', redirect: false, status: 'completed' }
+    ]);
+  });
+
+  it("renders the same clock and random numbers in deterministic mode", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      deterministic: { now: '2020-01-01T00:00:00Z', seed: 'powerboot' }
+    });
+
+    const read = result => result._page.evaluate(() => [ Date.now(), new Date().toISOString(), Math.random() ]);
+
+    const first = await powerboot.visit('/');
+    const values = await read(first);
+    expect(values.slice(0, 2)).to.deep.equal([ 1577836800000, '2020-01-01T00:00:00.000Z' ]);
+    expect(first.deterministic).to.deep.equal({ now: 1577836800000, seed: 'powerboot', fastForward: 0 });
+
+    const second = await powerboot.visit('/');
+    expect(await read(second)).to.deep.equal(values);
+    expect(await second.html()).to.equal(await first.html());
+
+    const next = await powerboot.visit('/', { deterministic: false });
+    expect(next.deterministic).to.equal(null);
+    expect(await next._page.evaluate(() => Date.now())).to.not.equal(1577836800000);
+  });
+
   it("rejects the promise if an error occurs", function() {
     powerboot = new PowerBoot({
       distPath: fixture('rejected-promise')
@@ -221,6 +549,75 @@ describe("PowerBoot", function() {
     expect(html).to.match(/Goodbye from Ember/);
   });
 
+  it("can render concurrently with a pool of instances", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      maxInstances: 2
+    });
+
+    const results = await Promise.all([
+      powerboot.visit('/'),
+      powerboot.visit('/')
+    ]);
+
+    expect(results[0]._page).to.not.equal(results[1]._page);
+    for (const result of results) {
+      expect(await result.html()).to.match(/Welcome to Ember/);
+    }
+  });
+
+  it("renders each visit in its own incognito context with visit isolation", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      isolation: 'visit'
+    });
+
+    const first = await powerboot.visit('/');
+    const second = await powerboot.visit('/');
+
+    expect(first._page).to.not.equal(second._page);
+    expect(first._page.isClosed()).to.equal(true);
+    expect(first._page.browserContext().isIncognito()).to.equal(true);
+    expect(await second.html()).to.match(/Welcome to Ember/);
+  });
+
+  it("reuses app instances in their own incognito contexts with instance isolation", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      isolation: 'instance'
+    });
+
+    const first = await powerboot.visit('/');
+    const second = await powerboot.visit('/');
+
+    expect(first._page).to.equal(second._page);
+    expect(first._page.browserContext().isIncognito()).to.equal(true);
+    expect(await second.html()).to.match(/Welcome to Ember/);
+  });
+
+  it("keeps the storage and cookies of concurrent visits apart", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      maxInstances: 2
+    });
+
+    const [ first, second ] = await Promise.all([
+      powerboot.visit('/', { retain: true }),
+      powerboot.visit('/', { retain: true })
+    ]);
+
+    expect(first._page).to.not.equal(second._page);
+    await first._page.evaluate(() => {
+      localStorage.setItem('user', 'first');
+      document.cookie = 'user=first';
+    });
+    expect(await second._page.evaluate(() => localStorage.getItem('user'))).to.equal(null);
+    expect(await second._page.evaluate(() => document.cookie)).to.not.contain('user=first');
+
+    await first.release();
+    await second.release();
+  });
+
   it("can reload the app using the same sandboxGlobals", function() {
     powerboot = new PowerBoot({
       distPath: fixture('basic-app'),
@@ -375,4 +772,144 @@ describe("PowerBoot", function() {
       });
   });
 
+  it("sends the cookies set while rendering as Set-Cookie headers", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('app-with-cookies')
+    });
+
+    const result = await powerboot.visit('/', {
+      request: {
+        headers: {
+          'Cookie': 'foo=bar; theme=dark'
+        }
+      }
+    });
+
+    expect(await result._page.evaluate(() => document.cookie)).to.equal('foo=bar; theme=dark');
+    expect(result.headers.getAll('set-cookie')).to.deep.equal([]);
+
+    await result._page.evaluate(() => {
+      document.cookie = 'theme=light; path=/; max-age=60';
+      document.cookie = 'foo=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+    });
+    expect(await result._page.evaluate(() => window.__powerbootCookies.changes().written.length)).to.equal(2);
+
+    const next = await powerboot.visit('/');
+    expect(await next._page.evaluate(() => document.cookie)).to.equal('');
+  });
+
+  it("inlines the critical CSS of a route and caches it", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      criticalCSS: true
+    });
+
+    const result = await powerboot.visit('/');
+    const html = await result.html();
+    const css = html.match(/<style data-critical-css="">([\s\S]*?)<\/style>/)[1];
+
+    expect(css).to.contain('#title {\n  font-family: "Title Font", serif;\n}');
+    expect(css).to.contain('@media (min-width: 1px){');
+    expect(css).to.contain('url(/assets/fonts/title.woff2)');
+    expect(css).to.not.contain('Unused Font');
+    expect(css).to.not.contain('@media print');
+    expect(css).to.not.contain('.missing');
+    expect(html).to.match(/<link rel="stylesheet" href="assets\/fastboot-test.css" media="print" onload="this.onload=null;this.media='all'">/);
+    expect(html).to.contain('<noscript><link rel="stylesheet" href="assets/fastboot-test.css"></noscript>');
+    expect(result.criticalCSS).to.include({ cached: false, length: css.length });
+
+    expect(await result._page.evaluate(() => document.querySelector('style[data-critical-css]'))).to.equal(null);
+
+    const next = await powerboot.visit('/');
+    expect(next.criticalCSS).to.include({ key: result.criticalCSS.key, cached: true });
+    expect(await next.html()).to.contain(css);
+
+    const plain = await powerboot.visit('/', { criticalCSS: false });
+    expect(await plain.html()).to.not.contain('data-critical-css');
+    expect(plain.criticalCSS).to.equal(null);
+  });
+
+  it("blocks and stubs third-party requests with request rules", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      requestRules: [
+        { action: 'block', domain: 'tracker.invalid' },
+        { action: 'stub', url: 'https://widgets.invalid/', response: { contentType: 'application/javascript', body: 'window.widgetLoaded = true;' } }
+      ]
+    });
+
+    const html = fs.readFileSync(path.join(fixture('basic-app'), 'index.html'), 'utf8').replace('</head>', [
+      '<script src="https://tracker.invalid/track.js"></script>',
+      '<script src="https://widgets.invalid/chat.js"></script>',
+      '</head>'
+    ].join(''));
+
+    const result = await powerboot.visit('/', { html });
+
+    expect(await result.html()).to.match(/Welcome to Ember/);
+    expect(result.blockedRequests).to.deep.equal([
+      { url: 'https://tracker.invalid/track.js', method: 'GET', resourceType: 'script', action: 'block' },
+      { url: 'https://widgets.invalid/chat.js', method: 'GET', resourceType: 'script', action: 'stub' }
+    ]);
+    expect(result.failedRequests.map(request => request.url)).to.not.include('https://tracker.invalid/track.js');
+    expect(await result._page.evaluate(() => window.widgetLoaded)).to.equal(true);
+
+    const unblocked = await powerboot.visit('/', { html, requestRules: [] });
+    expect(unblocked.blockedRequests).to.deep.equal([]);
+  });
+
+  it("records network traffic to a HAR file and replays it", async function() {
+    const file = path.join(temp.mkdirSync('powerboot-har'), 'basic-app.har');
+    const html = fs.readFileSync(path.join(fixture('basic-app'), 'index.html'), 'utf8')
+      .replace('</head>', '<script src="https://widgets.invalid/chat.js"></script></head>');
+
+    powerboot = new PowerBoot({ distPath: fixture('basic-app') });
+
+    await powerboot.visit('/', {
+      html,
+      har: { mode: 'record', path: file },
+      requestRules: [
+        { action: 'stub', url: 'https://widgets.invalid/', response: { contentType: 'application/javascript', body: 'window.widgetLoaded = true;' } }
+      ]
+    });
+
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8')).log.entries;
+    expect(entries.map(entry => entry.request.url)).to.include('https://widgets.invalid/chat.js');
+    expect(entries.map(entry => entry.request.url)).to.include('http://powerboot.invalid/assets/fastboot-test.css');
+
+    const result = await powerboot.visit('/', { html, har: { mode: 'replay', path: file } });
+    expect(await result.html()).to.match(/Welcome to Ember/);
+    expect(await result._page.evaluate(() => window.widgetLoaded)).to.equal(true);
+
+    temp.cleanupSync();
+  });
+
+  it("adds preload tags and a Link header for the resources loaded while rendering", async function() {
+    powerboot = new PowerBoot({
+      distPath: fixture('basic-app'),
+      resourceHints: true
+    });
+
+    const result = await powerboot.visit('/');
+    const html = await result.html();
+
+    expect(result.resourceHints.map(hint => hint.url)).to.have.members([
+      '/assets/fastboot-test.css',
+      '/assets/vendor.js',
+      '/assets/fastboot-test.js'
+    ]);
+    const link = result.headers.get('link');
+    expect(link).to.contain('</assets/fastboot-test.css>; rel=preload; as=style');
+    expect(link).to.contain('</assets/vendor.js>; rel=preload; as=script');
+    expect(link).to.contain('</assets/fastboot-test.js>; rel=preload; as=script');
+    expect(html).to.contain('<link rel="preload" href="/assets/vendor.js" as="script">');
+    expect(html).to.contain('<link rel="preload" href="/assets/fastboot-test.js" as="script">');
+    expect(html).to.not.contain('href="/assets/fastboot-test.css" as="style"');
+
+    const withoutTags = await powerboot.visit('/', { resourceHints: { preload: false, types: ['script'] } });
+    expect(await withoutTags.html()).to.not.contain('rel="preload"');
+    expect(withoutTags.resourceHints.map(hint => hint.as)).to.deep.equal([ 'script', 'script' ]);
+    expect(withoutTags.headers.get('link')).to.contain('</assets/vendor.js>; rel=preload; as=script');
+  });
+
 });
@@ -0,0 +1,175 @@
+'use strict';
+
+const expect = require('chai').expect;
+const FastBootRequest = require('../src/fastboot-request');
+const { PreferenceEmulator, resolvePreferences, parseAcceptLanguage } = require('../src/preference-emulation');
+
+function request(headers) {
+  return new FastBootRequest({ protocol: 'http', headers, url: '/', method: 'GET' });
+}
+
+describe('parseAcceptLanguage', function() {
+  it('orders languages by quality', function() {
+    expect(parseAcceptLanguage('fr;q=0.8, en-US, en;q=0.9, de')).to.deep.equal([ 'en-US', 'de', 'en', 'fr' ]);
+  });
+
+  it('drops wildcards and unacceptable languages', function() {
+    expect(parseAcceptLanguage('nl, *;q=0.5, es;q=0')).to.deep.equal([ 'nl' ]);
+  });
+
+  it('returns null for empty headers', function() {
+    expect(parseAcceptLanguage(undefined)).to.equal(null);
+    expect(parseAcceptLanguage('*')).to.equal(null);
+  });
+});
+
+describe('resolvePreferences', function() {
+  it('returns null when there is nothing to emulate', function() {
+    expect(resolvePreferences({})).to.equal(null);
+    expect(resolvePreferences({}, request({}))).to.equal(null);
+  });
+
+  it('takes preferences from the request headers', function() {
+    expect(resolvePreferences({}, request({
+      'accept-language': 'de-CH, de;q=0.9',
+      'sec-ch-prefers-color-scheme': '"dark"',
+      'sec-ch-prefers-reduced-motion': '"reduce"'
+    }))).to.deep.equal({
+      timezone: null,
+      languages: [ 'de-CH', 'de' ],
+      colorScheme: 'dark',
+      reducedMotion: 'reduce'
+    });
+  });
+
+  it('ignores unexpected client hint values', function() {
+    expect(resolvePreferences({}, request({ 'sec-ch-prefers-color-scheme': '"sepia"' }))).to.equal(null);
+  });
+
+  it('prefers the options over the request headers', function() {
+    expect(resolvePreferences({
+      timezone: 'Asia/Tokyo',
+      languages: 'ja',
+      colorScheme: 'light'
+    }, request({ 'accept-language': 'en', 'sec-ch-prefers-color-scheme': '"dark"' }))).to.deep.equal({
+      timezone: 'Asia/Tokyo',
+      languages: [ 'ja' ],
+      colorScheme: 'light',
+      reducedMotion: null
+    });
+  });
+
+  it('does not take preferences from the request when they are set to false', function() {
+    expect(resolvePreferences({ languages: false }, request({ 'accept-language': 'en' }))).to.equal(null);
+  });
+
+  it('throws on invalid media features', function() {
+    expect(() => resolvePreferences({ colorScheme: 'sepia' })).to.throw(/The `colorScheme` option must be one of `light`, `dark`, `no-preference`/);
+    expect(() => resolvePreferences({ reducedMotion: 'some' })).to.throw(/The `reducedMotion` option must be one of `reduce`, `no-preference`/);
+  });
+});
+
+describe('PreferenceEmulator', function() {
+  let page, sent, evaluated, version;
+
+  beforeEach(function() {
+    sent = [];
+    evaluated = [];
+    version = 'HeadlessChrome/80.0.3987.0';
+    page = {
+      browser: () => ({ version: async () => version }),
+      target: () => ({
+        createCDPSession: async () => ({
+          send: async (method, params) => sent.push([ method, params ])
+        })
+      }),
+      evaluate: async (fn, languages) => evaluated.push(languages)
+    };
+  });
+
+  it('emulates the timezone, media features and languages', async function() {
+    const emulator = new PreferenceEmulator(page);
+
+    expect(await emulator.emulate({ timezone: 'Europe/Paris', languages: [ 'fr' ], colorScheme: 'dark', reducedMotion: 'reduce' })).to.deep.equal({
+      timezone: 'Europe/Paris',
+      languages: [ 'fr' ],
+      colorScheme: 'dark',
+      reducedMotion: 'reduce'
+    });
+
+    expect(sent).to.deep.equal([
+      [ 'Emulation.setTimezoneOverride', { timezoneId: 'Europe/Paris' } ],
+      [ 'Emulation.setEmulatedMedia', {
+        media: '',
+        features: [
+          { name: 'prefers-color-scheme', value: 'dark' },
+          { name: 'prefers-reduced-motion', value: 'reduce' }
+        ]
+      } ]
+    ]);
+    expect(evaluated).to.deep.equal([ [ 'fr' ] ]);
+  });
+
+  it('does not emulate anything through the protocol without preferences', async function() {
+    const emulator = new PreferenceEmulator(page);
+
+    expect(await emulator.emulate(null)).to.equal(null);
+
+    expect(sent).to.deep.equal([]);
+    expect(evaluated).to.deep.equal([ null ]);
+  });
+
+  it('resets the preferences for the next visit', async function() {
+    const emulator = new PreferenceEmulator(page);
+    await emulator.emulate({ timezone: 'Europe/Paris', languages: [ 'fr' ], colorScheme: 'dark', reducedMotion: null });
+    sent = [];
+    evaluated = [];
+
+    await emulator.emulate(null);
+
+    expect(sent).to.deep.equal([
+      [ 'Emulation.setTimezoneOverride', { timezoneId: '' } ],
+      [ 'Emulation.setEmulatedMedia', { media: '', features: [] } ]
+    ]);
+    expect(evaluated).to.deep.equal([ null ]);
+  });
+
+  it('rejects when Chromium is too old to emulate the timezone or media features set in the options', async function() {
+    version = 'HeadlessChrome/75.0.3765.0';
+    const emulator = new PreferenceEmulator(page);
+
+    let error = await emulator.emulate({ timezone: 'Europe/Paris', languages: null, colorScheme: null, reducedMotion: null }, { timezone: 'Europe/Paris' }).catch(error => error);
+    expect(error.message).to.equal('Emulating the `timezone` option needs Chromium 80 or later, but the browser is HeadlessChrome/75.0.3765.0.');
+
+    error = await emulator.emulate({ timezone: null, languages: null, colorScheme: 'dark', reducedMotion: null }, { colorScheme: 'dark' }).catch(error => error);
+    expect(error.message).to.match(/^Emulating the `colorScheme` and `reducedMotion` options needs Chromium 80 or later/);
+    expect(sent).to.deep.equal([]);
+  });
+
+  it('leaves out the media features of the request when Chromium is too old to emulate them', async function() {
+    version = 'HeadlessChrome/75.0.3765.0';
+    const emulator = new PreferenceEmulator(page);
+
+    expect(await emulator.emulate({ timezone: null, languages: [ 'fr' ], colorScheme: 'dark', reducedMotion: 'reduce' }, {})).to.deep.equal({
+      timezone: null,
+      languages: [ 'fr' ],
+      colorScheme: null,
+      reducedMotion: null
+    });
+    expect(await emulator.emulate({ timezone: null, languages: null, colorScheme: 'dark', reducedMotion: null }, {})).to.equal(null);
+    expect(sent).to.deep.equal([]);
+    expect(evaluated).to.deep.equal([ [ 'fr' ], null ]);
+  });
+
+  it('only sends what changed', async function() {
+    const emulator = new PreferenceEmulator(page);
+    await emulator.emulate({ timezone: 'Europe/Paris', languages: null, colorScheme: 'dark', reducedMotion: null });
+    sent = [];
+
+    await emulator.emulate({ timezone: 'Europe/Paris', languages: [ 'fr' ], colorScheme: 'light', reducedMotion: null });
+
+    expect(sent).to.deep.equal([
+      [ 'Emulation.setEmulatedMedia', { media: '', features: [ { name: 'prefers-color-scheme', value: 'light' } ] } ]
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp').track();
+const fixture = require('./helpers/fixture-path');
+const Result = require('../src/result');
+const prerender = require('../src/prerender');
+
+describe('prerender', function() {
+  let outputPath, visits;
+
+  beforeEach(function() {
+    outputPath = path.join(temp.mkdirSync('powerboot-prerender'), 'out');
+    visits = [];
+  });
+
+  after(function() {
+    temp.cleanupSync();
+  });
+
+  function fakePowerBoot(pages) {
+    return {
+      config: { distPath: fixture('basic-app') },
+      async visit(url, options) {
+        visits.push({ url, options });
+        const page = pages[url];
+        if (!page) return Result.fromJSON({ html: 'Not Found', statusCode: 404 });
+        if (page instanceof Error) throw page;
+        return Result.fromJSON(Object.assign({ statusCode: 200 }, page));
+      }
+    };
+  }
+
+  function read(file) {
+    return fs.readFileSync(path.join(outputPath, file), 'utf8');
+  }
+
+  it('writes each URL to an index.html file', async function() {
+    const powerboot = fakePowerBoot({
+      '/': { html: '<p>home</p>' },
+      '/about': { html: '<p>about</p>' },
+      '/posts/1': { html: '<p>post</p>' }
+    });
+
+    const { pages } = await prerender({ powerboot, outputPath, urls: [ '/', '/about', '/posts/1' ] });
+
+    expect(read('index.html')).to.equal('<p>home</p>');
+    expect(read('about/index.html')).to.equal('<p>about</p>');
+    expect(read('posts/1/index.html')).to.equal('<p>post</p>');
+    expect(pages.map(page => [ page.url, page.statusCode ])).to.deep.equal([
+      [ '/', 200 ], [ '/about', 200 ], [ '/posts/1', 200 ]
+    ]);
+    expect(pages[1].file).to.equal(path.join(outputPath, 'about', 'index.html'));
+  });
+
+  it('copies the dist assets and keeps the original index.html', async function() {
+    const powerboot = fakePowerBoot({ '/': { html: '<p>home</p>' } });
+
+    await prerender({ powerboot, outputPath });
+
+    const original = fs.readFileSync(path.join(fixture('basic-app'), 'index.html'), 'utf8');
+    expect(read('_empty.html')).to.equal(original);
+    expect(read('assets/vendor.js')).to.equal(fs.readFileSync(path.join(fixture('basic-app'), 'assets', 'vendor.js'), 'utf8'));
+    expect(fs.existsSync(path.join(outputPath, 'package.json'))).to.equal(false);
+  });
+
+  it('renders visits resiliently with the given visit options', async function() {
+    const powerboot = fakePowerBoot({ '/': { html: '<p>home</p>' } });
+
+    await prerender({ powerboot, outputPath, visitOptions: { metadata: { prerender: true } } });
+
+    expect(visits[0].options).to.deep.equal({ metadata: { prerender: true }, resilient: true });
+  });
+
+  it('follows same-origin links when crawling', async function() {
+    const powerboot = fakePowerBoot({
+      '/': { html: '<a href="/about">About</a> <a href="https://example.com/">Elsewhere</a> <a href=\'posts?page=2#top\'>Posts</a>' },
+      '/about': { html: '<a href="/">Home</a>' },
+      '/posts?page=2': { html: '<p>posts</p>' }
+    });
+
+    const { pages } = await prerender({ powerboot, outputPath, crawl: true });
+
+    expect(visits.map(visit => visit.url)).to.deep.equal([ '/', '/about', '/posts?page=2' ]);
+    expect(pages).to.have.length(3);
+    expect(read('posts/index.html')).to.equal('<p>posts</p>');
+  });
+
+  it('does not overwrite pages with URLs that only differ by their query string', async function() {
+    const powerboot = fakePowerBoot({
+      '/search?q=a': { html: '<p>a</p> <a href="/search?q=c">C</a>' },
+      '/search?q=b': { html: '<p>b</p>' }
+    });
+
+    const { pages } = await prerender({ powerboot, outputPath, urls: [ '/search?q=a', '/search?q=b' ], crawl: true });
+
+    expect(visits.map(visit => visit.url)).to.deep.equal([ '/search?q=a', '/search?q=b' ]);
+    expect(read('search/index.html')).to.equal('<p>a</p> <a href="/search?q=c">C</a>');
+    expect(pages[0].file).to.equal(path.join(outputPath, 'search', 'index.html'));
+    expect(pages[1].file).to.equal(undefined);
+    expect(pages[1].warning).to.equal(`/search?q=b was not written, since /search?q=a was already written to ${path.join(outputPath, 'search', 'index.html')}`);
+  });
+
+  it('skips links that can\'t be written to a file when crawling', async function() {
+    const powerboot = fakePowerBoot({
+      '/': { html: '<a href="/100%">All</a> <a href="/..%2Fsecret">Up</a> <a href="/about">About</a>' },
+      '/about': { html: '<p>about</p>' }
+    });
+
+    const { pages } = await prerender({ powerboot, outputPath, crawl: true });
+
+    expect(visits.map(visit => visit.url)).to.deep.equal([ '/', '/about' ]);
+    expect(pages).to.have.length(2);
+  });
+
+  it('reports URLs that can\'t be written to a file as failures without rendering them', async function() {
+    const powerboot = fakePowerBoot({ '/': { html: 'home' } });
+
+    const error = await prerender({ powerboot, outputPath, urls: [ '/100%', '/', '/..%2Fsecret' ] })
+      .then(() => null, error => error);
+
+    expect(visits.map(visit => visit.url)).to.deep.equal([ '/' ]);
+    expect(error.message).to.equal('Failed to prerender /100%, /..%2Fsecret');
+    expect(error.pages.map(page => [ page.url, page.statusCode, page.error && page.error.message ])).to.deep.equal([
+      [ '/100%', undefined, 'Can\'t write /100% to a file, since its path is malformed' ],
+      [ '/', 200, undefined ],
+      [ '/..%2Fsecret', undefined, `Refusing to write /..%2Fsecret outside of ${outputPath}` ]
+    ]);
+    expect(read('index.html')).to.equal('home');
+  });
+
+  it('stops crawling at maxPages', async function() {
+    const powerboot = fakePowerBoot({
+      '/': { html: '<a href="/a">A</a> <a href="/b">B</a>' },
+      '/a': { html: 'a' },
+      '/b': { html: 'b' }
+    });
+
+    const { pages } = await prerender({ powerboot, outputPath, crawl: true, maxPages: 2 });
+
+    expect(pages.map(page => page.url)).to.deep.equal([ '/', '/a' ]);
+  });
+
+  it('fails when a URL is not 2xx or errors, reporting every URL', async function() {
+    const failure = new Error('boom');
+    const powerboot = fakePowerBoot({ '/': { html: 'home' }, '/broken': failure });
+
+    const error = await prerender({ powerboot, outputPath, urls: [ '/', '/missing', '/broken' ] })
+      .then(() => null, error => error);
+
+    expect(error.message).to.equal('Failed to prerender /missing, /broken');
+    expect(error.pages.map(page => [ page.url, page.statusCode, page.error ])).to.deep.equal([
+      [ '/', 200, undefined ], [ '/missing', 404, undefined ], [ '/broken', undefined, failure ]
+    ]);
+    expect(read('index.html')).to.equal('home');
+    expect(fs.existsSync(path.join(outputPath, 'missing'))).to.equal(false);
+  });
+
+  it('writes non-2xx pages and resolves with allowFailures', async function() {
+    const powerboot = fakePowerBoot({});
+
+    const { pages } = await prerender({ powerboot, outputPath, urls: [ '/404' ], allowFailures: true });
+
+    expect(pages[0].statusCode).to.equal(404);
+    expect(read('404/index.html')).to.equal('Not Found');
+  });
+
+  it('requires an outputPath', async function() {
+    await expect(prerender({ powerboot: fakePowerBoot({}) })).to.be.rejectedWith(/outputPath/);
+  });
+});
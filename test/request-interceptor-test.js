@@ -0,0 +1,67 @@
+'use strict';
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const RequestInterceptor = require('../src/request-interceptor');
+
+describe('RequestInterceptor', function() {
+  let page, interceptor;
+
+  beforeEach(function() {
+    page = new EventEmitter();
+    page.isIntercepting = false;
+    page.setRequestInterception = async value => page.isIntercepting = value;
+    interceptor = new RequestInterceptor(page);
+  });
+
+  function fakeRequest() {
+    const request = {
+      outcome: null,
+      url: () => 'http://localhost/',
+      continue: async () => request.outcome = 'continue',
+      abort: async () => request.outcome = 'abort'
+    };
+    return request;
+  }
+
+  it('does not intercept requests until handlers are set', async function() {
+    await interceptor.setHandlers([]);
+    expect(page.isIntercepting).to.equal(false);
+
+    await interceptor.setHandlers([ async () => false ]);
+    expect(page.isIntercepting).to.equal(true);
+  });
+
+  it('stops at the first handler that handles the request', async function() {
+    const calls = [];
+    await interceptor.setHandlers([
+      async () => { calls.push('first'); return false; },
+      async request => { calls.push('second'); await request.abort(); return true; },
+      async () => { calls.push('third'); return false; }
+    ]);
+
+    const request = fakeRequest();
+    await interceptor._onRequest(request);
+
+    expect(calls).to.deep.equal(['first', 'second']);
+    expect(request.outcome).to.equal('abort');
+  });
+
+  it('continues requests that no handler takes care of', async function() {
+    await interceptor.setHandlers([ async () => false ]);
+
+    const request = fakeRequest();
+    await interceptor._onRequest(request);
+
+    expect(request.outcome).to.equal('continue');
+  });
+
+  it('aborts requests when a handler throws', async function() {
+    await interceptor.setHandlers([ async () => { throw new Error('boom'); } ]);
+
+    const request = fakeRequest();
+    await interceptor._onRequest(request);
+
+    expect(request.outcome).to.equal('abort');
+  });
+});
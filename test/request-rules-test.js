@@ -0,0 +1,110 @@
+'use strict';
+
+const expect = require('chai').expect;
+const createRequestRules = require('../src/request-rules');
+
+const PAGE_ORIGIN = 'http://127.0.0.1:4000';
+
+describe('createRequestRules', function() {
+  let matches;
+
+  beforeEach(function() {
+    matches = [];
+  });
+
+  function interceptedRequest(url, options={}) {
+    const request = {
+      responded: null,
+      aborted: null,
+      url: () => url,
+      method: () => options.method || 'GET',
+      resourceType: () => options.resourceType || 'script',
+      respond: async response => request.responded = response,
+      abort: async reason => request.aborted = reason
+    };
+    return request;
+  }
+
+  function handler(rules) {
+    return createRequestRules(rules, { pageOrigin: PAGE_ORIGIN, onMatch: entry => matches.push(entry) });
+  }
+
+  it('blocks requests to matching domains and their subdomains', async function() {
+    const rules = handler([ { action: 'block', domain: [ 'google-analytics.com', 'doubleclick.net' ] } ]);
+    const analytics = interceptedRequest('https://www.google-analytics.com/analytics.js');
+    const ads = interceptedRequest('https://doubleclick.net/ad.js');
+    const other = interceptedRequest('https://notgoogle-analytics.com/app.js');
+
+    expect(await rules(analytics)).to.equal(true);
+    expect(await rules(ads)).to.equal(true);
+    expect(await rules(other)).to.equal(false);
+    expect(analytics.aborted).to.equal('blockedbyclient');
+    expect(other.aborted).to.equal(null);
+    expect(matches).to.deep.equal([
+      { url: 'https://www.google-analytics.com/analytics.js', method: 'GET', resourceType: 'script', action: 'block' },
+      { url: 'https://doubleclick.net/ad.js', method: 'GET', resourceType: 'script', action: 'block' }
+    ]);
+  });
+
+  it('matches URLs by prefix or pattern, and resource types', async function() {
+    const rules = handler([
+      { action: 'block', url: [ 'https://cdn.example.com/widgets/', /\/pixel\.gif/ ] },
+      { action: 'block', resourceType: [ 'media', 'websocket' ] }
+    ]);
+
+    expect(await rules(interceptedRequest('https://cdn.example.com/widgets/chat.js'))).to.equal(true);
+    expect(await rules(interceptedRequest('https://cdn.example.com/lib/jquery.js'))).to.equal(false);
+    expect(await rules(interceptedRequest('https://t.example.org/pixel.gif?u=1', { resourceType: 'image' }))).to.equal(true);
+    expect(await rules(interceptedRequest('https://video.example.org/intro.mp4', { resourceType: 'media' }))).to.equal(true);
+  });
+
+  it('uses the first rule that matches, so that allow rules and a catch-all block make an allowlist', async function() {
+    const rules = handler([
+      { action: 'allow', domain: 'api.example.com' },
+      { action: 'allow', domain: 'fonts.gstatic.com', resourceType: 'font' },
+      { action: 'block' }
+    ]);
+    const api = interceptedRequest('https://api.example.com/posts', { resourceType: 'fetch' });
+    const font = interceptedRequest('https://fonts.gstatic.com/s/inter.woff2', { resourceType: 'font' });
+    const tracker = interceptedRequest('https://fonts.gstatic.com/track.js');
+
+    expect(await rules(api)).to.equal(false);
+    expect(await rules(font)).to.equal(false);
+    expect(await rules(tracker)).to.equal(true);
+    expect(matches.map(match => match.url)).to.deep.equal([ 'https://fonts.gstatic.com/track.js' ]);
+  });
+
+  it('never matches requests to the page origin', async function() {
+    const rules = handler([ { action: 'block' } ]);
+    const asset = interceptedRequest(`${PAGE_ORIGIN}/assets/app.js`);
+
+    expect(await rules(asset)).to.equal(false);
+    expect(asset.aborted).to.equal(null);
+    expect(matches).to.deep.equal([]);
+  });
+
+  it('stubs requests with a response', async function() {
+    const rules = handler([
+      { action: 'stub', domain: 'widget.example.com', response: { contentType: 'application/javascript', body: 'window.Widget = {};' } },
+      { action: 'stub', url: 'https://flags.example.com/', response: { body: { beta: false } } },
+      { action: 'stub', resourceType: 'image' }
+    ]);
+    const widget = interceptedRequest('https://widget.example.com/v2.js');
+    const flags = interceptedRequest('https://flags.example.com/flags', { resourceType: 'fetch' });
+    const image = interceptedRequest('https://images.example.com/banner.png', { resourceType: 'image' });
+
+    expect(await rules(widget)).to.equal(true);
+    await rules(flags);
+    await rules(image);
+
+    expect(widget.responded).to.deep.equal({ status: 200, headers: {}, contentType: 'application/javascript', body: 'window.Widget = {};' });
+    expect(flags.responded).to.deep.equal({ status: 200, headers: {}, contentType: 'application/json', body: '{"beta":false}' });
+    expect(image.responded).to.deep.equal({ status: 200, headers: {}, contentType: undefined, body: '' });
+    expect(matches.map(match => match.action)).to.deep.equal([ 'stub', 'stub', 'stub' ]);
+  });
+
+  it('rejects rules without a valid action', function() {
+    expect(() => handler({ action: 'block' })).to.throw(/must be an array/);
+    expect(() => handler([ { domain: 'example.com' } ])).to.throw(/must be one of `block`, `allow`, `stub`/);
+  });
+});
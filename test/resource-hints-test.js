@@ -0,0 +1,122 @@
+'use strict';
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const { ResourceHintRecorder, buildLinkHeader, matchesOrigin } = require('../src/resource-hints');
+
+const PAGE_ORIGIN = 'http://127.0.0.1:4000';
+
+describe('ResourceHintRecorder', function() {
+  let page, recorder, modules;
+
+  beforeEach(function() {
+    modules = [];
+    page = new EventEmitter();
+    page.url = () => `${PAGE_ORIGIN}/`;
+    page.evaluate = async () => modules;
+    recorder = new ResourceHintRecorder(page);
+  });
+
+  function response(url, options={}) {
+    return {
+      url: () => url,
+      ok: () => (options.status || 200) < 300,
+      request: () => ({
+        method: () => options.method || 'GET',
+        resourceType: () => options.resourceType || 'script'
+      })
+    };
+  }
+
+  it('records scripts, stylesheets and fonts on the page origin by default', async function() {
+    recorder.start(true);
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/vendor.js`));
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/app.css?v=2`, { resourceType: 'stylesheet' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/fonts/inter.woff2`, { resourceType: 'font' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/images/logo.png`, { resourceType: 'image' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/posts`, { resourceType: 'fetch' }));
+    page.emit('response', response('https://cdn.example.com/widget.js'));
+
+    expect(await recorder.stop()).to.deep.equal([
+      { url: '/assets/vendor.js', rel: 'preload', as: 'script', crossorigin: false },
+      { url: '/assets/app.css?v=2', rel: 'preload', as: 'style', crossorigin: false },
+      { url: '/fonts/inter.woff2', rel: 'preload', as: 'font', crossorigin: true }
+    ]);
+  });
+
+  it('records the configured types and origins', async function() {
+    recorder.start({ types: ['image', 'xhr'], origins: ['self', 'https://images.example.com', /\.cdn\.example\.com$/] });
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/app.js`));
+    page.emit('response', response('https://images.example.com/hero.jpg', { resourceType: 'image' }));
+    page.emit('response', response('https://eu.cdn.example.com/posts.json', { resourceType: 'xhr' }));
+    page.emit('response', response('https://tracker.example.org/pixel.gif', { resourceType: 'image' }));
+
+    expect((await recorder.stop()).map(hint => [ hint.url, hint.as, hint.crossorigin ])).to.deep.equal([
+      [ 'https://images.example.com/hero.jpg', 'image', false ],
+      [ 'https://eu.cdn.example.com/posts.json', 'fetch', true ]
+    ]);
+  });
+
+  it('ignores failed and non-GET requests, and records every URL once', async function() {
+    recorder.start({ types: ['script', 'fetch'] });
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/missing.js`, { status: 404 }));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/session`, { resourceType: 'fetch', method: 'POST' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/app.js`));
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/app.js`));
+
+    expect((await recorder.stop()).map(hint => hint.url)).to.deep.equal([ '/assets/app.js' ]);
+  });
+
+  it('hints module scripts with modulepreload', async function() {
+    modules = [ `${PAGE_ORIGIN}/assets/app.mjs` ];
+    recorder.start(true);
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/app.mjs`));
+
+    expect(await recorder.stop()).to.deep.equal([
+      { url: '/assets/app.mjs', rel: 'modulepreload', as: null, crossorigin: false }
+    ]);
+  });
+
+  it('records up to the maximum number of resources', async function() {
+    recorder.start({ max: 2 });
+    for (const name of [ 'a', 'b', 'c' ]) page.emit('response', response(`${PAGE_ORIGIN}/${name}.js`));
+
+    expect((await recorder.stop()).map(hint => hint.url)).to.deep.equal([ '/a.js', '/b.js' ]);
+  });
+
+  it('stops recording', async function() {
+    recorder.start(true);
+    await recorder.stop();
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/app.js`));
+
+    expect(await recorder.stop()).to.deep.equal([]);
+  });
+
+  it('rejects unknown resource types', function() {
+    expect(() => ResourceHintRecorder.normalizeOptions({ types: ['websocket'] })).to.throw(/resourceHints.types/);
+  });
+});
+
+describe('buildLinkHeader', function() {
+  it('formats hints as a Link header', function() {
+    expect(buildLinkHeader([
+      { url: '/assets/app.js', rel: 'preload', as: 'script', crossorigin: false },
+      { url: '/fonts/inter.woff2', rel: 'preload', as: 'font', crossorigin: true },
+      { url: '/assets/app.mjs', rel: 'modulepreload', as: null, crossorigin: false }
+    ])).to.equal(
+      '</assets/app.js>; rel=preload; as=script, ' +
+      '</fonts/inter.woff2>; rel=preload; as=font; crossorigin, ' +
+      '</assets/app.mjs>; rel=modulepreload'
+    );
+  });
+});
+
+describe('matchesOrigin', function() {
+  it('matches self, exact origins and patterns', function() {
+    const origins = [ 'self', 'https://fonts.gstatic.com', /\.example\.com$/ ];
+    expect(matchesOrigin(PAGE_ORIGIN, PAGE_ORIGIN, origins)).to.equal(true);
+    expect(matchesOrigin('https://fonts.gstatic.com', PAGE_ORIGIN, origins)).to.equal(true);
+    expect(matchesOrigin('https://static.example.com', PAGE_ORIGIN, origins)).to.equal(true);
+    expect(matchesOrigin('https://fonts.googleapis.com', PAGE_ORIGIN, origins)).to.equal(false);
+  });
+});
@@ -0,0 +1,339 @@
+'use strict';
+
+const expect = require('chai').expect;
+const ResultCache = require('../src/result-cache');
+const Result = require('../src/result');
+
+describe('ResultCache', function() {
+  let renders;
+
+  function render(options={}) {
+    return async () => {
+      renders++;
+      return Result.fromJSON({
+        html: `<html><body>render ${renders}</body></html>`,
+        statusCode: options.statusCode || 200,
+        headers: Object.assign({ 'x-render': [ String(renders) ] }, options.headers),
+        shoebox: { posts: [ 1, 2 ] },
+        url: options.url,
+        routing: options.routing,
+        fragment: options.fragment,
+        fragments: options.fragments,
+        captures: options.captures
+      });
+    };
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  beforeEach(function() {
+    renders = 0;
+  });
+
+  it('renders on a miss and serves the stored result on a hit', async function() {
+    const cache = new ResultCache(true);
+
+    const first = await cache.fetch('/', {}, render());
+    const second = await cache.fetch('/', {}, render());
+
+    expect(renders).to.equal(1);
+    expect(first.cacheStatus).to.equal('miss');
+    expect(second.cacheStatus).to.equal('hit');
+    expect(await second.html()).to.equal('<html><body>render 1</body></html>');
+    expect(second.statusCode).to.equal(200);
+    expect(second.headers.get('x-render')).to.equal('1');
+    expect(second._fastbootInfo.shoebox).to.deep.equal({ posts: [ 1, 2 ] });
+  });
+
+  it('renders again once a result has expired', async function() {
+    const cache = new ResultCache({ ttl: 10 });
+
+    await cache.fetch('/', {}, render());
+    await wait(20);
+    const result = await cache.fetch('/', {}, render());
+
+    expect(renders).to.equal(2);
+    expect(result.cacheStatus).to.equal('miss');
+  });
+
+  it('serves stale results while rendering them again in the background', async function() {
+    const cache = new ResultCache({ ttl: 10, staleWhileRevalidate: 1000 });
+
+    await cache.fetch('/', {}, render());
+    await wait(20);
+    const stale = await cache.fetch('/', {}, render());
+
+    expect(stale.cacheStatus).to.equal('stale');
+    expect(await stale.html()).to.match(/render 1/);
+
+    await wait(0);
+    const fresh = await cache.fetch('/', {}, render());
+
+    expect(renders).to.equal(2);
+    expect(fresh.cacheStatus).to.equal('hit');
+    expect(await fresh.html()).to.match(/render 2/);
+  });
+
+  it('shares a single render between concurrent misses', async function() {
+    const cache = new ResultCache(true);
+
+    await Promise.all([
+      cache.fetch('/', {}, render()),
+      cache.fetch('/', {}, render())
+    ]);
+
+    expect(renders).to.equal(1);
+  });
+
+  it('does not store results with errors or uncacheable status codes', async function() {
+    const cache = new ResultCache(true);
+    const failing = async () => {
+      const result = await render()();
+      result.error = new Error('boom');
+      return result;
+    };
+
+    await cache.fetch('/', {}, failing);
+    await cache.fetch('/missing', {}, render({ statusCode: 404 }));
+    await cache.fetch('/', {}, render());
+    await cache.fetch('/missing', {}, render({ statusCode: 404 }));
+
+    expect(renders).to.equal(4);
+  });
+
+  it('keeps the routing information of stored results', async function() {
+    const cache = new ResultCache(true);
+    const routing = {
+      routeName: 'posts.show',
+      routes: [ { name: 'application', params: {} }, { name: 'posts', params: {} }, { name: 'posts.show', params: { post_id: '1' } } ],
+      queryParams: { page: '2' },
+      transitions: [ { targetName: 'posts.show', url: '/posts/1?page=2', redirect: false, status: 'completed' } ]
+    };
+
+    await cache.fetch('/posts/1?page=2', {}, render({ url: '/posts/1?page=2', routing }));
+    const hit = await cache.fetch('/posts/1?page=2', {}, render());
+
+    expect(hit.cacheStatus).to.equal('hit');
+    expect(hit.url).to.equal('/posts/1?page=2');
+    expect(hit.routing).to.deep.equal(routing);
+  });
+
+  it('varies the key by the options that change how the app is rendered', async function() {
+    const cache = new ResultCache(true);
+
+    await cache.fetch('/', { shouldRender: true, disableShoebox: false, autoShoebox: false, waitFor: 'visit', serializeShadowRoots: false }, render());
+    await cache.fetch('/', {}, render());
+    expect(renders).to.equal(1);
+
+    await cache.fetch('/', { shouldRender: false }, render());
+    await cache.fetch('/', { disableShoebox: true }, render());
+    await cache.fetch('/', { html: '<html><body></body></html>' }, render());
+    await cache.fetch('/', { html: '<html><body class="print"></body></html>' }, render());
+    await cache.fetch('/', { autoShoebox: true }, render());
+    await cache.fetch('/', { waitFor: 'settled' }, render());
+    await cache.fetch('/', { serializeShadowRoots: true }, render());
+    await cache.fetch('/', { html: '<html><body></body></html>' }, render());
+    expect(renders).to.equal(8);
+  });
+
+  it('stores fragments separately from whole documents', async function() {
+    const cache = new ResultCache(true);
+    const fragment = { selector: [ '#summary' ], inlineStyles: false };
+
+    await cache.fetch('/', {}, render());
+    await cache.fetch('/', { fragment }, render({ fragment, fragments: { '#summary': '<p id="summary">Hi</p>' } }));
+    const hit = await cache.fetch('/', { fragment }, render());
+
+    expect(renders).to.equal(2);
+    expect(hit.cacheStatus).to.equal('hit');
+    expect(await hit.fragment('#summary')).to.equal('<p id="summary">Hi</p>');
+  });
+
+  it('stores results with critical CSS separately', async function() {
+    const cache = new ResultCache(true);
+
+    await cache.fetch('/', {}, render());
+    await cache.fetch('/', { criticalCSS: true }, render());
+    await cache.fetch('/', { criticalCSS: { key: result => result.url } }, render());
+    await cache.fetch('/', { criticalCSS: false }, render());
+
+    expect(renders).to.equal(2);
+  });
+
+  it('stores results with different resource hints separately', async function() {
+    const cache = new ResultCache(true);
+
+    await cache.fetch('/', {}, render());
+    await cache.fetch('/', { resourceHints: true }, render());
+    await cache.fetch('/', { resourceHints: { types: ['image'] } }, render());
+    await cache.fetch('/', { resourceHints: true }, render());
+
+    expect(renders).to.equal(3);
+  });
+
+  it('varies the key by the request rules, including their patterns', async function() {
+    const cache = new ResultCache(true);
+
+    await cache.fetch('/', {}, render());
+    await cache.fetch('/', { requestRules: [] }, render());
+    await cache.fetch('/', { requestRules: [ { action: 'block', url: /ads/ } ] }, render());
+    await cache.fetch('/', { requestRules: [ { action: 'block', url: /tracking/ } ] }, render());
+    await cache.fetch('/', { requestRules: [ { action: 'block', url: /ads/ } ] }, render());
+
+    expect(renders).to.equal(3);
+  });
+
+  it('varies the key by the HAR file traffic is recorded to or replayed from', async function() {
+    const cache = new ResultCache(true);
+
+    await cache.fetch('/', {}, render());
+    await cache.fetch('/', { har: { mode: 'replay', path: 'a.har' } }, render());
+    await cache.fetch('/', { har: { mode: 'replay', path: 'b.har' } }, render());
+    await cache.fetch('/', { har: { mode: 'replay', path: 'a.har' } }, render());
+
+    expect(renders).to.equal(3);
+  });
+
+  it('varies the key by the emulated device, including one detected from the request', async function() {
+    const cache = new ResultCache(true);
+    const visit = (userAgent, emulate) => ({ request: { headers: { 'User-Agent': userAgent } }, emulate });
+    const iPhone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 13_2 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+    const windows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/80.0.3987.0 Safari/537.36';
+
+    await cache.fetch('/', visit(windows), render());
+    await cache.fetch('/', visit(iPhone, 'auto'), render());
+    await cache.fetch('/', visit(windows, 'auto'), render());
+    await cache.fetch('/', visit(`${windows} Edge/18`, 'auto'), render());
+    await cache.fetch('/', visit(windows, 'iPhone X'), render());
+    await cache.fetch('/', visit(windows, { device: 'desktop', viewport: { width: 1440 } }), render());
+    await cache.fetch('/', visit(iPhone, 'auto'), render());
+
+    expect(renders).to.equal(5);
+  });
+
+  it('varies the key by the user preferences, including those taken from the request', async function() {
+    const cache = new ResultCache(true);
+    const visit = (language, options) => Object.assign({ request: { headers: { 'Accept-Language': language } } }, options);
+
+    await cache.fetch('/', {}, render());
+    await cache.fetch('/', visit('de'), render());
+    await cache.fetch('/', visit('en'), render());
+    await cache.fetch('/', visit('de', { languages: false }), render());
+    await cache.fetch('/', visit('de', { timezone: 'Europe/Berlin' }), render());
+    await cache.fetch('/', visit('de', { colorScheme: 'dark' }), render());
+    await cache.fetch('/', visit('de'), render());
+    expect(renders).to.equal(5);
+
+    await cache.fetch('/', { deterministic: { seed: 1 } }, render());
+    await cache.fetch('/', { deterministic: { seed: 2 } }, render());
+    expect(renders).to.equal(7);
+  });
+
+  it('keeps the screenshots and PDFs captured during the visit', async function() {
+    const cache = new ResultCache(true);
+    const captures = { screenshot: Buffer.from('png').toString('base64') };
+
+    await cache.fetch('/', { capture: 'screenshot' }, render({ captures }));
+    const hit = await cache.fetch('/', { capture: 'screenshot' }, render());
+
+    expect(hit.cacheStatus).to.equal('hit');
+    expect((await hit.screenshot()).toString()).to.equal('png');
+  });
+
+  it('does not store results that set cookies by default', async function() {
+    const cache = new ResultCache(true);
+
+    await cache.fetch('/', {}, render({ headers: { 'set-cookie': [ 'session=abc; Path=/' ] } }));
+    const second = await cache.fetch('/', {}, render({ headers: { 'set-cookie': [ 'session=def; Path=/' ] } }));
+
+    expect(renders).to.equal(2);
+    expect(second.cacheStatus).to.equal('miss');
+  });
+
+  it('varies the key by the configured headers, cookies and metadata', async function() {
+    const cache = new ResultCache({
+      key: { headers: ['Accept-Language'], cookies: ['theme'], metadata: ['tenant'] }
+    });
+
+    const visit = (language, cookie, tenant) => ({
+      request: { headers: { 'accept-language': language, 'Cookie': cookie, 'user-agent': String(Math.random()) } },
+      metadata: { tenant, requestId: Math.random() }
+    });
+
+    await cache.fetch('/', visit('en', 'theme=dark', 'a'), render());
+    await cache.fetch('/', visit('en', 'theme=dark', 'a'), render());
+    expect(renders).to.equal(1);
+
+    await cache.fetch('/', visit('de', 'theme=dark', 'a'), render());
+    await cache.fetch('/', visit('en', 'theme=light', 'a'), render());
+    await cache.fetch('/', visit('en', 'theme=dark', 'b'), render());
+    expect(renders).to.equal(4);
+  });
+
+  it('skips the cache for visits with credentials by default', async function() {
+    const cache = new ResultCache({ key: { cookies: ['theme'] } });
+    const visit = headers => ({ request: { headers } });
+
+    await cache.fetch('/', visit({}), render());
+    const session = cache.fetch('/', visit({ cookie: 'theme=dark; session=1' }), render());
+    const otherSession = cache.fetch('/', visit({ cookie: 'session=2' }), render());
+    const authorized = cache.fetch('/', visit({ Authorization: 'Bearer abc' }), render());
+
+    expect((await session).cacheStatus).to.equal('bypass');
+    expect((await otherSession).cacheStatus).to.equal('bypass');
+    expect((await authorized).cacheStatus).to.equal('bypass');
+    expect(renders).to.equal(4);
+
+    expect((await cache.fetch('/', visit({ cookie: 'theme=dark' }), render())).cacheStatus).to.equal('miss');
+    expect((await cache.fetch('/', visit({}), render())).cacheStatus).to.equal('hit');
+    expect(renders).to.equal(5);
+  });
+
+  it('caches visits with credentials that vary the key or that `bypass` allows', async function() {
+    const keyed = new ResultCache({ key: { headers: ['authorization'] } });
+    await keyed.fetch('/', { request: { headers: { authorization: 'Bearer abc' } } }, render());
+    expect((await keyed.fetch('/', { request: { headers: { authorization: 'Bearer abc' } } }, render())).cacheStatus).to.equal('hit');
+
+    const custom = new ResultCache({ bypass: () => false });
+    await custom.fetch('/', { request: { headers: { cookie: '_ga=1' } } }, render());
+    expect((await custom.fetch('/', { request: { headers: { cookie: '_ga=2' } } }, render())).cacheStatus).to.equal('hit');
+
+    expect(renders).to.equal(2);
+  });
+
+  it('accepts a custom key function', async function() {
+    const cache = new ResultCache({ key: path => path.split('?')[0] });
+
+    await cache.fetch('/posts?utm_source=a', {}, render());
+    await cache.fetch('/posts?utm_source=b', {}, render());
+
+    expect(renders).to.equal(1);
+  });
+
+  it('accepts a custom store', async function() {
+    const entries = {};
+    const store = {
+      get: async key => entries[key],
+      set: async (key, value) => entries[key] = value,
+      delete: async key => delete entries[key]
+    };
+    const cache = new ResultCache({ store });
+
+    await cache.fetch('/', {}, render());
+
+    expect(entries['/'].result.html).to.equal('<html><body>render 1</body></html>');
+    expect(entries['/'].result.statusCode).to.equal(200);
+  });
+
+  it('can be cleared', async function() {
+    const cache = new ResultCache(true);
+
+    await cache.fetch('/', {}, render());
+    await cache.clear();
+    await cache.fetch('/', {}, render());
+
+    expect(renders).to.equal(2);
+  });
+});
@@ -235,4 +235,57 @@ describe('Result', async function() {
       expect(domContents.body).to.match(new RegExp(`\\s*${boundaryStartTag}\\s*${BODY}\\s*${boundaryEndTag}`));
     });
   });
+
+  describe('fragment()', function() {
+    var HTML = `
+      <html>
+      <head>
+        <style>
+          body { color: rgb(0, 0, 255); margin: 20px; }
+          .card { padding: 10px; }
+          .card b { font-weight: 400; }
+        </style>
+      </head>
+      <body>
+        <div class="card" id="first"><b>One</b></div>
+        <div class="card"><b>Two</b></div>
+        <footer>Footer</footer>
+      </body>
+      </html>
+    `;
+
+    async function render(fragment) {
+      const page = await browser.newPage();
+      const fragmentResult = new Result({ page, fastbootInfo: new FastBootInfo({ headers: {}, get() {} }, {}, []), fragment });
+      await fragmentResult.setContent(HTML);
+      await fragmentResult._finalize();
+      return fragmentResult;
+    }
+
+    it('renders the elements matching the selectors instead of the document', async function() {
+      const fragmentResult = await render([ '.card', 'footer' ]);
+      expect(await fragmentResult.fragment()).to.equal('<div class="card" id="first"><b>One</b></div><div class="card"><b>Two</b></div>');
+      expect(await fragmentResult.fragment('footer')).to.equal('<footer>Footer</footer>');
+      expect(await fragmentResult.html()).to.equal(await fragmentResult.fragment() + '<footer>Footer</footer>');
+    });
+
+    it('inlines the styles that apply to the elements', async function() {
+      const fragmentResult = await render({ selector: '#first', inlineStyles: true });
+      expect(await fragmentResult.html()).to.equal(
+        '<div class="card" id="first" style="padding-top: 10px; padding-right: 10px; padding-bottom: 10px; padding-left: 10px; color: rgb(0, 0, 255);">' +
+        '<b style="font-weight: 400;">One</b></div>'
+      );
+    });
+
+    it('rejects selectors that were not rendered', async function() {
+      const fragmentResult = await render('footer');
+      let error;
+      try {
+        await fragmentResult.fragment('.card');
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.match(/`\.card` fragment wasn't rendered/);
+    });
+  });
 });
@@ -0,0 +1,104 @@
+'use strict';
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const ShoeboxRecorder = require('../src/shoebox-recorder');
+
+const PAGE_ORIGIN = 'http://127.0.0.1:4000';
+
+describe('ShoeboxRecorder', function() {
+  let page, recorder;
+
+  beforeEach(function() {
+    page = new EventEmitter();
+    page.url = () => `${PAGE_ORIGIN}/`;
+    recorder = new ShoeboxRecorder(page);
+  });
+
+  function response(url, options={}) {
+    return {
+      url: () => url,
+      status: () => options.status || 200,
+      headers: () => ({ 'content-type': 'application/json', 'x-request-id': '123' }),
+      text: options.text || (async () => options.body || '{}'),
+      request: () => ({
+        method: () => options.method || 'GET',
+        resourceType: () => options.resourceType || 'fetch'
+      })
+    };
+  }
+
+  it('records XHR and fetch responses keyed by method and URL', async function() {
+    recorder.start(true);
+    page.emit('response', response(`${PAGE_ORIGIN}/api/posts?page=2`, { body: '{"posts":[]}' }));
+    page.emit('response', response('https://api.example.com/users/1', { resourceType: 'xhr', status: 404, body: 'nope' }));
+
+    expect(await recorder.stop()).to.deep.equal({
+      'GET /api/posts?page=2': {
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: '{"posts":[]}'
+      },
+      'GET https://api.example.com/users/1': {
+        status: 404,
+        headers: { 'content-type': 'application/json' },
+        body: 'nope'
+      }
+    });
+  });
+
+  it('ignores other resource types, methods and redirects', async function() {
+    recorder.start(true);
+    page.emit('response', response(`${PAGE_ORIGIN}/assets/app.js`, { resourceType: 'script' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/posts`, { method: 'POST' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/old`, { status: 301 }));
+
+    expect(await recorder.stop()).to.deep.equal({});
+  });
+
+  it('records the configured methods', async function() {
+    recorder.start({ methods: ['get', 'post'] });
+    page.emit('response', response(`${PAGE_ORIGIN}/graphql`, { method: 'POST' }));
+
+    expect(await recorder.stop()).to.have.all.keys('POST /graphql');
+  });
+
+  it('filters URLs with include and exclude patterns', async function() {
+    recorder.start({ include: ['/api', /^https:\/\/cdn\./], exclude: ['/api/private', /token/] });
+    page.emit('response', response(`${PAGE_ORIGIN}/api/posts`));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/private/keys`));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/session?token=1`));
+    page.emit('response', response(`${PAGE_ORIGIN}/other`));
+    page.emit('response', response('https://cdn.example.com/data.json'));
+
+    expect(Object.keys(await recorder.stop())).to.deep.equal([
+      'GET /api/posts',
+      'GET https://cdn.example.com/data.json'
+    ]);
+  });
+
+  it('skips responses that would exceed the maximum size', async function() {
+    recorder.start({ maxSize: 10 });
+    page.emit('response', response(`${PAGE_ORIGIN}/api/a`, { body: '123456' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/b`, { body: '123456' }));
+    page.emit('response', response(`${PAGE_ORIGIN}/api/c`, { body: '1234' }));
+
+    expect(Object.keys(await recorder.stop())).to.deep.equal(['GET /api/a', 'GET /api/c']);
+  });
+
+  it('skips responses whose body cannot be read', async function() {
+    recorder.start(true);
+    page.emit('response', response(`${PAGE_ORIGIN}/api/a`, { text: async () => { throw new Error('gone'); } }));
+
+    expect(await recorder.stop()).to.deep.equal({});
+  });
+
+  it('stops listening once stopped', async function() {
+    recorder.start(true);
+    await recorder.stop();
+    page.emit('response', response(`${PAGE_ORIGIN}/api/a`));
+
+    expect(page.listenerCount('response')).to.equal(0);
+    expect(await recorder.stop()).to.deep.equal({});
+  });
+});
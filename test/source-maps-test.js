@@ -0,0 +1,83 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp').track();
+const { SourceMapGenerator } = require('source-map');
+const { SourceMapResolver, fileURL } = require('../src/source-maps');
+
+const BASE_URL = 'http://127.0.0.1:4000';
+
+describe('SourceMapResolver', function() {
+  let distPath, resolver;
+
+  before(function() {
+    distPath = temp.mkdirSync('source-maps');
+    fs.mkdirSync(path.join(distPath, 'assets'));
+
+    const generator = new SourceMapGenerator({ file: 'app.js' });
+    generator.addMapping({
+      generated: { line: 3, column: 4 },
+      original: { line: 12, column: 8 },
+      source: 'my-app/routes/index.js'
+    });
+
+    fs.writeFileSync(path.join(distPath, 'assets/app.js'), 'a;\nb;\n    c();\n//# sourceMappingURL=app.map\n');
+    fs.writeFileSync(path.join(distPath, 'assets/app.map'), generator.toString());
+
+    const inlineMap = Buffer.from(generator.toString()).toString('base64');
+    fs.writeFileSync(path.join(distPath, 'assets/inline.js'), `a;\nb;\n    c();\n//# sourceMappingURL=data:application/json;base64,${inlineMap}\n`);
+
+    fs.writeFileSync(path.join(distPath, 'assets/vendor.js'), 'a;\nb;\n    c();\n');
+  });
+
+  after(function() {
+    temp.cleanupSync();
+  });
+
+  beforeEach(function() {
+    resolver = new SourceMapResolver({ distPath, baseURL: BASE_URL });
+  });
+
+  it('maps locations in a stack trace to their original sources', function() {
+    const stack = `Error: boom\n    at Class.model (${BASE_URL}/assets/app.js:3:5)`;
+
+    expect(resolver.mapStack(stack)).to.equal('Error: boom\n    at Class.model (my-app/routes/index.js:12:9)');
+  });
+
+  it('reads inline source maps', function() {
+    const stack = `Error: boom\n    at ${BASE_URL}/assets/inline.js:3:5`;
+
+    expect(resolver.mapStack(stack)).to.equal('Error: boom\n    at my-app/routes/index.js:12:9');
+  });
+
+  it('leaves locations without a source map alone', function() {
+    const stack = [
+      'Error: boom',
+      `    at a (${BASE_URL}/assets/vendor.js:3:5)`,
+      `    at b (${BASE_URL}/assets/missing.js:1:1)`,
+      '    at c (https://example.com/assets/app.js:3:5)'
+    ].join('\n');
+
+    expect(resolver.mapStack(stack)).to.equal(stack);
+  });
+
+  it('rewrites the message and stack of errors', function() {
+    const error = new Error(`Evaluation failed: Error: boom\n    at ${BASE_URL}/assets/app.js:3:5`);
+    error.stack = error.message;
+
+    resolver.mapError(error);
+
+    expect(error.message).to.match(/at my-app\/routes\/index\.js:12:9/);
+    expect(error.stack).to.match(/at my-app\/routes\/index\.js:12:9/);
+  });
+});
+
+describe('fileURL', function() {
+  it('returns the URL a file in the dist directory is served at', function() {
+    const url = fileURL('/srv/dist', '/srv/dist/assets/my app.js', BASE_URL);
+
+    expect(url).to.equal(`${BASE_URL}/assets/my%20app.js`);
+  });
+});
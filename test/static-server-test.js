@@ -0,0 +1,133 @@
+'use strict';
+
+const expect = require('chai').expect;
+const http = require('http');
+const path = require('path');
+const fixture = require('./helpers/fixture-path');
+const createStaticHandler = require('../src/static-server');
+
+describe('createStaticHandler', function() {
+  let server, distPath, appFiles;
+
+  before(function(done) {
+    server = http.createServer(createStaticHandler(() => distPath, { maxAge: 60, getAppFiles: () => appFiles }));
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    distPath = fixture('browser-assets');
+    appFiles = [];
+  });
+
+  function request(path, options={}) {
+    return new Promise((resolve, reject) => {
+      http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: options.method || 'GET',
+        path,
+        headers: options.headers
+      }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      }).on('error', reject).end();
+    });
+  }
+
+  it('serves a blank document at the root', async function() {
+    const res = await request('/');
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.headers['content-type']).to.match(/text\/html/);
+    expect(res.body).to.match(/<body><\/body>/);
+  });
+
+  it('serves files from the dist directory with their MIME type', async function() {
+    const res = await request('/assets/robots.txt');
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.headers['content-type']).to.equal('text/plain; charset=utf-8');
+    expect(res.headers['cache-control']).to.equal('public, max-age=60');
+    expect(res.headers['content-length']).to.equal(String(Buffer.byteLength(res.body)));
+  });
+
+  it('serves JavaScript files', async function() {
+    distPath = fixture('basic-app');
+
+    const res = await request('/assets/vendor.js');
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.headers['content-type']).to.equal('application/javascript; charset=utf-8');
+  });
+
+  it('responds with empty scripts for the app files, unless PowerBoot loads them', async function() {
+    distPath = fixture('basic-app');
+    appFiles = [ path.join(distPath, 'assets/vendor.js'), path.join(distPath, 'assets/fastboot-test.js') ];
+
+    const fromDocument = await request('/assets/fastboot-test.js');
+    expect(fromDocument.statusCode).to.equal(200);
+    expect(fromDocument.headers['content-type']).to.equal('application/javascript; charset=utf-8');
+    expect(fromDocument.body).to.equal('');
+
+    const fromPowerBoot = await request(`/assets/fastboot-test.js?${createStaticHandler.APP_FILE_PARAM}`);
+    expect(fromPowerBoot.statusCode).to.equal(200);
+    expect(fromPowerBoot.body).to.not.equal('');
+  });
+
+  it('serves files from the current dist directory', async function() {
+    expect((await request('/package.json')).statusCode).to.equal(404);
+
+    distPath = fixture('basic-app');
+
+    expect((await request('/package.json')).statusCode).to.equal(200);
+  });
+
+  it('responds with 304 when the cached copy is up to date', async function() {
+    const { headers } = await request('/assets/robots.txt');
+
+    const byETag = await request('/assets/robots.txt', { headers: { 'if-none-match': headers.etag } });
+    const byDate = await request('/assets/robots.txt', { headers: { 'if-modified-since': headers['last-modified'] } });
+
+    expect(byETag.statusCode).to.equal(304);
+    expect(byETag.body).to.equal('');
+    expect(byDate.statusCode).to.equal(304);
+  });
+
+  it('responds with 404 for files that do not exist', async function() {
+    const res = await request('/assets/missing.png');
+
+    expect(res.statusCode).to.equal(404);
+  });
+
+  it('responds with 404 for directories', async function() {
+    const res = await request('/assets');
+
+    expect(res.statusCode).to.equal(404);
+  });
+
+  it('does not serve files outside of the dist directory', async function() {
+    const res = await request('/..%2fbasic-app%2fpackage.json');
+
+    expect(res.statusCode).to.equal(404);
+  });
+
+  it('responds to HEAD requests without a body', async function() {
+    const res = await request('/assets/robots.txt', { method: 'HEAD' });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.body).to.equal('');
+  });
+
+  it('responds with 405 for other methods', async function() {
+    const res = await request('/assets/robots.txt', { method: 'POST' });
+
+    expect(res.statusCode).to.equal(405);
+    expect(res.headers.allow).to.equal('GET, HEAD');
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const expect = require('chai').expect;
+const { resolveStatus, findRedirect } = require('../src/status-mapping');
+
+describe('resolveStatus', function() {
+  function outcome(options) {
+    return Object.assign({ path: '/posts', routeName: 'posts', error: null, redirect: null }, options);
+  }
+
+  it('leaves visits that rendered normally alone', function() {
+    expect(resolveStatus(outcome(), true)).to.equal(null);
+  });
+
+  it('maps error substates to the status of the error', function() {
+    const notFound = outcome({ routeName: 'posts_error', error: { name: 'AdapterError', message: 'Not found', status: 404 } });
+    expect(resolveStatus(notFound, true)).to.deep.equal({ statusCode: 404, location: null });
+  });
+
+  it('maps errors without a 4xx or 5xx status to 500', function() {
+    expect(resolveStatus(outcome({ routeName: 'error', error: { name: 'Error', message: 'boom', status: null } }), true))
+      .to.deep.equal({ statusCode: 500, location: null });
+    expect(resolveStatus(outcome({ routeName: 'error', error: { name: 'Error', message: 'boom', status: 200 } }), true))
+      .to.deep.equal({ statusCode: 500, location: null });
+  });
+
+  it('maps redirects to a 307 with the URL they were redirected to', function() {
+    expect(resolveStatus(outcome({ routeName: 'login', redirect: '/login' }), true))
+      .to.deep.equal({ statusCode: 307, location: '/login' });
+  });
+
+  it('does nothing when turned off', function() {
+    expect(resolveStatus(outcome({ redirect: '/login' }), false)).to.equal(null);
+  });
+
+  it('can be customized with a function', function() {
+    const calls = [];
+    const mapStatus = (outcome, statusCode) => {
+      calls.push([ outcome.routeName, statusCode ]);
+      if (outcome.redirect === '/login') return 302;
+      if (outcome.routeName === 'gone') return 410;
+      if (outcome.error) return null;
+    };
+
+    expect(resolveStatus(outcome({ routeName: 'login', redirect: '/login' }), mapStatus)).to.deep.equal({ statusCode: 302, location: '/login' });
+    expect(resolveStatus(outcome({ routeName: 'gone' }), mapStatus)).to.deep.equal({ statusCode: 410, location: null });
+    expect(resolveStatus(outcome({ routeName: 'error', error: { status: 404 } }), mapStatus)).to.equal(null);
+    expect(resolveStatus(outcome({ routeName: 'about', redirect: '/about-us' }), mapStatus)).to.deep.equal({ statusCode: 307, location: '/about-us' });
+    expect(calls).to.deep.equal([ [ 'login', 307 ], [ 'gone', null ], [ 'error', 404 ], [ 'about', 307 ] ]);
+  });
+});
+
+describe('findRedirect', function() {
+  function outcome(url, transitions) {
+    return { path: '/posts?page=1', url, transitions };
+  }
+
+  const visit = { targetName: 'posts', url: '/posts?page=1', redirect: false, status: 'completed' };
+  const redirect = { targetName: 'login', url: '/login', redirect: true, status: 'completed' };
+
+  it('finds the URL of a redirect', function() {
+    expect(findRedirect(outcome('/login', [ Object.assign({}, visit, { status: 'aborted' }), redirect ]))).to.equal('/login');
+  });
+
+  it('ignores URLs that the router canonicalized without a redirect', function() {
+    // `page` is a query param that defaults to 1, so it's dropped.
+    expect(findRedirect(outcome('/posts', [ visit ]))).to.equal(null);
+    expect(findRedirect(outcome('/posts/', [ visit ]))).to.equal(null);
+  });
+
+  it('ignores redirects to the same URL, up to the order of query params and trailing slashes', function() {
+    const path = '/posts?page=1&sort=title';
+    expect(findRedirect({ path, url: '/posts/?sort=title&page=1', transitions: [ visit, redirect ] })).to.equal(null);
+    expect(findRedirect({ path, url: '/posts?page=2&sort=title', transitions: [ visit, redirect ] })).to.equal('/posts?page=2&sort=title');
+  });
+});